@@ -531,14 +531,16 @@ public class CombatController : ControllerBase
         return damage;
     }
 
-    private void ApplyDamage(CombatShipEntity target, int damage, List<string> log, string attackerName)
+    private void ApplyDamage(CombatShipEntity target, int damage, List<string> log, string attackerName,
+        List<TacticalCombatEventDto>? events = null, Guid? attackerShipId = null)
     {
         var remainingDamage = damage;
+        var shieldDamage = 0;
 
         // Shields absorb damage first
         if (target.Shields > 0)
         {
-            var shieldDamage = Math.Min(remainingDamage, target.Shields);
+            shieldDamage = Math.Min(remainingDamage, target.Shields);
             target.Shields -= shieldDamage;
             remainingDamage -= shieldDamage;
             
@@ -551,12 +553,18 @@ public class CombatController : ControllerBase
         {
             target.Health -= remainingDamage;
             log.Add($"{attackerName} damages {target.Name}'s hull ({remainingDamage} dmg).");
+        }
 
-            if (target.Health <= 0)
-            {
-                target.IsDestroyed = true;
-                log.Add($"💥 {target.Name} destroyed!");
-            }
+        // Structured counterpart of the log lines for the tactical viewer
+        var hitType = remainingDamage == 0 ? "shield-hit" : shieldDamage == 0 ? "hull-hit" : "hit";
+        events?.Add(new TacticalCombatEventDto(hitType, attackerShipId, target.ShipId,
+            Damage: damage, ShieldDamage: shieldDamage, HullDamage: remainingDamage));
+
+        if (remainingDamage > 0 && target.Health <= 0)
+        {
+            target.IsDestroyed = true;
+            log.Add($"💥 {target.Name} destroyed!");
+            events?.Add(new TacticalCombatEventDto("destroyed", target.ShipId));
         }
     }
 
@@ -853,6 +861,7 @@ public class CombatController : ControllerBase
 
         var random = new Random();
         var log = new List<string>();
+        var combatEvents = new List<TacticalCombatEventDto>();
         var triggeredOrders = new List<string>();
 
         log.Add($"--- Tactical Round {combat.Round} ---");
@@ -874,7 +883,7 @@ public class CombatController : ControllerBase
             var damage = (int)(baseDamage * (1.0 + formationBonus));
             damage = Math.Max(1, damage);
 
-            ApplyDamage(target, damage, log, attacker.Name);
+            ApplyDamage(target, damage, log, attacker.Name, combatEvents, attacker.ShipId);
         }
 
         // Defender ships fire with inverse formation bonus
@@ -888,7 +897,7 @@ public class CombatController : ControllerBase
             var damage = (int)(baseDamage * (1.0 - formationBonus));
             damage = Math.Max(1, damage);
 
-            ApplyDamage(target, damage, log, defender.Name);
+            ApplyDamage(target, damage, log, defender.Name, combatEvents, defender.ShipId);
         }
 
         // Check for combat end
@@ -926,6 +935,8 @@ public class CombatController : ControllerBase
             if (atkLostPercent >= atkDoctrine.RetreatThreshold)
             {
                 log.Add($"{combat.AttackerName} retreats at {atkLostPercent:F0}% losses!");
+                combatEvents.AddRange(combat.AttackerShips.Where(s => !s.IsDestroyed)
+                    .Select(s => new TacticalCombatEventDto("retreat", s.ShipId, Side: "attacker")));
                 combat.IsResolved = true;
                 combat.EndedAt = DateTime.UtcNow;
                 combat.WinnerId = combat.DefenderId;
@@ -936,6 +947,8 @@ public class CombatController : ControllerBase
             else if (defLostPercent >= defDoctrine.RetreatThreshold)
             {
                 log.Add($"{combat.DefenderName} retreats at {defLostPercent:F0}% losses!");
+                combatEvents.AddRange(combat.DefenderShips.Where(s => !s.IsDestroyed)
+                    .Select(s => new TacticalCombatEventDto("retreat", s.ShipId, Side: "defender")));
                 combat.IsResolved = true;
                 combat.EndedAt = DateTime.UtcNow;
                 combat.WinnerId = combat.AttackerId;
@@ -979,6 +992,7 @@ public class CombatController : ControllerBase
                 Ships = combat.DefenderShips.Select(MapToTacticalShip).ToList()
             },
             Events = log,
+            CombatEvents = combatEvents,
             TriggeredOrders = triggeredOrders,
             IsComplete = isComplete,
             WinnerId = winnerId
@@ -1176,12 +1190,31 @@ public class TacticalSideDto
 
 public record TacticalShipDto(Guid ShipId, string Name, string ShipClass, string Role, int Hull, int MaxHull, int Shields, int MaxShields, double X, double Y, bool IsDestroyed, bool IsDisabled, bool IsWebbed, Guid? TargetId);
 
+/// <summary>
+/// Structured combat event for the tactical viewer. Type is one of fire, hit, shield-hit, hull-hit,
+/// destroyed, disabled, retreat, formation-change or ability. For weapon events ShipId is the shooter
+/// and TargetId the ship struck; otherwise ShipId is the ship the event is about.
+/// </summary>
+public record TacticalCombatEventDto(
+    string Type,
+    Guid? ShipId,
+    Guid? TargetId = null,
+    string? WeaponType = null,
+    int? Damage = null,
+    int? ShieldDamage = null,
+    int? HullDamage = null,
+    int? Count = null,
+    string? Side = null,
+    string? Formation = null,
+    string? Ability = null);
+
 public class TacticalRoundResultDto
 {
     public int Round { get; set; }
     public TacticalSideDto Attacker { get; set; } = new();
     public TacticalSideDto Defender { get; set; } = new();
     public List<string> Events { get; set; } = new();
+    public List<TacticalCombatEventDto> CombatEvents { get; set; } = new();
     public List<string> TriggeredOrders { get; set; } = new();
     public bool IsComplete { get; set; }
     public Guid? WinnerId { get; set; }
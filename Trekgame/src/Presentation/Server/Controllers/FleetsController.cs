@@ -4,6 +4,7 @@ using Microsoft.EntityFrameworkCore;
 using StarTrekGame.Server.Data;
 using StarTrekGame.Server.Data.Entities;
 using StarTrekGame.Server.Hubs;
+using StarTrekGame.Server.Services;
 using StarTrekGame.Application.DTOs;
 
 namespace StarTrekGame.Server.Controllers;
@@ -14,11 +15,13 @@ public class FleetsController : ControllerBase
 {
     private readonly GameDbContext _db;
     private readonly IHubContext<GameHub> _hub;
+    private readonly IVisibilityService _visibility;
 
-    public FleetsController(GameDbContext db, IHubContext<GameHub> hub)
+    public FleetsController(GameDbContext db, IHubContext<GameHub> hub, IVisibilityService visibility)
     {
         _db = db;
         _hub = hub;
+        _visibility = visibility;
     }
 
     /// <summary>
@@ -55,6 +58,15 @@ public class FleetsController : ControllerBase
         return Ok(fleets.Select(MapToFleetDetailDto).ToList());
     }
 
+    /// <summary>
+    /// Get every fleet a faction can see: its own, plus foreign fleets in systems under full sensor coverage
+    /// </summary>
+    [HttpGet("visible/{factionId}")]
+    public async Task<ActionResult<List<VisibleFleetDto>>> GetVisibleFleets(Guid factionId)
+    {
+        return Ok(await _visibility.GetVisibleFleetsAsync(factionId));
+    }
+
     /// <summary>
     /// Set fleet destination
     /// </summary>
@@ -73,7 +85,41 @@ public class FleetsController : ControllerBase
         if (destination.GameId != fleet.Faction.GameId)
             return BadRequest("Destination is not part of this game");
 
-        fleet.DestinationId = request.DestinationId;
+        // A planned hyperlane route is flown hop by hop; the origin may be included
+        var hops = (request.Path ?? new List<Guid>())
+            .SkipWhile(id => id == fleet.CurrentSystemId)
+            .ToList();
+        if (hops.Count > 0)
+        {
+            if (hops[^1] != request.DestinationId)
+                return BadRequest("Route must end at the destination");
+
+            // Every hop, starting from the current system, must follow a hyperlane of this game
+            var gameId = fleet.Faction.GameId;
+            var routeIds = hops.Append(fleet.CurrentSystemId).Distinct().ToList();
+            var lanes = await _db.Hyperlanes
+                .Where(h => h.GameId == gameId && routeIds.Contains(h.FromSystemId) && routeIds.Contains(h.ToSystemId))
+                .Select(h => new { h.FromSystemId, h.ToSystemId })
+                .ToListAsync();
+            var edges = lanes
+                .SelectMany(h => new[] { (h.FromSystemId, h.ToSystemId), (h.ToSystemId, h.FromSystemId) })
+                .ToHashSet();
+
+            var from = fleet.CurrentSystemId;
+            foreach (var hop in hops)
+            {
+                if (!edges.Contains((from, hop)))
+                    return BadRequest("Route must follow hyperlanes from the fleet's current system");
+                from = hop;
+            }
+        }
+        else
+        {
+            hops.Add(request.DestinationId);
+        }
+
+        fleet.DestinationId = hops[0];
+        fleet.RouteWaypointsJson = System.Text.Json.JsonSerializer.Serialize(hops.Skip(1));
         fleet.MovementProgress = 0;
 
         await _db.SaveChangesAsync();
@@ -96,6 +142,7 @@ public class FleetsController : ControllerBase
         if (fleet == null) return NotFound();
 
         fleet.DestinationId = null;
+        fleet.RouteWaypointsJson = "[]";
         fleet.MovementProgress = 0;
 
         await _db.SaveChangesAsync();
@@ -374,7 +421,7 @@ public record FleetDetailDto(
 public record ShipGroupDto(string ClassName, int Count, int AttackPower, int DefensePower, int Speed);
 
 // Requests
-public record SetDestinationRequest(Guid DestinationId);
+public record SetDestinationRequest(Guid DestinationId, List<Guid>? Path = null);
 public record UpdateStanceRequest(string Stance);
 public record RenameRequest(string Name);
 public record SplitFleetRequest(List<Guid> ShipIds, string? NewFleetName);
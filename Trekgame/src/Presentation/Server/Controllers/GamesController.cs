@@ -1529,6 +1529,7 @@ public class GamesController : ControllerBase
                     Name = fl.Name,
                     CurrentSystemId = fl.CurrentSystemId,
                     DestinationSystemId = fl.DestinationId,
+                    RouteWaypoints = JsonSerializer.Deserialize<List<Guid>>(fl.RouteWaypointsJson) ?? new(),
                     MovementProgress = fl.MovementProgress,
                     Morale = fl.Morale,
                     Ships = fl.Ships.Select(s => new ShipSaveData
@@ -1658,6 +1659,12 @@ public class GamesController : ControllerBase
                         systemMap.TryGetValue(fleetData.DestinationSystemId.Value, out var destSystem))
                     {
                         fleet.DestinationId = destSystem.Id;
+
+                        // Remaining hops of a multi-hop order, mapped to the new system ids; stop at the first unknown one
+                        var waypoints = fleetData.RouteWaypoints
+                            .TakeWhile(id => systemMap.ContainsKey(id))
+                            .Select(id => systemMap[id].Id);
+                        fleet.RouteWaypointsJson = JsonSerializer.Serialize(waypoints);
                     }
 
                     // Recreate ships
@@ -1869,6 +1876,7 @@ public class FleetSaveData
     public string Name { get; set; } = "";
     public Guid CurrentSystemId { get; set; }
     public Guid? DestinationSystemId { get; set; }
+    public List<Guid> RouteWaypoints { get; set; } = new();
     public int MovementProgress { get; set; }
     public int Morale { get; set; }
     public List<ShipSaveData> Ships { get; set; } = new();
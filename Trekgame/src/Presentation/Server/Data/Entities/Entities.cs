@@ -765,6 +765,7 @@ public class FleetEntity
     // Movement
     public int MovementProgress { get; set; }  // 0-100
     public int MovementSpeed { get; set; } = 100;  // Modified by ships
+    public string RouteWaypointsJson { get; set; } = "[]";  // Remaining hops after DestinationSystemId
     
     // Combat stats (calculated from ships)
     public int TotalFirepower { get; set; }
@@ -745,6 +745,7 @@ public class AiService : IAiService
         if (fleet != null)
         {
             fleet.DestinationId = decision.TargetSystemId.Value;
+            fleet.RouteWaypointsJson = "[]";
             fleet.MovementProgress = 0;
             _logger.LogDebug("AI Fleet {Fleet} moving to system {Target}: {Reason}",
                 fleet.Name, decision.TargetSystemId, decision.Reason);
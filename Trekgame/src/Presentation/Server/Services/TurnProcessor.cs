@@ -365,10 +365,21 @@ public class TurnProcessor : ITurnProcessor
             if (fleet.MovementProgress >= 100)
             {
                 fleet.CurrentSystemId = fleet.DestinationSystemId!.Value;
-                fleet.DestinationSystemId = null;
                 fleet.MovementProgress = 0;
-                
-                _logger.LogDebug("Fleet {Fleet} arrived at destination", fleet.Name);
+
+                // Multi-hop orders continue with the next waypoint
+                var waypoints = System.Text.Json.JsonSerializer.Deserialize<List<Guid>>(fleet.RouteWaypointsJson) ?? new();
+                if (waypoints.Count > 0)
+                {
+                    fleet.DestinationSystemId = waypoints[0];
+                    fleet.RouteWaypointsJson = System.Text.Json.JsonSerializer.Serialize(waypoints.Skip(1));
+                    _logger.LogDebug("Fleet {Fleet} reached waypoint, {Remaining} hop(s) left", fleet.Name, waypoints.Count);
+                }
+                else
+                {
+                    fleet.DestinationSystemId = null;
+                    _logger.LogDebug("Fleet {Fleet} arrived at destination", fleet.Name);
+                }
             }
         }
     }
@@ -191,6 +191,7 @@ public class VisibilityService : IVisibilityService
                 CurrentSystemId = fleet.CurrentSystemId,
                 DestinationId = fleet.DestinationId,
                 ShipCount = fleet.Ships.Count,
+                CombatStrength = fleet.Ships.Sum(s => s.MaxHullPoints + s.MaxShieldPoints),
                 IsOwn = true,
                 IsMoving = fleet.DestinationId.HasValue,
                 Ships = fleet.Ships.Select(s => new VisibleShipDto
@@ -221,6 +222,7 @@ public class VisibilityService : IVisibilityService
                         CurrentSystemId = fleet.CurrentSystemId,
                         DestinationId = null, // Don't reveal enemy destinations
                         ShipCount = fleet.Ships.Count,
+                        CombatStrength = fleet.Ships.Sum(s => s.MaxHullPoints + s.MaxShieldPoints), // Sensor estimate for threat maps
                         IsOwn = false,
                         IsMoving = false, // Don't reveal if moving
                         Ships = new() // Don't reveal detailed composition
@@ -403,6 +405,7 @@ public class VisibleFleetDto
     public Guid CurrentSystemId { get; set; }
     public Guid? DestinationId { get; set; }
     public int ShipCount { get; set; }
+    public int CombatStrength { get; set; }
     public bool IsOwn { get; set; }
     public bool IsMoving { get; set; }
     public List<VisibleShipDto> Ships { get; set; } = new();
@@ -33,6 +33,7 @@ builder.Services.AddScoped<IGameApiClient, GameApiClient>();
 builder.Services.AddSingleton<INotificationService, NotificationService>();
 builder.Services.AddScoped<IGameStateService, GameStateService>();
 builder.Services.AddScoped<ISoundService, SoundService>();
+builder.Services.AddScoped<IKeyboardService, KeyboardService>();
 builder.Services.AddScoped<IErrorHandler, ErrorHandler>();
 builder.Services.AddScoped<ThemeService>();
 builder.Services.AddSingleton<FactionTemplateService>();       // In-game UI templates (faction-specific)
@@ -22,8 +22,9 @@ public interface IGameApiClient
     
     // Fleets
     Task<List<FleetDetailDto>> GetFleetsAsync(Guid factionId);
+    Task<List<VisibleFleetDto>> GetVisibleFleetsAsync(Guid factionId);
     Task<FleetDetailDto?> GetFleetAsync(Guid fleetId);
-    Task SetFleetDestinationAsync(Guid fleetId, Guid destinationSystemId);
+    Task SetFleetDestinationAsync(Guid fleetId, Guid destinationSystemId, IReadOnlyList<Guid>? path = null);
     Task CancelFleetMovementAsync(Guid fleetId);
     
     // Colonies
@@ -265,14 +266,19 @@ public class GameApiClient : IGameApiClient
         return await GetFromJsonSafeAsync<List<FleetDetailDto>>($"api/fleets/faction/{factionId}") ?? [];
     }
 
+    public async Task<List<VisibleFleetDto>> GetVisibleFleetsAsync(Guid factionId)
+    {
+        return await GetFromJsonSafeAsync<List<VisibleFleetDto>>($"api/fleets/visible/{factionId}") ?? [];
+    }
+
     public async Task<FleetDetailDto?> GetFleetAsync(Guid fleetId)
     {
         return await GetFromJsonSafeAsync<FleetDetailDto>($"api/fleets/{fleetId}");
     }
 
-    public async Task SetFleetDestinationAsync(Guid fleetId, Guid destinationSystemId)
+    public async Task SetFleetDestinationAsync(Guid fleetId, Guid destinationSystemId, IReadOnlyList<Guid>? path = null)
     {
-        var response = await _http.PostAsJsonAsync($"api/fleets/{fleetId}/move", new { DestinationId = destinationSystemId });
+        var response = await _http.PostAsJsonAsync($"api/fleets/{fleetId}/move", new { DestinationId = destinationSystemId, Path = path });
         response.EnsureSuccessStatusCode();
     }
 
@@ -918,6 +924,20 @@ public record FleetSummaryDto(
     bool IsMoving
 );
 
+/// <summary>
+/// A fleet as another faction's sensors see it; foreign fleets carry no destination or ship list.
+/// </summary>
+public record VisibleFleetDto(
+    Guid Id,
+    string Name,
+    Guid FactionId,
+    string FactionName,
+    Guid CurrentSystemId,
+    int ShipCount,
+    int CombatStrength,
+    bool IsOwn
+);
+
 public record FleetDetailDto(
     Guid Id,
     string Name,
@@ -1678,12 +1698,31 @@ public class TacticalSideDto
 
 public record TacticalShipDto(Guid ShipId, string Name, string ShipClass, string Role, int Hull, int MaxHull, int Shields, int MaxShields, double X, double Y, bool IsDestroyed, bool IsDisabled, bool IsWebbed, Guid? TargetId);
 
+/// <summary>
+/// Structured combat event for the tactical viewer. Type is one of fire, hit, shield-hit, hull-hit,
+/// destroyed, disabled, retreat, formation-change or ability. For weapon events ShipId is the shooter
+/// and TargetId the ship struck; otherwise ShipId is the ship the event is about.
+/// </summary>
+public record TacticalCombatEventDto(
+    string Type,
+    Guid? ShipId,
+    Guid? TargetId = null,
+    string? WeaponType = null,
+    int? Damage = null,
+    int? ShieldDamage = null,
+    int? HullDamage = null,
+    int? Count = null,
+    string? Side = null,
+    string? Formation = null,
+    string? Ability = null);
+
 public class TacticalRoundResultDto
 {
     public int Round { get; set; }
     public TacticalSideDto Attacker { get; set; } = new();
     public TacticalSideDto Defender { get; set; } = new();
     public List<string> Events { get; set; } = new();
+    public List<TacticalCombatEventDto> CombatEvents { get; set; } = new();
     public List<string> TriggeredOrders { get; set; } = new();
     public bool IsComplete { get; set; }
     public Guid? WinnerId { get; set; }
@@ -0,0 +1,161 @@
+using Microsoft.JSInterop;
+
+namespace StarTrekGame.Web.Services;
+
+/// <summary>
+/// A key binding as reported by GameKeyboard.getBindings
+/// </summary>
+public record KeyBindingInfo(
+    string Action,
+    string? Chord,
+    string Label,
+    string Scope,
+    string Description,
+    string Category,
+    bool IsDefault);
+
+public record BindingConflict(string Action, string Chord, string Scope);
+
+public record RebindResult(bool Ok, List<BindingConflict> Conflicts, string? Error = null);
+
+public interface IKeyboardService
+{
+    Task<List<KeyBindingInfo>> GetBindingsAsync();
+    Task<string?> CaptureChordAsync();
+    Task CancelCaptureAsync();
+    Task<RebindResult> RebindAsync(string action, string chord, bool force = false);
+    Task UnbindAsync(string action);
+    Task ResetBindingsAsync(string? action = null);
+    Task<string> ExportBindingsAsync();
+    Task<RebindResult> ImportBindingsAsync(string json);
+    Task SetScopeAsync(string scope);
+    Task PushScopeAsync(string scope);
+    Task PopScopeAsync();
+}
+
+/// <summary>
+/// Wraps the GameKeyboard JS module: rebindable shortcuts, conflict checks and input scopes
+/// </summary>
+public class KeyboardService : IKeyboardService
+{
+    private readonly IJSRuntime _js;
+
+    public KeyboardService(IJSRuntime js)
+    {
+        _js = js;
+    }
+
+    public async Task<List<KeyBindingInfo>> GetBindingsAsync()
+    {
+        try
+        {
+            return await _js.InvokeAsync<List<KeyBindingInfo>>("GameKeyboard.getBindings");
+        }
+        catch
+        {
+            return new List<KeyBindingInfo>();
+        }
+    }
+
+    public async Task<string?> CaptureChordAsync()
+    {
+        try
+        {
+            return await _js.InvokeAsync<string?>("GameKeyboard.captureChord");
+        }
+        catch
+        {
+            return null;
+        }
+    }
+
+    public async Task CancelCaptureAsync()
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("GameKeyboard.cancelCapture");
+        }
+        catch { }
+    }
+
+    public async Task<RebindResult> RebindAsync(string action, string chord, bool force = false)
+    {
+        try
+        {
+            return await _js.InvokeAsync<RebindResult>("GameKeyboard.rebind", action, chord, force);
+        }
+        catch (Exception ex)
+        {
+            return new RebindResult(false, new List<BindingConflict>(), ex.Message);
+        }
+    }
+
+    public async Task UnbindAsync(string action)
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("GameKeyboard.unbind", action);
+        }
+        catch { }
+    }
+
+    public async Task ResetBindingsAsync(string? action = null)
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("GameKeyboard.resetBindings", action);
+        }
+        catch { }
+    }
+
+    public async Task<string> ExportBindingsAsync()
+    {
+        try
+        {
+            return await _js.InvokeAsync<string>("GameKeyboard.exportBindings");
+        }
+        catch
+        {
+            return string.Empty;
+        }
+    }
+
+    public async Task<RebindResult> ImportBindingsAsync(string json)
+    {
+        try
+        {
+            return await _js.InvokeAsync<RebindResult>("GameKeyboard.importBindings", json);
+        }
+        catch (Exception ex)
+        {
+            return new RebindResult(false, new List<BindingConflict>(), ex.Message);
+        }
+    }
+
+    public async Task SetScopeAsync(string scope)
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("GameKeyboard.setScope", scope);
+        }
+        catch { }
+    }
+
+    public async Task PushScopeAsync(string scope)
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("GameKeyboard.pushScope", scope);
+        }
+        catch { }
+    }
+
+    public async Task PopScopeAsync()
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("GameKeyboard.popScope");
+        }
+        catch { }
+    }
+}
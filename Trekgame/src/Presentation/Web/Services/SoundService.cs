@@ -2,11 +2,24 @@ using Microsoft.JSInterop;
 
 namespace StarTrekGame.Web.Services;
 
+/// <summary>
+/// Mixer state as reported by GameSounds.getVolumes (bus ids: ui, combat, ambient, music, voice).
+/// The audio engine persists these itself; pages read them back instead of keeping their own copy.
+/// </summary>
+public record AudioVolumes(bool Enabled, float Master, Dictionary<string, float> Buses, bool MusicEnabled);
+
 public interface ISoundService
 {
     Task PlayAsync(string soundType, float volume = 1.0f);
     Task SetEnabledAsync(bool enabled);
     Task SetVolumeAsync(float volume);
+    Task SetBusVolumeAsync(string bus, float volume);
+    Task<AudioVolumes?> GetVolumesAsync();
+    
+    // Music
+    Task PlayMusicAsync(string state);
+    Task StopMusicAsync();
+    Task SetMusicEnabledAsync(bool enabled);
     
     // Combat sounds
     Task PlayPhaserAsync(float volume = 1.0f);
@@ -82,6 +95,54 @@ public class SoundService : ISoundService
         catch { }
     }
 
+    public async Task SetBusVolumeAsync(string bus, float volume)
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("GameSounds.setBusVolume", bus, volume);
+        }
+        catch { }
+    }
+
+    public async Task<AudioVolumes?> GetVolumesAsync()
+    {
+        try
+        {
+            return await _js.InvokeAsync<AudioVolumes>("GameSounds.getVolumes");
+        }
+        catch
+        {
+            return null;
+        }
+    }
+
+    public async Task PlayMusicAsync(string state)
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("GameSounds.playMusic", state);
+        }
+        catch { }
+    }
+
+    public async Task StopMusicAsync()
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("GameSounds.stopMusic");
+        }
+        catch { }
+    }
+
+    public async Task SetMusicEnabledAsync(bool enabled)
+    {
+        try
+        {
+            await _js.InvokeVoidAsync("GameSounds.setMusicEnabled", enabled);
+        }
+        catch { }
+    }
+
     // Combat sounds
     public Task PlayPhaserAsync(float volume = 1.0f) => PlayAsync("phaser", volume);
     public Task PlayTorpedoAsync(float volume = 1.0f) => PlayAsync("torpedo", volume);
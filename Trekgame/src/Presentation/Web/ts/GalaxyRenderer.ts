@@ -1,3 +1,15 @@
+import { computeTerritories, type TerritoryPoint, type TerritorySegment } from './territoryGeometry';
+import { FogOfWarLayer, type SensorCircle } from './fogOfWar';
+import { GalaxyOverlayLayer, type OverlayMode, type OverlaySample } from './galaxyOverlays';
+import { TurnTransition, type BattleSite, type CaptureEffect, type FleetGlide } from './turnTransition';
+import {
+  EXPORT_BACKGROUND, EXPORT_MAX_SIDE, EXPORT_TILE_SIZE, PngStreamWriter, buildGalaxySvg, downloadBlob, legendOrigin,
+  legendUnit, renderLegend, type GalaxyExportOptions, type GalaxyExportResult, type SvgLabel, type SvgLane, type WorldRect,
+} from './galaxyExport';
+import {
+  factionColor, factionPatternTile, fontPx, isReducedMotion, onAccessibilityChange, patternsEnabled,
+} from './accessibility';
+
 interface StarSystem {
   id: string;
   name: string;
@@ -9,6 +21,7 @@ interface StarSystem {
   hasColony?: boolean;
   hasFleet?: boolean;
   visibilityLevel?: number;  // 0=Unknown, 1=Detected, 2=Partial, 3=Full, 4=FogOfWar
+  isExplored?: boolean;
 }
 
 interface Hyperlane {
@@ -17,12 +30,16 @@ interface Hyperlane {
 }
 
 interface Fleet {
+  id?: string;
+  name?: string;
   systemId: string;
   destinationId?: string;
   actionPoints?: number;
   maxActionPoints?: number;
   combatStrength?: number;
   flagshipClass?: string;
+  factionId?: string;
+  isOwn?: boolean;           // fleets not explicitly foreign count as own
 }
 
 interface AsteroidField {
@@ -40,6 +57,55 @@ interface StationMarker {
   isOwn: boolean;
 }
 
+/** Sensor range around an owned system, fleet or station (station id = its system id). */
+interface SensorSource {
+  kind: 'system' | 'fleet' | 'station';
+  id: string;
+  radius: number;   // world units
+}
+
+/** New-turn state handed to playTurnTransition; systems may be omitted when unchanged. */
+interface TurnUpdate {
+  systems?: StarSystem[] | null;
+  fleets: Fleet[];
+  battles?: { systemId: string; battleId?: string | null; label?: string | null }[] | null;
+  duration?: number | null;   // glide time in ms
+}
+
+/** Systems and fleets picked by click, Ctrl/Cmd-click or a Shift+drag box. */
+interface GalaxySelection {
+  systems: string[];
+  fleets: string[];
+}
+
+/** Right-click on the map: the current selection plus where (and on what) the menu was opened. */
+interface GalaxyContextMenu extends GalaxySelection {
+  worldX: number;
+  worldY: number;
+  targetSystemId: string | null;
+  targetFleetId: string | null;
+  clientX: number;
+  clientY: number;
+}
+
+interface RouteHop {
+  systemId: string;
+  systemName: string;
+  hop: number;          // 1-based index along the path
+  turn: number;         // turn of arrival, 1 = this turn
+  unexplored: boolean;  // target system is Unknown/Detected (visibilityLevel 0/1)
+}
+
+interface PlannedRoute {
+  fleetId: string | null;
+  fromSystemId: string;
+  toSystemId: string;
+  path: string[];       // system ids, origin first
+  hops: RouteHop[];
+  totalTurns: number;
+  distance: number;
+}
+
 interface StarColors {
   core: string;
   mid: string;
@@ -59,16 +125,6 @@ const STAR_COLORS: Readonly<Record<string, StarColors>> = {
   blackhole: { core: '#000000', mid: '#220022', outer: '#440044', glow: '#ff00ff22' },
 } as const;
 
-const FACTION_COLORS: Readonly<Record<string, string>> = {
-  federation: '#3b82f6',
-  klingon:    '#dc2626',
-  romulan:    '#10b981',
-  cardassian: '#d97706',
-  ferengi:    '#eab308',
-  borg:       '#22c55e',
-  dominion:   '#7c3aed',
-} as const;
-
 const STAR_TYPE_ALIASES: Readonly<Record<string, string>> = {
   mainsequence: 'yellow',  main_sequence: 'yellow',
   yellowdwarf:  'yellow',  yellow_dwarf:  'yellow',
@@ -97,6 +153,181 @@ const STAR_GRID_MAP: Readonly<Record<string, StarGridPos>> = {
   protostar:    { row: 3, col: 2 }, supernova:    { row: 3, col: 3 },
 } as const;
 
+const SPATIAL_CELL_SIZE = 128;       // world units per spatial grid cell
+const STATIC_CACHE_MARGIN = 0.5;     // cached world layer extends half a screen beyond each edge
+const STATIC_CACHE_ZOOM_TOLERANCE = 0.1;
+const LABEL_CHAR_WIDTH = 0.8;        // Orbitron glyph advance as a share of the font size, rounded up
+
+/** Uniform grid over world space for hit-testing and viewport culling. */
+class SpatialGrid<T extends { x: number; y: number }> {
+  private cells = new Map<string, T[]>();
+
+  constructor(private readonly cellSize: number) {}
+
+  build(items: readonly T[]): void {
+    this.cells.clear();
+    for (const item of items) {
+      const key = this.key(Math.floor(item.x / this.cellSize), Math.floor(item.y / this.cellSize));
+      let cell = this.cells.get(key);
+      if (!cell) this.cells.set(key, cell = []);
+      cell.push(item);
+    }
+  }
+
+  /** All items inside the world-space rectangle. */
+  query(minX: number, minY: number, maxX: number, maxY: number): T[] {
+    const result: T[] = [];
+    const c0 = Math.floor(minX / this.cellSize), c1 = Math.floor(maxX / this.cellSize);
+    const r0 = Math.floor(minY / this.cellSize), r1 = Math.floor(maxY / this.cellSize);
+    for (let cx = c0; cx <= c1; cx++) {
+      for (let cy = r0; cy <= r1; cy++) {
+        for (const item of this.cells.get(this.key(cx, cy)) ?? []) {
+          if (item.x >= minX && item.x <= maxX && item.y >= minY && item.y <= maxY) result.push(item);
+        }
+      }
+    }
+    return result;
+  }
+
+  /** Closest item within radius of (x, y), if any. */
+  nearest(x: number, y: number, radius: number): T | undefined {
+    let best: T | undefined;
+    let bestDist = radius * radius;
+    for (const item of this.query(x - radius, y - radius, x + radius, y + radius)) {
+      const dx = item.x - x, dy = item.y - y;
+      const d  = dx * dx + dy * dy;
+      if (d < bestDist) { bestDist = d; best = item; }
+    }
+    return best;
+  }
+
+  private key(cx: number, cy: number): string {
+    return `${cx},${cy}`;
+  }
+}
+
+const TERRITORY_RANGE = 80;              // max claim radius around an owned system (world units)
+const TERRITORY_CONTESTED_DISTANCE = 80; // foreign system this close makes a frontier contested
+const TERRITORY_BAND_WIDTH = 8;
+
+const EXPORT_MARGIN = TERRITORY_RANGE + 40;  // world units around the outermost systems in a full export
+
+const FOG_EXPLORED_RADIUS = 90;          // space this close to an explored system counts as explored
+
+// Star alpha per visibilityLevel (0 = Unknown is not drawn at all)
+const VISIBILITY_ALPHA: Readonly<Record<number, number>> = { 1: 0.3, 2: 0.6, 3: 1.0, 4: 0.5 };
+
+const OVERLAY_LEGEND_MARGIN = 12;
+
+const BATTLE_MARKER_HIT_RADIUS = 14;   // px
+const FLEET_MARKER_SIZE = 5;           // px, half height of the fleet triangle
+const FLEET_MARKER_HIT_RADIUS = 9;     // px
+const FLEET_MARKER_STEP = 0.5;         // radians between markers around one system
+const UNOWNED_COLOR = '#888888';
+
+interface TerritoryPaths {
+  factionId: string;
+  fill: Path2D;
+  border: Path2D;
+  borderSegments: TerritorySegment[];   // kept for the SVG export
+  contested: Path2D | null;
+}
+
+/** Layer toggles while an export tile is being drawn. */
+interface ExportLayers {
+  labels: boolean;
+  territories: boolean;
+  fleets: boolean;
+  fog: boolean;
+}
+
+const TAP_SLOP      = 8;    // px a pointer may move and still count as a tap
+const LONG_PRESS_MS = 500;
+const DOUBLE_TAP_MS = 300;
+
+type MinimapCorner = 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right';
+
+const MINIMAP_WIDTH   = 200;
+const MINIMAP_HEIGHT  = 150;
+const MINIMAP_MARGIN  = 12;
+const MINIMAP_PADDING = 8;
+
+const ROUTE_TURN_COLORS = ['#66ddff', '#3399cc'] as const;
+const ROUTE_UNEXPLORED_COLOR = '#ff9944';
+
+// Extra selection observers (tutorial steps) that survive renderer re-creation
+const selectionListeners = new Set<(system: StarSystem | null) => void>();
+
+/**
+ * Dijkstra over the hyperlane graph, weighted by lane length.
+ * Returns the system ids from origin to target, or null when unreachable.
+ */
+function findHyperlanePath(
+  adjacency: Map<string, string[]>,
+  systemsById: Map<string, StarSystem>,
+  fromId: string,
+  toId: string,
+): string[] | null {
+  const dist = new Map<string, number>([[fromId, 0]]);
+  const prev = new Map<string, string>();
+  const heap: [number, string][] = [[0, fromId]];
+
+  const push = (item: [number, string]): void => {
+    heap.push(item);
+    let i = heap.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (heap[parent]![0] <= heap[i]![0]) break;
+      [heap[parent], heap[i]] = [heap[i]!, heap[parent]!];
+      i = parent;
+    }
+  };
+  const pop = (): [number, string] => {
+    const top = heap[0]!;
+    const last = heap.pop()!;
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      for (;;) {
+        const l = i * 2 + 1, r = l + 1;
+        let m = i;
+        if (l < heap.length && heap[l]![0] < heap[m]![0]) m = l;
+        if (r < heap.length && heap[r]![0] < heap[m]![0]) m = r;
+        if (m === i) break;
+        [heap[m], heap[i]] = [heap[i]!, heap[m]!];
+        i = m;
+      }
+    }
+    return top;
+  };
+
+  while (heap.length > 0) {
+    const [cost, id] = pop();
+    if (id === toId) break;
+    if (cost > (dist.get(id) ?? Infinity)) continue;
+    const from = systemsById.get(id);
+    if (!from) continue;
+    for (const nextId of adjacency.get(id) ?? []) {
+      const to = systemsById.get(nextId);
+      if (!to) continue;
+      const next = cost + Math.hypot(to.x - from.x, to.y - from.y);
+      if (next < (dist.get(nextId) ?? Infinity)) {
+        dist.set(nextId, next);
+        prev.set(nextId, id);
+        push([next, nextId]);
+      }
+    }
+  }
+
+  if (!dist.has(toId)) return null;
+  const path = [toId];
+  for (let id = toId; id !== fromId; ) {
+    id = prev.get(id)!;
+    path.unshift(id);
+  }
+  return path;
+}
+
 export class GalaxyRenderer {
   private container: HTMLElement;
 
@@ -118,16 +349,56 @@ export class GalaxyRenderer {
   private lastMouseX = 0;
   private lastMouseY = 0;
   private velocity = { x: 0, y: 0 };
+  private panTarget: { x: number; y: number } | null = null;
+
+  private activePointers = new Map<number, { x: number; y: number }>();
+  private pinch: { startDist: number; startZoom: number; lastX: number; lastY: number } | null = null;
+  private tapStart: { x: number; y: number } | null = null;
+  private lastTap: { x: number; y: number; time: number } | null = null;
+  private longPressTimer: ReturnType<typeof setTimeout> | null = null;
+  private longPressFired = false;
 
   private systems: StarSystem[] = [];
+  private systemsById = new Map<string, StarSystem>();
+  private longestSystemName = 0;       // characters; sizes the cull margin so labels survive tile seams
+  private systemGrid = new SpatialGrid<StarSystem>(SPATIAL_CELL_SIZE);
   private hyperlanes: Hyperlane[] = [];
   private fleets: Fleet[] = [];
   asteroidFields: AsteroidField[] = [];
   private stations: StationMarker[] = [];
 
-  private selectedSystemId: string | null = null;
+  // Primary system (info panel, route origin) and the full multi-selection
+  private selectedSystems = new Set<string>();
+  private selectedFleets = new Set<string>();
+  private boxSelect: { startX: number; startY: number; x: number; y: number } | null = null;
   private hoveredSystemId: string | null = null;
 
+  private laneAdjacency: Map<string, string[]> | null = null;
+  private worldBounds = { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+
+  private minimapVisible = true;
+  private minimapCorner: MinimapCorner = 'bottom-right';
+  private minimapDrag: { grabX: number; grabY: number } | null = null;
+  private suppressClick = false;
+
+  private routeFleetId: string | null = null;
+  private plannedRoute: PlannedRoute | null = null;
+
+  private fog = new FogOfWarLayer();
+  private sensorSources: SensorSource[] = [];
+
+  private overlays = new GalaxyOverlayLayer();
+  private overlayRange = { min: 0, max: 0 };
+  private overlayHint: string | null = null;
+
+  private turnTransition: TurnTransition | null = null;
+  private exportLayers: ExportLayers | null = null;
+  private animationsEnabled = true;
+  private battleMarkers: BattleSite[] = [];
+
+  // Where each fleet was on the previous setFleets, for movement sound cues
+  private fleetPositions: Map<string, { systemId: string; destinationId: string | null }> | null = null;
+
   private assets: {
     stars: Record<string, HTMLCanvasElement | HTMLImageElement>;
     nebulae: HTMLCanvasElement[];
@@ -136,15 +407,35 @@ export class GalaxyRenderer {
 
   onSystemSelected: ((system: StarSystem | null) => void) | null = null;
   onSystemHovered:  ((system: StarSystem | null) => void) | null = null;
+  onRoutePlanned:   ((route: PlannedRoute | null) => void) | null = null;
+  onOverlayChanged: ((modeId: string | null) => void) | null = null;
+  onBattleClicked:  ((battle: { systemId: string; battleId: string | null }) => void) | null = null;
+  onSelectionChanged:     ((selection: GalaxySelection) => void) | null = null;
+  onContextMenuRequested: ((request: GalaxyContextMenu) => void) | null = null;
 
   private animationFrame: number | null = null;
   private lastFrameTime = 0;
+  private renderLoopStarted = false;
+  private needsRender = true;
+
+  // Offscreen caches for layers that only change with data or large view moves
+  private starfieldCache: HTMLCanvasElement | null = null;
+  private bgViewX = NaN;
+  private bgViewY = NaN;
+  private staticCache: HTMLCanvasElement | null = null;
+  private staticCacheDirty = true;
+  private staticCacheView = { x: 0, y: 0, zoom: 1 };
+
+  private territoryPaths: TerritoryPaths[] = [];
+  private territorySignature = '';
+  private hatchTiles = new Map<string, HTMLCanvasElement>();
 
   private starSpritesheet: HTMLImageElement | null = null;
   private starCellSize = 360;
   private useStarSpritesheet = false;
 
   private _debugCount = 0;
+  private unsubscribeAccessibility: () => void;
 
   constructor(containerId: string) {
     const el = document.getElementById(containerId);
@@ -155,6 +446,8 @@ export class GalaxyRenderer {
     this.container = el;
     this.setupCanvasLayers();
     this.setupEventListeners();
+    this.overlays.setDeriver('threat', () => this.computeThreat());
+    this.unsubscribeAccessibility = onAccessibilityChange(() => this.onAccessibilityChanged());
     void this.loadAssets().then(() => this.startRenderLoop());
   }
 
@@ -198,6 +491,8 @@ export class GalaxyRenderer {
     this.assets.icons['colony']   = this.generateIcon('colony');
     this.assets.icons['fleet']    = this.generateIcon('fleet');
     this.assets.icons['starbase'] = this.generateIcon('starbase');
+    this.bgViewX = NaN;
+    this.requestRender();
     console.log('Galaxy assets loaded');
   }
 
@@ -359,28 +654,84 @@ export class GalaxyRenderer {
 
   private setupEventListeners(): void {
     const c = this.uiCanvas;
-    c.addEventListener('mousedown',  (e) => this.onMouseDown(e));
-    c.addEventListener('mousemove',  (e) => this.onMouseMove(e));
-    c.addEventListener('mouseup',    (e) => this.onMouseUp(e));
-    c.addEventListener('mouseleave', (e) => this.onMouseUp(e));
-    c.addEventListener('wheel',      (e) => this.onWheel(e), { passive: false });
-    c.addEventListener('click',      (e) => this.onClick(e));
+    c.style.touchAction = 'none'; // we handle pan/pinch ourselves
+    c.addEventListener('pointerdown',   (e) => this.onPointerDown(e));
+    c.addEventListener('pointermove',   (e) => this.onPointerMove(e));
+    c.addEventListener('pointerup',     (e) => this.onPointerUp(e, false));
+    c.addEventListener('pointercancel', (e) => this.onPointerUp(e, true));
+    c.addEventListener('wheel',         (e) => this.onWheel(e), { passive: false });
+    c.addEventListener('contextmenu',   (e) => this.onContextMenu(e));
     window.addEventListener('resize', () => this.onResize());
   }
 
-  private onMouseDown(e: MouseEvent): void {
+  private onPointerDown(e: PointerEvent): void {
+    this.requestRender();
+    const rect = this.container.getBoundingClientRect();
+    const x = e.clientX - rect.left, y = e.clientY - rect.top;
+    this.uiCanvas.setPointerCapture(e.pointerId);
+    this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.activePointers.size === 2) {
+      this.startPinch();
+      return;
+    }
+    if (this.activePointers.size > 2) return;
+
+    // A new touch dismisses the long-press tooltip of the previous one
+    if (e.pointerType !== 'mouse' && this.hoveredSystemId) {
+      this.hoveredSystemId = null;
+      this.onSystemHovered?.(null);
+    }
+
+    // The right button belongs to the context menu and neither pans nor selects
+    this.suppressClick = e.button === 2 || this.onMinimapDown(x, y);
+    if (this.suppressClick) return;
+    this.panTarget   = null;
+    this.velocity    = { x: 0, y: 0 };
+    this.tapStart    = { x: e.clientX, y: e.clientY };
+    this.longPressFired = false;
+
+    // Shift+drag draws a selection box; plain drag pans
+    if (e.shiftKey && e.pointerType === 'mouse') {
+      this.boxSelect = { startX: x, startY: y, x, y };
+      return;
+    }
     this.isDragging  = true;
     this.lastMouseX  = e.clientX;
     this.lastMouseY  = e.clientY;
-    this.velocity    = { x: 0, y: 0 };
+
+    if (e.pointerType !== 'mouse') {
+      this.longPressTimer = setTimeout(() => {
+        this.longPressTimer = null;
+        this.longPressFired = true;
+        this.checkSystemHover(x, y);
+      }, LONG_PRESS_MS);
+    }
   }
 
-  private onMouseMove(e: MouseEvent): void {
+  private onPointerMove(e: PointerEvent): void {
     const rect   = this.container.getBoundingClientRect();
     const mouseX = e.clientX - rect.left;
     const mouseY = e.clientY - rect.top;
-
-    if (this.isDragging) {
+    const tracked = this.activePointers.has(e.pointerId);
+    if (tracked) this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (this.pinch) {
+      this.updatePinch();
+    } else if (this.minimapDrag) {
+      this.panMinimapTo(mouseX, mouseY);
+    } else if (this.boxSelect && tracked) {
+      if (this.tapStart && Math.hypot(e.clientX - this.tapStart.x, e.clientY - this.tapStart.y) > TAP_SLOP) {
+        this.tapStart = null;
+      }
+      this.boxSelect.x = mouseX;
+      this.boxSelect.y = mouseY;
+      this.requestRender();
+    } else if (this.isDragging && tracked) {
+      if (this.tapStart && Math.hypot(e.clientX - this.tapStart.x, e.clientY - this.tapStart.y) > TAP_SLOP) {
+        this.tapStart = null;
+        this.cancelLongPress();
+      }
       const dx = e.clientX - this.lastMouseX;
       const dy = e.clientY - this.lastMouseY;
       this.viewX    -= dx / this.zoom;
@@ -388,13 +739,116 @@ export class GalaxyRenderer {
       this.velocity  = { x: dx, y: dy };
       this.lastMouseX = e.clientX;
       this.lastMouseY = e.clientY;
-    } else {
+      this.requestRender();
+    } else if (e.pointerType !== 'mouse') {
+      // Touch has no hover; long-press stands in for it
+    } else if (!this.isInMinimap(mouseX, mouseY)) {
       this.checkSystemHover(mouseX, mouseY);
+    } else if (this.hoveredSystemId) {
+      this.hoveredSystemId = null;
+      this.onSystemHovered?.(null);
+      this.requestRender();
     }
   }
 
-  private onMouseUp(_e: MouseEvent): void {
-    this.isDragging = false;
+  private onPointerUp(e: PointerEvent, cancelled: boolean): void {
+    if (!this.activePointers.delete(e.pointerId)) return;
+    this.cancelLongPress();
+
+    if (this.pinch) {
+      if (this.activePointers.size < 2) this.pinch = null;
+      // Lifting one finger of a pinch continues as a plain pan without inertia
+      const rest = this.activePointers.values().next().value;
+      if (rest) {
+        this.isDragging = true;
+        this.lastMouseX = rest.x;
+        this.lastMouseY = rest.y;
+        this.velocity   = { x: 0, y: 0 };
+      }
+      return;
+    }
+
+    // Only the primary button taps; a middle-button release must not select
+    const isPrimary = e.pointerType !== 'mouse' || e.button === 0;
+    const isTap = !cancelled && isPrimary && !this.longPressFired && this.tapStart !== null;
+    const box   = this.boxSelect;
+    this.isDragging  = false;
+    this.minimapDrag = null;
+    this.tapStart    = null;
+    this.boxSelect   = null;
+
+    if (this.suppressClick) { this.suppressClick = false; return; }
+    if (isTap) {
+      this.velocity = { x: 0, y: 0 };
+      this.onTap(e);
+    } else if (box && !cancelled) {
+      this.selectInBox(box);
+    }
+  }
+
+  private cancelLongPress(): void {
+    if (this.longPressTimer !== null) clearTimeout(this.longPressTimer);
+    this.longPressTimer = null;
+  }
+
+  private getPinchState(): { dist: number; centerX: number; centerY: number } {
+    const [a, b] = [...this.activePointers.values()];
+    const rect = this.container.getBoundingClientRect();
+    return {
+      dist:    Math.max(1, Math.hypot(b!.x - a!.x, b!.y - a!.y)),
+      centerX: (a!.x + b!.x) / 2 - rect.left,
+      centerY: (a!.y + b!.y) / 2 - rect.top,
+    };
+  }
+
+  private startPinch(): void {
+    this.cancelLongPress();
+    this.suppressClick = false;
+    this.isDragging  = false;
+    this.minimapDrag = null;
+    this.tapStart    = null;
+    this.panTarget   = null;
+    this.velocity    = { x: 0, y: 0 };
+    const p = this.getPinchState();
+    this.pinch = { startDist: p.dist, startZoom: this.zoom, lastX: p.centerX, lastY: p.centerY };
+  }
+
+  /** Pinch zoom anchored at the pinch centre (like onWheel at the cursor); moving both fingers pans. */
+  private updatePinch(): void {
+    if (!this.pinch || this.activePointers.size < 2) return;
+    const p = this.getPinchState();
+    const worldX = this.screenToWorldX(p.centerX);
+    const worldY = this.screenToWorldY(p.centerY);
+    this.zoom = this.targetZoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.pinch.startZoom * p.dist / this.pinch.startDist));
+    this.viewX += worldX - this.screenToWorldX(p.centerX);
+    this.viewY += worldY - this.screenToWorldY(p.centerY);
+    this.viewX -= (p.centerX - this.pinch.lastX) / this.zoom;
+    this.viewY -= (p.centerY - this.pinch.lastY) / this.zoom;
+    this.pinch.lastX = p.centerX;
+    this.pinch.lastY = p.centerY;
+    this.requestRender();
+  }
+
+  /** Tap selects; a second tap on the same spot within DOUBLE_TAP_MS centres on the system. */
+  private onTap(e: PointerEvent): void {
+    // Double-tap to centre is a touch gesture; a mouse double-click stays two plain clicks
+    if (e.pointerType === 'mouse') {
+      this.onClick(e);
+      return;
+    }
+    const now = performance.now();
+    const last = this.lastTap;
+    this.lastTap = { x: e.clientX, y: e.clientY, time: now };
+    if (last && now - last.time < DOUBLE_TAP_MS && Math.hypot(e.clientX - last.x, e.clientY - last.y) < TAP_SLOP * 3) {
+      this.lastTap = null;
+      const rect   = this.container.getBoundingClientRect();
+      const system = this.getSystemAtPosition(e.clientX - rect.left, e.clientY - rect.top);
+      if (system) {
+        this.centerOnSystem(system.id);
+        return;
+      }
+    }
+    this.onClick(e);
   }
 
   private onWheel(e: WheelEvent): void {
@@ -408,15 +862,95 @@ export class GalaxyRenderer {
     this.targetZoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.zoom * factor));
     this.viewX += worldX - this.screenToWorldX(mouseX);
     this.viewY += worldY - this.screenToWorldY(mouseY);
+    this.requestRender();
   }
 
   private onClick(e: MouseEvent): void {
     const rect   = this.container.getBoundingClientRect();
     const mouseX = e.clientX - rect.left;
     const mouseY = e.clientY - rect.top;
+
+    const battle = this.getBattleMarkerAt(mouseX, mouseY);
+    if (battle) {
+      this.onBattleClicked?.({ systemId: battle.systemId, battleId: battle.battleId });
+      return;
+    }
+
     const system = this.getSystemAtPosition(mouseX, mouseY);
-    this.selectedSystemId = system?.id ?? null;
-    this.onSystemSelected?.(system ?? null);
+    this.requestRender();
+
+    // Shift-click plans a hyperlane route instead of changing the selection
+    if (e.shiftKey) {
+      const originId = this.getRouteOriginId();
+      if (system && originId && system.id !== originId) {
+        this.planRoute(originId, system.id);
+      } else {
+        this.clearRoute();
+      }
+      return;
+    }
+
+    // Fleet markers sit on top of their star, so they win over the system underneath
+    const fleetId = this.getFleetMarkerAt(mouseX, mouseY)?.fleet.id ?? null;
+
+    const primaryBefore = this.primarySystemId;
+
+    // Ctrl-click (Cmd on macOS) adds to or removes from the selection
+    const toggle = e.ctrlKey || e.metaKey;
+    if (toggle) {
+      if (fleetId) {
+        if (!this.selectedFleets.delete(fleetId)) this.selectedFleets.add(fleetId);
+      } else if (system) {
+        if (!this.selectedSystems.delete(system.id)) this.selectedSystems.add(system.id);
+      } else {
+        return;
+      }
+    } else {
+      this.selectedSystems.clear();
+      this.selectedFleets.clear();
+      if (fleetId) this.selectedFleets.add(fleetId);
+      else if (system) this.selectedSystems.add(system.id);
+    }
+    // A plain click on a star (or empty space) always reports it, even if unchanged
+    if (this.primarySystemId !== primaryBefore || (!toggle && !fleetId)) this.selectSystem(this.primarySystem);
+    this.selectionChanged();
+  }
+
+  /** The most recently added selected system; route origin and info panel follow it. */
+  private get primarySystemId(): string | null {
+    let last: string | null = null;
+    for (const id of this.selectedSystems) last = id;
+    return last;
+  }
+
+  private get primarySystem(): StarSystem | null {
+    const id = this.primarySystemId;
+    return id ? this.systemsById.get(id) ?? null : null;
+  }
+
+  private selectSystem(system: StarSystem | null): void {
+    this.onSystemSelected?.(system);
+    for (const listener of selectionListeners) listener(system);
+  }
+
+  private onContextMenu(e: MouseEvent): void {
+    e.preventDefault();
+    const rect   = this.container.getBoundingClientRect();
+    const mouseX = e.clientX - rect.left;
+    const mouseY = e.clientY - rect.top;
+    if (this.isInMinimap(mouseX, mouseY)) return;
+
+    const marker = this.getFleetMarkerAt(mouseX, mouseY);
+    const system = this.getSystemAtPosition(mouseX, mouseY);
+    this.onContextMenuRequested?.({
+      ...this.getSelection(),
+      worldX: this.screenToWorldX(mouseX),
+      worldY: this.screenToWorldY(mouseY),
+      targetSystemId: marker?.fleet.systemId ?? system?.id ?? null,
+      targetFleetId:  marker?.fleet.id ?? null,
+      clientX: e.clientX,
+      clientY: e.clientY,
+    });
   }
 
   private onResize(): void {
@@ -426,6 +960,17 @@ export class GalaxyRenderer {
       c.width = w;
       c.height = h;
     }
+    this.starfieldCache   = null;
+    this.bgViewX          = NaN;
+    this.staticCacheDirty = true;
+    this.requestRender();
+  }
+
+  /** Palette, pattern or scale changed: the cached layers hold old colours. */
+  private onAccessibilityChanged(): void {
+    if (isReducedMotion()) this.skipTurnTransition();
+    this.staticCacheDirty = true;
+    this.requestRender();
   }
 
   private screenToWorldX(screenX: number): number {
@@ -441,26 +986,99 @@ export class GalaxyRenderer {
     return (worldY - this.viewY) * this.zoom + this.mainCanvas.height / 2;
   }
 
+  /** Maps a world-space rectangle to viewport (client) pixels for DOM overlays. */
+  worldRectToClient(x: number, y: number, width: number, height: number): DOMRect {
+    const bounds = this.mainCanvas.getBoundingClientRect();
+    return new DOMRect(
+      bounds.left + this.worldToScreenX(x),
+      bounds.top  + this.worldToScreenY(y),
+      width  * this.zoom,
+      height * this.zoom,
+    );
+  }
+
   setSystems(systems: StarSystem[]): void {
     console.log('🌟 Galaxy: Setting systems:', systems?.length ?? 0);
     this.systems = systems ?? [];
+    this.systemsById = new Map(this.systems.map(s => [s.id, s] as const));
+    this.longestSystemName = this.systems.reduce((m, s) => Math.max(m, s.name?.length ?? 0), 0);
+    this.systemGrid.build(this.systems);
     if (this.systems.length > 0) {
       this.calculateBounds();
     }
+    this.updateTerritories();
+    this.updateFogExplored();
+    this.updateFogSensors();
+    this.staticCacheDirty = true;
+    this.pruneSelection();
+    this.requestRender();
+    this.refreshRoute();
   }
 
   setHyperlanes(hyperlanes: Hyperlane[]): void {
     console.log('🔗 Galaxy: Setting hyperlanes:', hyperlanes?.length ?? 0);
     this.hyperlanes = hyperlanes ?? [];
+    this.laneAdjacency = null;
+    this.staticCacheDirty = true;
+    this.requestRender();
+    this.refreshRoute();
   }
 
   setFleets(fleets: Fleet[]): void {
     this.fleets = fleets;
+    this.updateFogSensors();
+    this.playFleetMovementSounds();
+    this.pruneSelection();
+    this.requestRender();
+    this.refreshRoute();
+  }
+
+  /** Arrival and warp-out cues for fleets that moved since the last update; the first update is silent. */
+  private playFleetMovementSounds(): void {
+    const previous = this.fleetPositions;
+    this.fleetPositions = new Map();
+    for (const fleet of this.fleets) {
+      if (fleet.id) this.fleetPositions.set(fleet.id, { systemId: fleet.systemId, destinationId: fleet.destinationId ?? null });
+    }
+    if (!previous) return;
+
+    for (const fleet of this.fleets) {
+      const before = fleet.id ? previous.get(fleet.id) : undefined;
+      if (!before || !this.isFleetVisible(fleet)) continue;
+      if (before.systemId !== fleet.systemId) {
+        this.playSoundAtSystem('fleet_arrival', fleet.systemId);
+      } else if (fleet.destinationId && fleet.destinationId !== before.destinationId) {
+        this.playSoundAtSystem('warp', fleet.systemId);
+      }
+    }
+  }
+
+  private playSoundAtSystem(sound: string, systemId: string): void {
+    const system = this.systemsById.get(systemId);
+    const { width, height } = this.mainCanvas;
+    if (!system || width === 0 || height === 0) return;
+    // GameSounds pans across the view and drops anything off-screen
+    window.GameSounds?.playAt(sound, this.worldToScreenX(system.x) / width, this.worldToScreenY(system.y) / height);
   }
 
   public setStations(stations: StationMarker[]): void {
     this.stations = stations;
-    this.render();
+    this.updateFogSensors();
+    this.requestRender();
+  }
+
+  /** Sensor ranges that lift the fog; an empty list turns the fog layer off. */
+  setSensorSources(sources: SensorSource[]): void {
+    this.sensorSources = sources ?? [];
+    this.fog.enabled = this.sensorSources.length > 0;
+    this.updateFogExplored();
+    this.updateFogSensors();
+    this.requestRender();
+  }
+
+  setAsteroidFields(fields: AsteroidField[]): void {
+    this.asteroidFields = fields ?? [];
+    this.requestRender();
   }
 
   private calculateBounds(): void {
@@ -472,6 +1090,7 @@ export class GalaxyRenderer {
     }
     this.viewX  = (minX + maxX) / 2;
     this.viewY  = (minY + maxY) / 2;
+    this.worldBounds = { minX, minY, maxX, maxY };
   }
 
   private checkSystemHover(screenX: number, screenY: number): void {
@@ -479,43 +1098,84 @@ export class GalaxyRenderer {
     const newId  = system?.id ?? null;
     if (newId !== this.hoveredSystemId) {
       this.hoveredSystemId = newId;
+      this.requestRender();
       this.onSystemHovered?.(system ?? null);
     }
   }
 
   private getSystemAtPosition(screenX: number, screenY: number): StarSystem | undefined {
     const hitRadius = 20 / this.zoom;
-    const worldX = this.screenToWorldX(screenX);
-    const worldY = this.screenToWorldY(screenY);
-    return this.systems.find(s => {
-      const dx = s.x - worldX, dy = s.y - worldY;
-      return dx * dx + dy * dy < hitRadius * hitRadius;
-    });
+    return this.systemGrid.nearest(this.screenToWorldX(screenX), this.screenToWorldY(screenY), hitRadius);
   }
 
   private startRenderLoop(): void {
-    const render = (timestamp: number) => {
+    this.renderLoopStarted = true;
+    this.requestRender();
+  }
+
+  /** Schedules a frame; the loop keeps running only while something is animating. */
+  requestRender(): void {
+    this.needsRender = true;
+    if (!this.renderLoopStarted || this.animationFrame !== null) return;
+    this.lastFrameTime = performance.now();
+    const frame = (timestamp: number) => {
       const dt = (timestamp - this.lastFrameTime) / 1000;
       this.lastFrameTime = timestamp;
-      this.update(dt);
-      this.render();
-      this.animationFrame = requestAnimationFrame(render);
+      const animating = this.update(dt);
+      if (this.needsRender || animating) {
+        this.needsRender = false;
+        this.render();
+      }
+      this.animationFrame = animating || this.needsRender ? requestAnimationFrame(frame) : null;
     };
-    this.animationFrame = requestAnimationFrame(render);
+    this.animationFrame = requestAnimationFrame(frame);
   }
 
   stopRenderLoop(): void {
     if (this.animationFrame !== null) cancelAnimationFrame(this.animationFrame);
+    this.animationFrame = null;
+    this.renderLoopStarted = false;
   }
 
-  private update(_dt: number): void {
-    this.zoom += (this.targetZoom - this.zoom) * 0.1;
+  /** Advances zoom easing and pan inertia; returns true while the view is still moving. */
+  private update(_dt: number): boolean {
+    let animating = false;
+    // Reduced motion: zoom and pan jump to their target and drags stop dead
+    if (isReducedMotion()) {
+      this.zoom = this.targetZoom;
+      if (this.panTarget) { this.viewX = this.panTarget.x; this.viewY = this.panTarget.y; this.panTarget = null; }
+      this.velocity = { x: 0, y: 0 };
+    }
+    if (Math.abs(this.targetZoom - this.zoom) > 0.0005) {
+      this.zoom += (this.targetZoom - this.zoom) * 0.1;
+      animating = true;
+    } else {
+      this.zoom = this.targetZoom;
+    }
+    if (this.panTarget) {
+      const dx = this.panTarget.x - this.viewX, dy = this.panTarget.y - this.viewY;
+      if (Math.abs(dx) * this.zoom < 0.5 && Math.abs(dy) * this.zoom < 0.5) {
+        this.viewX = this.panTarget.x;
+        this.viewY = this.panTarget.y;
+        this.panTarget = null;
+      } else {
+        this.viewX += dx * 0.15;
+        this.viewY += dy * 0.15;
+        animating = true;
+      }
+    }
     if (!this.isDragging && (Math.abs(this.velocity.x) > 0.1 || Math.abs(this.velocity.y) > 0.1)) {
       this.viewX    -= this.velocity.x / this.zoom * 0.3;
       this.viewY    -= this.velocity.y / this.zoom * 0.3;
       this.velocity.x *= 0.95;
       this.velocity.y *= 0.95;
+      animating = true;
+    }
+    if (this.turnTransition) {
+      if (this.turnTransition.tick(performance.now())) animating = true;
+      else this.turnTransition = null;
     }
+    return animating;
   }
 
   private render(): void {
@@ -524,11 +1184,14 @@ export class GalaxyRenderer {
     this.renderUI();
   }
 
-  private renderBackground(): void {
-    const ctx = this.bgCtx, w = this.bgCanvas.width, h = this.bgCanvas.height;
+  private getStarfieldCache(w: number, h: number): HTMLCanvasElement {
+    if (this.starfieldCache) return this.starfieldCache;
+    const canvas = document.createElement('canvas');
+    canvas.width  = w;
+    canvas.height = h;
+    const ctx = canvas.getContext('2d')!;
     ctx.fillStyle = '#050510';
     ctx.fillRect(0, 0, w, h);
-
     ctx.fillStyle = 'rgba(255,255,255,0.5)';
     for (let i = 0; i < 200; i++) {
       const x = (i * 137.5) % w, y = (i * 97.3) % h;
@@ -536,6 +1199,18 @@ export class GalaxyRenderer {
       ctx.arc(x, y, (i % 3) * 0.5 + 0.5, 0, Math.PI * 2);
       ctx.fill();
     }
+    this.starfieldCache = canvas;
+    return canvas;
+  }
+
+  private renderBackground(): void {
+    // The nearest nebula layer scrolls at 0.1x; skip the redraw until it would move a whole pixel
+    if (Math.abs(this.viewX - this.bgViewX) * 0.1 < 1 && Math.abs(this.viewY - this.bgViewY) * 0.1 < 1) return;
+    this.bgViewX = this.viewX;
+    this.bgViewY = this.viewY;
+
+    const ctx = this.bgCtx, w = this.bgCanvas.width, h = this.bgCanvas.height;
+    ctx.drawImage(this.getStarfieldCache(w, h), 0, 0);
 
     this.assets.nebulae.forEach((nebula, i) => {
       const parallax = 0.1 + i * 0.05;
@@ -555,41 +1230,85 @@ export class GalaxyRenderer {
     const ctx = this.mainCtx, w = this.mainCanvas.width, h = this.mainCanvas.height;
     ctx.clearRect(0, 0, w, h);
     this.renderAsteroidFields(ctx);
-    this.renderHyperlanes(ctx);
-    this.renderTerritories(ctx);
+    this.renderStaticLayers(ctx, w, h);
     this.renderSystems(ctx);
     this.renderFleets(ctx);
     this.renderStations(ctx);
+    this.turnTransition?.render(
+      ctx, p => ({ x: this.worldToScreenX(p.x), y: this.worldToScreenY(p.y) }), this.zoom, performance.now(),
+    );
+    this.fog.apply(ctx, { viewX: this.viewX, viewY: this.viewY, zoom: this.zoom, width: w, height: h });
+    this.renderOverlay(ctx);
+    this.renderBattleMarkers(ctx);
+    this.renderRoute(ctx);
+  }
+
+  /**
+   * Hyperlanes and territories are drawn into an offscreen canvas that covers the viewport plus a
+   * margin. It is only rebuilt when the data changes or the view leaves the cached region/zoom.
+   */
+  private renderStaticLayers(ctx: CanvasRenderingContext2D, w: number, h: number): void {
+    const cv = this.staticCacheView;
+    const zoomRatio = this.zoom / cv.zoom;
+    const mx = w * STATIC_CACHE_MARGIN, my = h * STATIC_CACHE_MARGIN;
+    const offX = (cv.x - this.viewX) * this.zoom;
+    const offY = (cv.y - this.viewY) * this.zoom;
+
+    if (
+      this.staticCacheDirty || !this.staticCache ||
+      Math.abs(zoomRatio - 1) > STATIC_CACHE_ZOOM_TOLERANCE ||
+      Math.abs(offX) > mx * 0.8 || Math.abs(offY) > my * 0.8
+    ) {
+      this.rebuildStaticCache(w, h);
+    }
+
+    const cache = this.staticCache!;
+    const scale = this.zoom / this.staticCacheView.zoom;
+    const cw = cache.width * scale, ch = cache.height * scale;
+    const dx = w / 2 + (this.staticCacheView.x - this.viewX) * this.zoom - cw / 2;
+    const dy = h / 2 + (this.staticCacheView.y - this.viewY) * this.zoom - ch / 2;
+    ctx.drawImage(cache, dx, dy, cw, ch);
   }
 
-  private renderHyperlanes(ctx: CanvasRenderingContext2D): void {
+  private rebuildStaticCache(w: number, h: number): void {
+    const cw = Math.ceil(w * (1 + STATIC_CACHE_MARGIN * 2));
+    const ch = Math.ceil(h * (1 + STATIC_CACHE_MARGIN * 2));
+    if (!this.staticCache) this.staticCache = document.createElement('canvas');
+    this.staticCache.width  = cw;
+    this.staticCache.height = ch;
+    const ctx = this.staticCache.getContext('2d')!;
+    ctx.clearRect(0, 0, cw, ch);
+
+    this.staticCacheView  = { x: this.viewX, y: this.viewY, zoom: this.zoom };
+    this.staticCacheDirty = false;
+
+    // Shift so worldToScreen output lands in cache coordinates
+    ctx.save();
+    ctx.translate((cw - w) / 2, (ch - h) / 2);
+    this.renderHyperlanes(ctx, cw, ch);
+    this.renderTerritories(ctx);
+    ctx.restore();
+  }
+
+  private renderHyperlanes(ctx: CanvasRenderingContext2D, cacheW: number, cacheH: number): void {
+    const w = this.mainCanvas.width, h = this.mainCanvas.height;
+    const left = -(cacheW - w) / 2, top = -(cacheH - h) / 2;
+    const right = left + cacheW, bottom = top + cacheH;
+
     for (const lane of this.hyperlanes) {
-      const from = this.systems.find(s => s.id === lane.fromId);
-      const to   = this.systems.find(s => s.id === lane.toId);
+      const from = this.systemsById.get(lane.fromId);
+      const to   = this.systemsById.get(lane.toId);
       if (!from || !to) continue;
 
-      const fromVis = from.visibilityLevel ?? 3;
-      const toVis = to.visibilityLevel ?? 3;
-      if (fromVis === 0 || toVis === 0) continue;
+      const style = this.getLaneStyle(from, to);
+      if (!style) continue;
 
       const x1 = this.worldToScreenX(from.x), y1 = this.worldToScreenY(from.y);
       const x2 = this.worldToScreenX(to.x),   y2 = this.worldToScreenY(to.y);
-      let color = '#334466';
-      if (from.factionId && from.factionId === to.factionId) {
-        color = this.getFactionColor(from.factionId);
-      }
+      if (Math.max(x1, x2) < left || Math.min(x1, x2) > right || Math.max(y1, y2) < top || Math.min(y1, y2) > bottom) continue;
 
-      const minVis = Math.min(fromVis, toVis);
-      if (minVis <= 1) {
-        ctx.globalAlpha = 0.15;
-        color = '#334455';
-      } else if (minVis === 4) {
-        ctx.globalAlpha = 0.25;
-      } else {
-        ctx.globalAlpha = 0.4;
-      }
-
-      ctx.strokeStyle = color;
+      ctx.globalAlpha = style.alpha;
+      ctx.strokeStyle = style.color;
       ctx.lineWidth   = this.zoom > 0.5 ? 2 : 1;
       ctx.beginPath();
       ctx.moveTo(x1, y1);
@@ -599,18 +1318,109 @@ export class GalaxyRenderer {
     ctx.globalAlpha = 1;
   }
 
+  /** Lane colour by shared ownership, faded by the lower visibility of its ends; null when either end is Unknown. */
+  private getLaneStyle(from: StarSystem, to: StarSystem): { color: string; alpha: number } | null {
+    const fromVis = from.visibilityLevel ?? 3;
+    const toVis = to.visibilityLevel ?? 3;
+    if (fromVis === 0 || toVis === 0) return null;
+
+    const minVis = Math.min(fromVis, toVis);
+    if (minVis <= 1) return { color: '#334455', alpha: 0.15 };
+    const color = from.factionId && from.factionId === to.factionId ? this.getFactionColor(from.factionId) : '#334466';
+    return { color, alpha: minVis === 4 ? 0.25 : 0.4 };
+  }
+
+  /** Recomputes border geometry, but only when system ownership or positions changed. */
+  private updateTerritories(): void {
+    const owned = this.systems.filter((s): s is StarSystem & { factionId: string } => !!s.factionId);
+    const signature = owned.map(s => `${s.id}:${s.factionId}:${s.x}:${s.y}`).join('|');
+    if (signature === this.territorySignature) return;
+    this.territorySignature = signature;
+
+    const territories = computeTerritories(
+      owned.map(s => ({ id: s.id, x: s.x, y: s.y, factionId: s.factionId })),
+      { range: TERRITORY_RANGE, contestedDistance: TERRITORY_CONTESTED_DISTANCE, bandWidth: TERRITORY_BAND_WIDTH },
+    );
+
+    const addPolygon = (path: Path2D, points: TerritoryPoint[]): void => {
+      points.forEach((p, i) => (i === 0 ? path.moveTo(p.x, p.y) : path.lineTo(p.x, p.y)));
+      path.closePath();
+    };
+
+    this.territoryPaths = [...territories.values()].map(t => {
+      const fill = new Path2D();
+      for (const cell of t.cells) addPolygon(fill, cell);
+      const border = new Path2D();
+      for (const seg of t.border) { border.moveTo(seg.a.x, seg.a.y); border.lineTo(seg.b.x, seg.b.y); }
+      let contested: Path2D | null = null;
+      if (t.contested.length > 0) {
+        contested = new Path2D();
+        for (const quad of t.contested) addPolygon(contested, quad);
+      }
+      return { factionId: t.factionId, fill, border, borderSegments: t.border, contested };
+    });
+  }
+
+  private getHatchTile(color: string): HTMLCanvasElement {
+    let tile = this.hatchTiles.get(color);
+    if (tile) return tile;
+    tile = document.createElement('canvas');
+    tile.width = tile.height = 8;
+    const ctx = tile.getContext('2d')!;
+    ctx.strokeStyle = color;
+    ctx.lineWidth   = 2;
+    ctx.beginPath();
+    ctx.moveTo(-2, 10); ctx.lineTo(10, -2);
+    ctx.moveTo(-2, 2);  ctx.lineTo(2, -2);
+    ctx.moveTo(6, 10);  ctx.lineTo(10, 6);
+    ctx.stroke();
+    this.hatchTiles.set(color, tile);
+    return tile;
+  }
+
   private renderTerritories(ctx: CanvasRenderingContext2D): void {
-    for (const system of this.systems) {
-      if (!system.factionId) continue;
-      const x = this.worldToScreenX(system.x), y = this.worldToScreenY(system.y);
-      const r = 50 * this.zoom;
-      const color = this.getFactionColor(system.factionId);
-      const grad  = ctx.createRadialGradient(x, y, 0, x, y, r);
-      grad.addColorStop(0, color + '44');
-      grad.addColorStop(1, color + '00');
-      ctx.fillStyle = grad;
-      ctx.beginPath(); ctx.arc(x, y, r, 0, Math.PI * 2); ctx.fill();
+    if (this.territoryPaths.length === 0) return;
+    ctx.save();
+    // Geometry is in world units
+    ctx.translate(this.worldToScreenX(0), this.worldToScreenY(0));
+    ctx.scale(this.zoom, this.zoom);
+
+    for (const t of this.territoryPaths) {
+      const color = this.getFactionColor(t.factionId);
+      ctx.fillStyle = color + '2a';
+      ctx.fill(t.fill);
+
+      // Secondary encoding: each faction's territory also carries its own pattern
+      if (patternsEnabled()) {
+        const pattern = ctx.createPattern(factionPatternTile(t.factionId, color), 'repeat');
+        if (pattern) {
+          pattern.setTransform(new DOMMatrix().scale(1 / this.zoom));
+          ctx.globalAlpha = 0.35;
+          ctx.fillStyle   = pattern;
+          ctx.fill(t.fill);
+          ctx.globalAlpha = 1;
+        }
+      }
+
+      if (t.contested) {
+        const pattern = ctx.createPattern(this.getHatchTile(color), 'repeat');
+        if (pattern) {
+          pattern.setTransform(new DOMMatrix().scale(1 / this.zoom)); // constant on-screen spacing
+          ctx.globalAlpha = 0.7;
+          ctx.fillStyle   = pattern;
+          ctx.fill(t.contested);
+          ctx.globalAlpha = 1;
+        }
+      }
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth   = 2 / this.zoom;
+      ctx.lineCap     = 'round';
+      ctx.globalAlpha = 0.85;
+      ctx.stroke(t.border);
+      ctx.globalAlpha = 1;
     }
+    ctx.restore();
   }
 
   private renderAsteroidFields(ctx: CanvasRenderingContext2D): void {
@@ -652,19 +1462,26 @@ export class GalaxyRenderer {
   }
 
   private renderSystems(ctx: CanvasRenderingContext2D): void {
-    for (const system of this.systems) {
+    const w = this.mainCanvas.width, h = this.mainCanvas.height;
+    // Stars just off-canvas still reach in with their rings, icons and centred label;
+    // export tiles are drawn independently, so a short margin cuts them at the seams
+    const labelFont = fontPx(Math.max(10, 12 * this.zoom));
+    const reach = Math.max(50, 30 * this.zoom + 20, labelFont * LABEL_CHAR_WIDTH * this.longestSystemName / 2);
+    const margin = reach / this.zoom;
+    const visible = this.systemGrid.query(
+      this.screenToWorldX(0) - margin, this.screenToWorldY(0) - margin,
+      this.screenToWorldX(w) + margin, this.screenToWorldY(h) + margin,
+    );
+    for (const system of visible) {
       const x = this.worldToScreenX(system.x), y = this.worldToScreenY(system.y);
-      const w = this.mainCanvas.width, h = this.mainCanvas.height;
-      if (x < -50 || x > w + 50 || y < -50 || y > h + 50) continue;
 
       const visLevel = system.visibilityLevel ?? 3; // default Full
       if (visLevel === 0) continue; // Unknown = skip
 
       // Set alpha based on visibility
-      const alphaMap: Record<number, number> = { 1: 0.3, 2: 0.6, 3: 1.0, 4: 0.5 };
-      ctx.globalAlpha = alphaMap[visLevel] ?? 1.0;
+      ctx.globalAlpha = VISIBILITY_ALPHA[visLevel] ?? 1.0;
 
-      const isSelected = system.id === this.selectedSystemId;
+      const isSelected = this.selectedSystems.has(system.id);
       const isHovered  = system.id === this.hoveredSystemId;
       const starSize   = (isSelected || isHovered ? 40 : 32) * this.zoom;
       const starType   = system.starType ?? 'yellow';
@@ -730,13 +1547,15 @@ export class GalaxyRenderer {
         ctx.drawImage(colonyIcon, x + starSize / 2 - 8, y - starSize / 2 - 8, 20, 20);
       }
       const fleetIcon = this.assets.icons['fleet'];
-      if (system.hasFleet && fleetIcon) {
+      if (system.hasFleet && fleetIcon && (this.exportLayers?.fleets ?? true)) {
         ctx.drawImage(fleetIcon, x - starSize / 2 - 12, y - starSize / 2 - 8, 20, 20);
       }
 
-      if ((this.zoom > 0.6 || isSelected || isHovered) && visLevel >= 2) {
+      // Exports draw every label (or none) regardless of scale
+      const showLabel = this.exportLayers ? this.exportLayers.labels : this.zoom > 0.6 || isSelected || isHovered;
+      if (showLabel && visLevel >= 2) {
         ctx.fillStyle = isSelected ? '#ffcc00' : (isHovered ? '#ffffff' : '#aabbcc');
-        ctx.font      = `${Math.max(10, 12 * this.zoom)}px 'Orbitron', sans-serif`;
+        ctx.font      = `${labelFont}px 'Orbitron', sans-serif`;
         ctx.textAlign = 'center';
         ctx.fillText(system.name, x, y + starSize / 2 + 14);
       }
@@ -745,12 +1564,56 @@ export class GalaxyRenderer {
     }
   }
 
+  // ── Fog of war ─────────────────────────────────────────────────────────
+
+  private updateFogExplored(): void {
+    if (!this.fog.enabled || this.systems.length === 0) return;
+    const maxRadius = this.sensorSources.reduce((m, src) => Math.max(m, src.radius), FOG_EXPLORED_RADIUS);
+    this.fog.setBounds(this.worldBounds, maxRadius);
+    this.fog.setExplored(
+      this.systems
+        .filter(s => s.isExplored ?? (s.visibilityLevel ?? 3) >= 2)
+        .map(s => ({ x: s.x, y: s.y, radius: FOG_EXPLORED_RADIUS })),
+    );
+  }
+
+  /** Resolves sensor sources to world circles; the fog layer repaints only what moved. */
+  private updateFogSensors(): void {
+    if (!this.fog.enabled || this.systems.length === 0) return;
+    const maxRadius = this.sensorSources.reduce((m, src) => Math.max(m, src.radius), FOG_EXPLORED_RADIUS);
+    this.fog.setBounds(this.worldBounds, maxRadius);
+
+    const circles = new Map<string, SensorCircle>();
+    for (const src of this.sensorSources) {
+      // System and station sources are keyed by system id; fleets are found where they are now
+      const systemId = src.kind === 'fleet' ? this.fleets.find(f => f.id === src.id)?.systemId : src.id;
+      const sys = systemId ? this.systemsById.get(systemId) : undefined;
+      if (sys) circles.set(`${src.kind}:${src.id}`, { x: sys.x, y: sys.y, radius: src.radius });
+    }
+    this.fog.setSensors(circles);
+  }
+
+  /** Foreign fleets are only shown inside sensor coverage. */
+  private isFleetVisible(fleet: Fleet): boolean {
+    if (fleet.isOwn !== false || !this.fog.enabled) return true;
+    const sys = this.systemsById.get(fleet.systemId);
+    return !!sys && this.fog.isCovered(sys.x, sys.y);
+  }
+
+  /** Fleets drawn at their system; those still gliding in a turn transition are drawn by the transition. */
+  private getDrawnFleets(): Fleet[] {
+    const gliding = this.turnTransition?.glidingFleetIds;
+    return this.fleets.filter(f => this.isFleetVisible(f) && !(f.id && gliding?.has(f.id)));
+  }
+
   private renderFleets(ctx: CanvasRenderingContext2D): void {
+    const fleets = this.getDrawnFleets();
+
     // Moving fleet travel lines
-    for (const fleet of this.fleets) {
+    for (const fleet of fleets) {
       if (!fleet.destinationId) continue;
-      const sys  = this.systems.find(s => s.id === fleet.systemId);
-      const dest = this.systems.find(s => s.id === fleet.destinationId);
+      const sys  = this.systemsById.get(fleet.systemId);
+      const dest = this.systemsById.get(fleet.destinationId);
       if (!sys || !dest) continue;
       ctx.strokeStyle = '#ffaa00';
       ctx.lineWidth   = 2;
@@ -762,17 +1625,19 @@ export class GalaxyRenderer {
       ctx.setLineDash([]);
     }
 
+    this.renderFleetMarkers(ctx);
+
     // Fleet HUD — AP bar + flagship label + strength badge (per system)
     if (this.zoom < 0.4) return;
     const fleetsPerSystem = new Map<string, typeof this.fleets>();
-    for (const fleet of this.fleets) {
+    for (const fleet of fleets) {
       const key = fleet.systemId;
       if (!fleetsPerSystem.has(key)) fleetsPerSystem.set(key, []);
       fleetsPerSystem.get(key)!.push(fleet);
     }
 
     for (const [sysId, sysFleets] of fleetsPerSystem) {
-      const sys = this.systems.find(s => s.id === sysId);
+      const sys = this.systemsById.get(sysId);
       if (!sys) continue;
       const sx = this.worldToScreenX(sys.x);
       const sy = this.worldToScreenY(sys.y);
@@ -786,7 +1651,7 @@ export class GalaxyRenderer {
 
         // Flagship class label
         if (fc) {
-          ctx.font      = `bold ${Math.max(8, 9 * this.zoom)}px 'Orbitron',sans-serif`;
+          ctx.font      = `bold ${fontPx(Math.max(8, 9 * this.zoom))}px 'Orbitron',sans-serif`;
           ctx.textAlign = 'center';
           ctx.fillStyle = '#ffcc66';
           ctx.fillText(fc.toUpperCase(), sx, sy + yOffset);
@@ -813,7 +1678,7 @@ export class GalaxyRenderer {
         // Combat strength badge (only if we have data)
         if (cs > 0 && this.zoom > 0.6) {
           const label = cs >= 1000 ? `${(cs / 1000).toFixed(1)}k` : String(cs);
-          ctx.font      = `${Math.max(8, 9 * this.zoom)}px 'Orbitron',sans-serif`;
+          ctx.font      = `${fontPx(Math.max(8, 9 * this.zoom))}px 'Orbitron',sans-serif`;
           const tw      = ctx.measureText(`⚔ ${label}`).width + 8;
           const bx      = sx - tw / 2;
           const by      = sy + yOffset - 10;
@@ -832,9 +1697,132 @@ export class GalaxyRenderer {
     }
   }
 
+  // ── Selection ──────────────────────────────────────────────────────────
+
+  getSelection(): GalaxySelection {
+    return { systems: [...this.selectedSystems], fleets: [...this.selectedFleets] };
+  }
+
+  /** Replaces the selection from outside (e.g. a fleet list) without echoing onSelectionChanged. */
+  setSelection(selection: Partial<GalaxySelection>): void {
+    this.selectedSystems = new Set(selection.systems ?? []);
+    this.selectedFleets  = new Set(selection.fleets ?? []);
+    this.pruneSelection(false);
+    this.requestRender();
+  }
+
+  clearSelection(): void {
+    if (this.selectedSystems.size === 0 && this.selectedFleets.size === 0) return;
+    this.selectedSystems.clear();
+    this.selectedFleets.clear();
+    this.selectionChanged();
+  }
+
+  private selectionChanged(): void {
+    this.requestRender();
+    this.onSelectionChanged?.(this.getSelection());
+  }
+
+  /** Drops ids that vanished in a data refresh so the rest of the selection survives it. */
+  private pruneSelection(notify = true): void {
+    let changed = false;
+    for (const id of this.selectedSystems) {
+      if (!this.systemsById.has(id)) { this.selectedSystems.delete(id); changed = true; }
+    }
+    const fleetIds = new Set(this.fleets.map(f => f.id));
+    for (const id of this.selectedFleets) {
+      if (!fleetIds.has(id)) { this.selectedFleets.delete(id); changed = true; }
+    }
+    if (changed && notify) this.onSelectionChanged?.(this.getSelection());
+  }
+
+  /** Adds every known system and visible fleet marker inside the dragged box. */
+  private selectInBox(box: { startX: number; startY: number; x: number; y: number }): void {
+    const left = Math.min(box.startX, box.x), right  = Math.max(box.startX, box.x);
+    const top  = Math.min(box.startY, box.y), bottom = Math.max(box.startY, box.y);
+    const inBox = (x: number, y: number): boolean => x >= left && x <= right && y >= top && y <= bottom;
+
+    const systems = this.systemGrid.query(
+      this.screenToWorldX(left), this.screenToWorldY(top), this.screenToWorldX(right), this.screenToWorldY(bottom),
+    );
+    for (const system of systems) {
+      if ((system.visibilityLevel ?? 3) > 0) this.selectedSystems.add(system.id);
+    }
+    for (const marker of this.getFleetMarkers()) {
+      if (inBox(marker.x, marker.y)) this.selectedFleets.add(marker.fleet.id!);
+    }
+    this.selectionChanged();
+  }
+
+  /** Screen positions of the selectable fleet markers, fanned clockwise from below-right of each star. */
+  private getFleetMarkers(): { fleet: Fleet; x: number; y: number }[] {
+    const markers: { fleet: Fleet; x: number; y: number }[] = [];
+    const perSystem = new Map<string, number>();
+    const radius = 16 * this.zoom + 10;
+    for (const fleet of this.getDrawnFleets()) {
+      const sys = fleet.id ? this.systemsById.get(fleet.systemId) : undefined;
+      if (!sys) continue;
+      const index = perSystem.get(sys.id) ?? 0;
+      perSystem.set(sys.id, index + 1);
+      const angle = Math.PI / 4 + index * FLEET_MARKER_STEP;
+      markers.push({
+        fleet,
+        x: this.worldToScreenX(sys.x) + Math.cos(angle) * radius,
+        y: this.worldToScreenY(sys.y) + Math.sin(angle) * radius,
+      });
+    }
+    return markers;
+  }
+
+  private getFleetMarkerAt(screenX: number, screenY: number): { fleet: Fleet; x: number; y: number } | undefined {
+    let best: { fleet: Fleet; x: number; y: number } | undefined;
+    let bestDist = FLEET_MARKER_HIT_RADIUS;
+    for (const marker of this.getFleetMarkers()) {
+      const d = Math.hypot(marker.x - screenX, marker.y - screenY);
+      if (d <= bestDist) { best = marker; bestDist = d; }
+    }
+    return best;
+  }
+
+  private renderFleetMarkers(ctx: CanvasRenderingContext2D): void {
+    const s = FLEET_MARKER_SIZE;
+    for (const { fleet, x, y } of this.getFleetMarkers()) {
+      ctx.fillStyle   = fleet.isOwn !== false ? '#00ccff' : this.getFactionColor(fleet.factionId ?? '');
+      ctx.strokeStyle = '#000';
+      ctx.lineWidth   = 1;
+      ctx.beginPath();
+      ctx.moveTo(x, y - s);
+      ctx.lineTo(x + s, y + s * 0.8);
+      ctx.lineTo(x - s, y + s * 0.8);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+
+      if (this.selectedFleets.has(fleet.id!)) {
+        ctx.strokeStyle = '#ffcc00';
+        ctx.lineWidth   = 2;
+        ctx.beginPath(); ctx.arc(x, y, s + 4, 0, Math.PI * 2); ctx.stroke();
+      }
+    }
+  }
+
+  private renderSelectionBox(ctx: CanvasRenderingContext2D): void {
+    const box = this.boxSelect;
+    if (!box || this.tapStart) return;  // still within tap slop: may become a Shift-click
+    const x = Math.min(box.startX, box.x), y = Math.min(box.startY, box.y);
+    const w = Math.abs(box.x - box.startX), h = Math.abs(box.y - box.startY);
+    ctx.fillStyle   = 'rgba(255,204,0,0.08)';
+    ctx.strokeStyle = '#ffcc00';
+    ctx.lineWidth   = 1;
+    ctx.setLineDash([4, 3]);
+    ctx.fillRect(x, y, w, h);
+    ctx.strokeRect(x + 0.5, y + 0.5, w, h);
+    ctx.setLineDash([]);
+  }
+
   private renderStations(ctx: CanvasRenderingContext2D): void {
     for (const station of this.stations) {
-      const system = this.systems.find(s => s.id === station.systemId);
+      const system = this.systemsById.get(station.systemId);
       if (!system) continue;
 
       const visLevel = system.visibilityLevel ?? 3;
@@ -843,12 +1831,17 @@ export class GalaxyRenderer {
       const x = this.worldToScreenX(system.x);
       const y = this.worldToScreenY(system.y);
       const w = this.mainCanvas.width, h = this.mainCanvas.height;
-      if (x < -20 || x > w + 20 || y < -20 || y > h + 20) continue;
 
       const sz = 6 * this.zoom;
       const ox = sz + 8 * this.zoom;  // offset right of star
       const oy = -sz;  // offset above center
 
+      // The diamond and its label extend right of the star, so a star left of a tile seam still shows them
+      const showLabel = this.zoom > 1.2 && station.isOwn && (this.exportLayers?.labels ?? true);
+      const labelFont = fontPx(Math.max(8, 9 * this.zoom));
+      const reach = ox + sz + (showLabel ? 4 + labelFont * LABEL_CHAR_WIDTH * station.name.length : 0);
+      if (x < -reach || x > w + 20 || y < -20 || y > h + 20 + sz * 2) continue;
+
       // Diamond shape
       const color = station.isOwn ? '#00ccff' : this.getFactionColor(station.factionId);
       ctx.fillStyle = color;
@@ -862,9 +1855,9 @@ export class GalaxyRenderer {
       ctx.fill();
 
       // Label on zoom
-      if (this.zoom > 1.2 && station.isOwn) {
+      if (showLabel) {
         ctx.fillStyle = '#88ccff';
-        ctx.font = `${Math.max(8, 9 * this.zoom)}px 'Orbitron', sans-serif`;
+        ctx.font = `${labelFont}px 'Orbitron', sans-serif`;
         ctx.textAlign = 'left';
         ctx.fillText(station.name, x + ox + sz + 4, y + oy + 3);
       }
@@ -876,13 +1869,352 @@ export class GalaxyRenderer {
   private renderUI(): void {
     const ctx = this.uiCtx, w = this.uiCanvas.width, h = this.uiCanvas.height;
     ctx.clearRect(0, 0, w, h);
+    this.renderMinimap(ctx);
+    this.renderOverlayLegend(ctx);
+    this.renderSelectionBox(ctx);
     if (!this.hoveredSystemId) return;
-    const system = this.systems.find(s => s.id === this.hoveredSystemId);
+    const system = this.systemsById.get(this.hoveredSystemId);
     if (system) this.renderTooltip(ctx, system, this.worldToScreenX(system.x), this.worldToScreenY(system.y) - 50);
   }
 
+  // ── Turn transitions ───────────────────────────────────────────────────
+
+  /**
+   * Applies a new turn's systems and fleets, then animates the difference: fleets glide along
+   * their hyperlane path, captured systems pulse and battle sites flash. Resolves when playback
+   * ends, immediately when animations are off or nothing changed.
+   */
+  playTurnTransition(update: TurnUpdate): Promise<void> {
+    this.skipTurnTransition();
+
+    const previousFleets = new Map(this.fleets.filter(f => f.id).map(f => [f.id!, f.systemId] as const));
+    const previousOwners = new Map(this.systems.map(s => [s.id, s.factionId ?? null] as const));
+    const previousCovered = (systemId: string): boolean => {
+      const sys = this.systemsById.get(systemId);
+      return !this.fog.enabled || (!!sys && this.fog.isCovered(sys.x, sys.y));
+    };
+    const coveredBefore = new Map([...previousFleets.values()].map(id => [id, previousCovered(id)] as const));
+
+    if (update.systems) this.setSystems(update.systems);
+    this.setFleets(update.fleets ?? []);
+
+    const glides: FleetGlide[] = [];
+    for (const fleet of this.fleets) {
+      const fromId = fleet.id ? previousFleets.get(fleet.id) : undefined;
+      if (!fromId || fromId === fleet.systemId) continue;
+      if (!this.isFleetVisible(fleet) && !coveredBefore.get(fromId)) continue;
+      const path = findHyperlanePath(this.getLaneAdjacency(), this.systemsById, fromId, fleet.systemId)
+        ?? [fromId, fleet.systemId];
+      const points = path.map(id => this.systemsById.get(id)).filter((s): s is StarSystem => !!s);
+      glides.push({
+        fleetId: fleet.id!,
+        points: points.map(s => ({ x: s.x, y: s.y })),
+        color: fleet.factionId ? this.getFactionColor(fleet.factionId) : '#ffaa00',
+      });
+    }
+
+    const captures: CaptureEffect[] = [];
+    if (update.systems && previousOwners.size > 0) {
+      for (const system of this.systems) {
+        const before = previousOwners.get(system.id);
+        if (before === undefined || !system.factionId || before === system.factionId) continue;
+        if ((system.visibilityLevel ?? 3) < 2) continue;
+        captures.push({
+          systemId: system.id,
+          x: system.x,
+          y: system.y,
+          fromColor: before ? this.getFactionColor(before) : UNOWNED_COLOR,
+          toColor: this.getFactionColor(system.factionId),
+        });
+      }
+    }
+
+    this.battleMarkers = [];
+    for (const battle of update.battles ?? []) {
+      const system = this.systemsById.get(battle.systemId);
+      if (!system) continue;
+      this.battleMarkers.push({
+        systemId: system.id,
+        battleId: battle.battleId ?? null,
+        label: battle.label ?? system.name,
+        x: system.x,
+        y: system.y,
+      });
+    }
+
+    this.requestRender();
+    const transition = new TurnTransition(glides, captures, this.battleMarkers, update.duration ?? undefined);
+    if (!this.animationsEnabled || isReducedMotion() || transition.isEmpty) {
+      transition.finish();
+      return transition.finished;
+    }
+    this.turnTransition = transition;
+    return transition.finished;
+  }
+
+  /** Jumps to the end of the running transition; its promise resolves right away. */
+  skipTurnTransition(): void {
+    if (!this.turnTransition) return;
+    this.turnTransition.finish();
+    this.turnTransition = null;
+    this.requestRender();
+  }
+
+  setAnimationsEnabled(enabled: boolean): void {
+    this.animationsEnabled = enabled;
+    if (!enabled) this.skipTurnTransition();
+  }
+
+  clearBattleMarkers(): void {
+    this.battleMarkers = [];
+    this.requestRender();
+  }
+
+  private getBattleMarkerAt(screenX: number, screenY: number): BattleSite | undefined {
+    return this.battleMarkers.find(b => Math.hypot(
+      this.worldToScreenX(b.x) + this.battleMarkerOffset() - screenX,
+      this.worldToScreenY(b.y) - this.battleMarkerOffset() - screenY,
+    ) <= BATTLE_MARKER_HIT_RADIUS);
+  }
+
+  /** Markers sit up and to the right of the star so the star stays clickable. */
+  private battleMarkerOffset(): number {
+    return 18 * Math.max(0.6, this.zoom);
+  }
+
+  private renderBattleMarkers(ctx: CanvasRenderingContext2D): void {
+    if (this.battleMarkers.length === 0) return;
+    const offset = this.battleMarkerOffset();
+    ctx.save();
+    ctx.font = `${fontPx(11)}px 'Orbitron', sans-serif`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    for (const battle of this.battleMarkers) {
+      const x = this.worldToScreenX(battle.x) + offset;
+      const y = this.worldToScreenY(battle.y) - offset;
+      ctx.fillStyle = 'rgba(40,8,8,0.85)';
+      ctx.strokeStyle = '#ff4433';
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(x, y - 10);
+      ctx.lineTo(x + 10, y);
+      ctx.lineTo(x, y + 10);
+      ctx.lineTo(x - 10, y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      ctx.fillStyle = '#ff8866';
+      ctx.fillText('⚔', x, y + 1);
+    }
+    ctx.restore();
+  }
+
+  // ── Overlay modes ──────────────────────────────────────────────────────
+
+  getOverlayModes(): OverlayMode[] {
+    return this.overlays.listModes();
+  }
+
+  registerOverlayMode(mode: OverlayMode): void {
+    this.overlays.registerMode(mode);
+    this.requestRender();
+  }
+
+  /** Per-system values for a mode, keyed by system id; an empty object clears them. */
+  setOverlayData(modeId: string, values: Record<string, number>): void {
+    this.overlays.setData(modeId, values ?? {});
+    if (this.overlays.activeMode?.id === modeId) this.requestRender();
+  }
+
+  setOverlayMode(modeId: string | null): boolean {
+    const previous = this.overlays.activeMode?.id ?? null;
+    if (!this.overlays.setActive(modeId)) {
+      console.warn(`🗺️ Unknown overlay mode '${modeId}'`);
+      return false;
+    }
+    if (previous !== modeId) this.overlayModeChanged();
+    return true;
+  }
+
+  /** Steps through off → each mode → off; returns the new mode id. */
+  cycleOverlay(step = 1): string | null {
+    const modeId = this.overlays.cycle(step);
+    this.overlayModeChanged();
+    return modeId;
+  }
+
+  private overlayModeChanged(): void {
+    const binding = window.GameKeyboard?.getBindings().find(b => b.action === 'cycleOverlay');
+    this.overlayHint = binding?.chord ? `${binding.label}: next map mode` : null;
+    this.requestRender();
+    this.onOverlayChanged?.(this.overlays.activeMode?.id ?? null);
+  }
+
+  /** Summed combat strength of foreign fleets the player can currently see, per system. */
+  private computeThreat(): Map<string, number> {
+    const threat = new Map<string, number>();
+    for (const fleet of this.fleets) {
+      if (fleet.isOwn !== false || !fleet.combatStrength || !this.isFleetVisible(fleet)) continue;
+      threat.set(fleet.systemId, (threat.get(fleet.systemId) ?? 0) + fleet.combatStrength);
+    }
+    return threat;
+  }
+
+  private renderOverlay(ctx: CanvasRenderingContext2D): void {
+    if (!this.overlays.activeMode) return;
+    const values = this.overlays.activeValues();
+
+    // Range over the whole data set so colours do not shift while panning
+    let min = 0, max = 0;
+    for (const value of values.values()) {
+      min = Math.min(min, value);
+      max = Math.max(max, value);
+    }
+    this.overlayRange = { min, max };
+
+    const samples: OverlaySample[] = [];
+    for (const [systemId, value] of values) {
+      const system = this.systemsById.get(systemId);
+      const visLevel = system?.visibilityLevel ?? 3;
+      if (!system || visLevel === 0) continue;
+      samples.push({
+        x: this.worldToScreenX(system.x),
+        y: this.worldToScreenY(system.y),
+        value,
+        alpha: VISIBILITY_ALPHA[visLevel] ?? 1,
+        stale: visLevel === 4 || (this.fog.enabled && !this.fog.isCovered(system.x, system.y)),
+      });
+    }
+    this.overlays.render(ctx, samples, this.overlayRange, this.zoom);
+  }
+
+  /** Legend goes in the top-left corner, or below it when the minimap sits there. */
+  private renderOverlayLegend(ctx: CanvasRenderingContext2D): void {
+    if (!this.overlays.activeMode) return;
+    const y = this.minimapVisible && this.minimapCorner === 'top-left'
+      ? MINIMAP_MARGIN + MINIMAP_HEIGHT + OVERLAY_LEGEND_MARGIN
+      : OVERLAY_LEGEND_MARGIN;
+    this.overlays.renderLegend(ctx, OVERLAY_LEGEND_MARGIN, y, this.overlayRange, this.overlayHint);
+  }
+
+  // ── Minimap ────────────────────────────────────────────────────────────
+
+  setMinimapVisible(visible: boolean): void {
+    this.minimapVisible = visible;
+    this.minimapDrag = null;
+    this.requestRender();
+  }
+
+  setMinimapCorner(corner: MinimapCorner): void {
+    this.minimapCorner = corner;
+    this.requestRender();
+  }
+
+  private getMinimapRect(): { x: number; y: number; w: number; h: number } {
+    const cw = this.uiCanvas.width, ch = this.uiCanvas.height;
+    const left = this.minimapCorner.endsWith('left');
+    const top  = this.minimapCorner.startsWith('top');
+    return {
+      x: left ? MINIMAP_MARGIN : cw - MINIMAP_WIDTH  - MINIMAP_MARGIN,
+      y: top  ? MINIMAP_MARGIN : ch - MINIMAP_HEIGHT - MINIMAP_MARGIN,
+      w: MINIMAP_WIDTH,
+      h: MINIMAP_HEIGHT,
+    };
+  }
+
+  /** Uniform world→minimap scale that fits the galaxy bounds, centred in the panel. */
+  private getMinimapTransform(r: { x: number; y: number; w: number; h: number }): { scale: number; ox: number; oy: number } {
+    const b  = this.worldBounds;
+    const bw = Math.max(1, b.maxX - b.minX), bh = Math.max(1, b.maxY - b.minY);
+    const scale = Math.min((r.w - MINIMAP_PADDING * 2) / bw, (r.h - MINIMAP_PADDING * 2) / bh);
+    return {
+      scale,
+      ox: r.x + r.w / 2 - ((b.minX + b.maxX) / 2) * scale,
+      oy: r.y + r.h / 2 - ((b.minY + b.maxY) / 2) * scale,
+    };
+  }
+
+  private isInMinimap(screenX: number, screenY: number): boolean {
+    if (!this.minimapVisible || this.systems.length === 0) return false;
+    const r = this.getMinimapRect();
+    return screenX >= r.x && screenX <= r.x + r.w && screenY >= r.y && screenY <= r.y + r.h;
+  }
+
+  /** Starts a minimap drag; grabbing the viewport rectangle keeps the grab offset. Returns false outside the minimap. */
+  private onMinimapDown(screenX: number, screenY: number): boolean {
+    if (!this.isInMinimap(screenX, screenY)) return false;
+    const t  = this.getMinimapTransform(this.getMinimapRect());
+    const cx = this.viewX * t.scale + t.ox, cy = this.viewY * t.scale + t.oy;
+    const hw = (this.mainCanvas.width  / 2 / this.zoom) * t.scale;
+    const hh = (this.mainCanvas.height / 2 / this.zoom) * t.scale;
+    const onViewport = Math.abs(screenX - cx) <= hw && Math.abs(screenY - cy) <= hh;
+    this.minimapDrag = onViewport ? { grabX: screenX - cx, grabY: screenY - cy } : { grabX: 0, grabY: 0 };
+    this.velocity = { x: 0, y: 0 };
+    this.panMinimapTo(screenX, screenY);
+    return true;
+  }
+
+  private panMinimapTo(screenX: number, screenY: number): void {
+    if (!this.minimapDrag) return;
+    const t = this.getMinimapTransform(this.getMinimapRect());
+    this.panTarget = {
+      x: (screenX - this.minimapDrag.grabX - t.ox) / t.scale,
+      y: (screenY - this.minimapDrag.grabY - t.oy) / t.scale,
+    };
+    this.requestRender();
+  }
+
+  private renderMinimap(ctx: CanvasRenderingContext2D): void {
+    if (!this.minimapVisible || this.systems.length === 0) return;
+    const r = this.getMinimapRect();
+    const t = this.getMinimapTransform(r);
+    const mx = (x: number): number => x * t.scale + t.ox;
+    const my = (y: number): number => y * t.scale + t.oy;
+
+    ctx.save();
+    ctx.fillStyle   = 'rgba(5,5,16,0.85)';
+    ctx.strokeStyle = '#446688';
+    ctx.lineWidth   = 1;
+    ctx.beginPath();
+    ctx.roundRect(r.x, r.y, r.w, r.h, 6);
+    ctx.fill(); ctx.stroke();
+    ctx.clip();
+
+    // Known systems, coloured by owner
+    for (const s of this.systems) {
+      const vis = s.visibilityLevel ?? 3;
+      if (vis === 0) continue;
+      ctx.fillStyle = s.factionId ? this.getFactionColor(s.factionId) : (vis <= 1 ? '#334455' : '#778899');
+      const size = s.factionId ? 3 : 2;
+      ctx.fillRect(mx(s.x) - size / 2, my(s.y) - size / 2, size, size);
+    }
+
+    // Fleets in motion
+    ctx.strokeStyle = '#ffaa00';
+    ctx.fillStyle   = '#ffaa00';
+    ctx.lineWidth   = 1;
+    for (const fleet of this.fleets) {
+      if (!fleet.destinationId || !this.isFleetVisible(fleet)) continue;
+      const from = this.systemsById.get(fleet.systemId);
+      const to   = this.systemsById.get(fleet.destinationId);
+      if (!from || !to) continue;
+      ctx.beginPath(); ctx.moveTo(mx(from.x), my(from.y)); ctx.lineTo(mx(to.x), my(to.y)); ctx.stroke();
+      ctx.beginPath(); ctx.arc(mx(from.x), my(from.y), 2, 0, Math.PI * 2); ctx.fill();
+    }
+
+    // Current viewport
+    const vx = mx(this.screenToWorldX(0)), vy = my(this.screenToWorldY(0));
+    const vw = (this.mainCanvas.width / this.zoom) * t.scale, vh = (this.mainCanvas.height / this.zoom) * t.scale;
+    ctx.fillStyle   = 'rgba(255,204,0,0.08)';
+    ctx.strokeStyle = '#ffcc00';
+    ctx.lineWidth   = 1.5;
+    ctx.fillRect(vx, vy, vw, vh);
+    ctx.strokeRect(vx, vy, vw, vh);
+    ctx.restore();
+  }
+
   private renderTooltip(ctx: CanvasRenderingContext2D, system: StarSystem, x: number, y: number): void {
-    const padding = 10, lh = 18;
+    const padding = 10, lh = fontPx(18);
     const lines = [
       system.name,
       `Star: ${system.starType ?? 'Unknown'}`,
@@ -891,6 +2223,7 @@ export class GalaxyRenderer {
       system.hasFleet  ? '🚀 Fleet Present' : '',
     ].filter(Boolean) as string[];
 
+    ctx.font = `bold ${fontPx(14)}px "Orbitron",sans-serif`;
     const maxWidth = Math.max(...lines.map(l => ctx.measureText(l).width)) + padding * 2;
     const boxH     = lines.length * lh + padding * 2;
     const cx       = Math.max(maxWidth / 2, Math.min(this.uiCanvas.width - maxWidth / 2, x));
@@ -906,43 +2239,332 @@ export class GalaxyRenderer {
     ctx.textAlign = 'center';
     lines.forEach((line, i) => {
       const ty = cy - boxH + padding + (i + 1) * lh - 4;
-      if (i === 0) { ctx.fillStyle = '#ffcc00'; ctx.font = 'bold 14px "Orbitron",sans-serif'; }
-      else         { ctx.fillStyle = '#aabbcc'; ctx.font = '12px "Roboto",sans-serif'; }
+      if (i === 0) { ctx.fillStyle = '#ffcc00'; ctx.font = `bold ${fontPx(14)}px "Orbitron",sans-serif`; }
+      else         { ctx.fillStyle = '#aabbcc'; ctx.font = `${fontPx(12)}px "Roboto",sans-serif`; }
       ctx.fillText(line, cx, ty);
     });
   }
 
+  /** Palette colour from the accessibility settings. */
   private getFactionColor(factionId: string): string {
-    const idLower = factionId.toLowerCase();
-    for (const [key, color] of Object.entries(FACTION_COLORS)) {
-      if (idLower.includes(key)) return color;
+    return factionColor(factionId);
+  }
+
+  // ── Route planning ─────────────────────────────────────────────────────
+
+  /** Fleet whose action points drive the per-hop turn estimates (null = first fleet at the origin). */
+  setRouteFleet(fleetId: string | null): void {
+    this.routeFleetId = fleetId;
+  }
+
+  /**
+   * Plans the shortest hyperlane route between two systems and reports it via onRoutePlanned.
+   * Returns null (and clears the overlay) when no lane connection exists.
+   */
+  planRoute(fromSystemId: string, toSystemId: string): PlannedRoute | null {
+    this.plannedRoute = this.computeRoute(fromSystemId, toSystemId);
+    this.requestRender();
+    this.onRoutePlanned?.(this.plannedRoute);
+    return this.plannedRoute;
+  }
+
+  clearRoute(): void {
+    if (!this.plannedRoute) return;
+    this.plannedRoute = null;
+    this.requestRender();
+    this.onRoutePlanned?.(null);
+  }
+
+  getPlannedRoute(): PlannedRoute | null {
+    return this.plannedRoute;
+  }
+
+  /** Route fleet, else a lone selected fleet, else the primary selected system. */
+  private getRouteOriginId(): string | null {
+    const fleetId = this.routeFleetId ?? (this.selectedFleets.size === 1 ? [...this.selectedFleets][0] : null);
+    const fleet = fleetId ? this.fleets.find(f => f.id === fleetId) : undefined;
+    return fleet?.systemId ?? this.primarySystemId;
+  }
+
+  private getLaneAdjacency(): Map<string, string[]> {
+    if (this.laneAdjacency) return this.laneAdjacency;
+    const adjacency = new Map<string, string[]>();
+    for (const lane of this.hyperlanes) {
+      if (!adjacency.has(lane.fromId)) adjacency.set(lane.fromId, []);
+      if (!adjacency.has(lane.toId))   adjacency.set(lane.toId, []);
+      adjacency.get(lane.fromId)!.push(lane.toId);
+      adjacency.get(lane.toId)!.push(lane.fromId);
+    }
+    this.laneAdjacency = adjacency;
+    return adjacency;
+  }
+
+  private computeRoute(fromSystemId: string, toSystemId: string): PlannedRoute | null {
+    const systemsById = this.systemsById;
+    const path = findHyperlanePath(this.getLaneAdjacency(), systemsById, fromSystemId, toSystemId);
+    if (!path || path.length < 2) return null;
+
+    const fleet = (this.routeFleetId ? this.fleets.find(f => f.id === this.routeFleetId) : undefined)
+      ?? this.fleets.find(f => f.systemId === fromSystemId);
+    const maxAp = Math.max(1, fleet?.maxActionPoints ?? 3);
+    const ap    = Math.max(0, fleet?.actionPoints ?? maxAp);
+
+    // One action point per jump; what is left this turn is spent first
+    const hops: RouteHop[] = [];
+    let distance = 0;
+    for (let i = 1; i < path.length; i++) {
+      const prev = systemsById.get(path[i - 1]!)!;
+      const sys  = systemsById.get(path[i]!)!;
+      distance += Math.hypot(sys.x - prev.x, sys.y - prev.y);
+      hops.push({
+        systemId:   sys.id,
+        systemName: sys.name,
+        hop:        i,
+        turn:       i <= ap ? 1 : 1 + Math.ceil((i - ap) / maxAp),
+        unexplored: (sys.visibilityLevel ?? 3) <= 1,
+      });
+    }
+
+    return {
+      fleetId:      fleet?.id ?? null,
+      fromSystemId,
+      toSystemId,
+      path,
+      hops,
+      totalTurns:   hops[hops.length - 1]!.turn,
+      distance:     Math.round(distance),
+    };
+  }
+
+  /** Re-plans the active route after a data refresh; only reports it when the result changed. */
+  private refreshRoute(): void {
+    if (!this.plannedRoute) return;
+    const { fromSystemId, toSystemId } = this.plannedRoute;
+    const updated = this.computeRoute(fromSystemId, toSystemId);
+    if (JSON.stringify(updated) === JSON.stringify(this.plannedRoute)) return;
+    this.plannedRoute = updated;
+    this.requestRender();
+    this.onRoutePlanned?.(updated);
+  }
+
+  private renderRoute(ctx: CanvasRenderingContext2D): void {
+    const route = this.plannedRoute;
+    if (!route) return;
+    const origin = this.systemsById.get(route.fromSystemId);
+    if (!origin) return;
+
+    let px = this.worldToScreenX(origin.x), py = this.worldToScreenY(origin.y);
+    ctx.lineWidth = 3;
+    for (const hop of route.hops) {
+      const sys = this.systemsById.get(hop.systemId);
+      if (!sys) continue;
+      const x = this.worldToScreenX(sys.x), y = this.worldToScreenY(sys.y);
+      ctx.strokeStyle = hop.unexplored ? ROUTE_UNEXPLORED_COLOR : ROUTE_TURN_COLORS[(hop.turn - 1) % 2]!;
+      ctx.setLineDash(hop.unexplored ? [6, 6] : []);
+      ctx.beginPath(); ctx.moveTo(px, py); ctx.lineTo(x, y); ctx.stroke();
+      px = x; py = y;
+    }
+    ctx.setLineDash([]);
+
+    // Hop markers with turn-of-arrival labels
+    ctx.font      = `bold ${fontPx(Math.max(9, 10 * this.zoom))}px 'Orbitron',sans-serif`;
+    ctx.textAlign = 'center';
+    for (const hop of route.hops) {
+      const sys = this.systemsById.get(hop.systemId);
+      if (!sys) continue;
+      const x = this.worldToScreenX(sys.x), y = this.worldToScreenY(sys.y);
+      const isLast = hop.systemId === route.toSystemId;
+      const color  = hop.unexplored ? ROUTE_UNEXPLORED_COLOR : ROUTE_TURN_COLORS[(hop.turn - 1) % 2]!;
+
+      ctx.fillStyle   = 'rgba(10,15,30,0.85)';
+      ctx.strokeStyle = color;
+      ctx.lineWidth   = isLast ? 2.5 : 1.5;
+      ctx.beginPath(); ctx.arc(x, y, isLast ? 9 : 6, 0, Math.PI * 2); ctx.fill(); ctx.stroke();
+
+      ctx.fillStyle = color;
+      const label = hop.unexplored ? `T${hop.turn} ?` : `T${hop.turn}`;
+      ctx.fillText(label, x, y - (isLast ? 14 : 11));
+    }
+  }
+
+  // ── Export ─────────────────────────────────────────────────────────────
+
+  /**
+   * Renders the whole galaxy, or `options.rect` in world units, at `options.scale` output px per
+   * world unit. The image is drawn in tiles and streamed into the PNG band by band, so the size
+   * is not bound by the browser's canvas limits. Fog and fleet visibility follow the live view:
+   * an export never shows more than the player can see.
+   */
+  async exportGalaxyImage(options: GalaxyExportOptions = {}): Promise<GalaxyExportResult> {
+    if (this.systems.length === 0) throw new Error('Nothing to export: the galaxy has no systems');
+
+    const layers: ExportLayers = {
+      labels:      options.labels ?? true,
+      territories: options.territories ?? true,
+      fleets:      options.fleets ?? true,
+      fog:         options.fog ?? true,
+    };
+    const scale = options.scale ?? 1;
+    const b = this.worldBounds;
+    const rect: WorldRect = options.rect ?? {
+      x: b.minX - EXPORT_MARGIN,
+      y: b.minY - EXPORT_MARGIN,
+      width:  b.maxX - b.minX + EXPORT_MARGIN * 2,
+      height: b.maxY - b.minY + EXPORT_MARGIN * 2,
+    };
+    const width = Math.ceil(rect.width * scale), height = Math.ceil(rect.height * scale);
+    if (!(scale > 0) || !(width > 0) || !(height > 0)) throw new Error('Export needs a positive scale and a non-empty area');
+    if (width > EXPORT_MAX_SIDE || height > EXPORT_MAX_SIDE) {
+      throw new Error(`Export of ${width}×${height}px exceeds the ${EXPORT_MAX_SIDE}px limit; lower the scale or pick a smaller area`);
+    }
+
+    const unit = legendUnit(width, height);
+    const colorFor = (factionId: string): string => this.getFactionColor(factionId);
+    const legend = options.legend ? renderLegend(options.legend, colorFor, unit, fontPx) : null;
+    const legendAt = legend ? legendOrigin(legend.height, height, unit) : null;
+
+    const tile = document.createElement('canvas');
+    tile.width = tile.height = EXPORT_TILE_SIZE;
+    const ctx = tile.getContext('2d', { willReadFrequently: true })!;
+    const png = new PngStreamWriter(width, height);
+    let blob: Blob;
+    try {
+      for (let top = 0; top < height; top += EXPORT_TILE_SIZE) {
+        const rows = Math.min(EXPORT_TILE_SIZE, height - top);
+        const band = png.createBand(rows);
+        for (let left = 0; left < width; left += EXPORT_TILE_SIZE) {
+          const cols = Math.min(EXPORT_TILE_SIZE, width - left);
+          this.renderExportTile(tile, ctx, {
+            x: rect.x + (left + EXPORT_TILE_SIZE / 2) / scale,
+            y: rect.y + (top + EXPORT_TILE_SIZE / 2) / scale,
+          }, scale, layers);
+          if (legend && legendAt) ctx.drawImage(legend, legendAt.x - left, legendAt.y - top);
+
+          const pixels = ctx.getImageData(0, 0, cols, rows).data;
+          for (let r = 0; r < rows; r++) {
+            band.set(pixels.subarray(r * cols * 4, (r + 1) * cols * 4), r * png.stride + 1 + left * 4);
+          }
+        }
+        await png.writeBand(band);
+        // Give the render loop and input a turn between bands
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+      blob = await png.finish();
+    } catch (err) {
+      await png.abort();
+      throw err;
+    } finally {
+      this.requestRender();
+    }
+
+    const svg = options.svg ? buildGalaxySvg({
+      rect, scale, width, height,
+      lanes: this.getSvgLanes(),
+      borders: layers.territories
+        ? this.territoryPaths.map(t => ({
+          color: colorFor(t.factionId),
+          d: t.borderSegments.map(seg => `M${seg.a.x.toFixed(1)} ${seg.a.y.toFixed(1)}L${seg.b.x.toFixed(1)} ${seg.b.y.toFixed(1)}`).join(''),
+        }))
+        : [],
+      labels: layers.labels ? this.getSvgLabels(rect, scale) : [],
+      legend: options.legend ?? null,
+      colorFor,
+      fontScale: fontPx,
+    }) : null;
+
+    return { png: blob, svg, width, height };
+  }
+
+  /** Draws one export tile by pointing the view at it; the live view state is restored before returning. */
+  private renderExportTile(
+    tile: HTMLCanvasElement, ctx: CanvasRenderingContext2D, center: { x: number; y: number }, zoom: number, layers: ExportLayers,
+  ): void {
+    const saved = {
+      canvas: this.mainCanvas, viewX: this.viewX, viewY: this.viewY, zoom: this.zoom,
+      hovered: this.hoveredSystemId, systems: this.selectedSystems, fleets: this.selectedFleets, transition: this.turnTransition,
+    };
+    this.mainCanvas = tile;
+    this.viewX = center.x;
+    this.viewY = center.y;
+    this.zoom  = zoom;
+    this.hoveredSystemId = null;
+    this.selectedSystems = new Set();
+    this.selectedFleets  = new Set();
+    this.turnTransition  = null;
+    this.exportLayers    = layers;
+
+    try {
+      const w = tile.width, h = tile.height;
+      ctx.fillStyle = EXPORT_BACKGROUND;
+      ctx.fillRect(0, 0, w, h);
+      this.renderAsteroidFields(ctx);
+      this.renderHyperlanes(ctx, w, h);
+      if (layers.territories) this.renderTerritories(ctx);
+      this.renderSystems(ctx);
+      if (layers.fleets) this.renderFleets(ctx);
+      this.renderStations(ctx);
+      if (layers.fog) this.fog.apply(ctx, { viewX: center.x, viewY: center.y, zoom, width: w, height: h });
+    } finally {
+      this.mainCanvas = saved.canvas;
+      this.viewX = saved.viewX;
+      this.viewY = saved.viewY;
+      this.zoom  = saved.zoom;
+      this.hoveredSystemId = saved.hovered;
+      this.selectedSystems = saved.systems;
+      this.selectedFleets  = saved.fleets;
+      this.turnTransition  = saved.transition;
+      this.exportLayers    = null;
     }
-    let hash = 0;
-    for (let i = 0; i < factionId.length; i++) {
-      hash = factionId.charCodeAt(i) + ((hash << 5) - hash);
+  }
+
+  private getSvgLanes(): SvgLane[] {
+    const lanes: SvgLane[] = [];
+    for (const lane of this.hyperlanes) {
+      const from = this.systemsById.get(lane.fromId);
+      const to   = this.systemsById.get(lane.toId);
+      const style = from && to ? this.getLaneStyle(from, to) : null;
+      if (!from || !to || !style) continue;
+      lanes.push({ x1: from.x, y1: from.y, x2: to.x, y2: to.y, color: style.color, opacity: style.alpha });
     }
-    const r = (hash & 0xff0000) >> 16;
-    const g = (hash & 0x00ff00) >>  8;
-    const b =  hash & 0x0000ff;
-    return `#${r.toString(16).padStart(2,'0')}${g.toString(16).padStart(2,'0')}${b.toString(16).padStart(2,'0')}`;
+    return lanes;
+  }
+
+  /** System names in output pixels, placed and sized as renderSystems draws them. */
+  private getSvgLabels(rect: WorldRect, scale: number): SvgLabel[] {
+    const size = fontPx(Math.max(10, 12 * scale));
+    return this.systemGrid
+      .query(rect.x, rect.y, rect.x + rect.width, rect.y + rect.height)
+      .filter(s => (s.visibilityLevel ?? 3) >= 2)
+      .map(s => ({
+        x: (s.x - rect.x) * scale,
+        y: (s.y - rect.y) * scale + 16 * scale + 14,
+        text: s.name,
+        size,
+      }));
   }
 
   centerOnSystem(systemId: string): void {
-    const s = this.systems.find(x => x.id === systemId);
+    const s = this.systemsById.get(systemId);
     if (s) { this.viewX = s.x; this.viewY = s.y; this.targetZoom = 1.5; }
+    this.requestRender();
   }
 
   setZoom(level: number): void {
     this.targetZoom = Math.max(this.minZoom, Math.min(this.maxZoom, level));
+    this.requestRender();
   }
 
   resetView(): void {
     this.calculateBounds();
     this.targetZoom = 1;
+    this.requestRender();
   }
 
   destroy(): void {
+    this.turnTransition?.finish();
+    this.unsubscribeAccessibility();
     this.stopRenderLoop();
+    this.cancelLongPress();
     this.container.innerHTML = '';
   }
 }
@@ -980,13 +2602,17 @@ window.setGalaxyFleets = (json: string): void => {
 
 window.setGalaxyAsteroidFields = (json: string): void => {
   console.log('🪨 setGalaxyAsteroidFields called');
-  if (window.galaxyRenderer) window.galaxyRenderer.asteroidFields = JSON.parse(json) as AsteroidField[];
+  window.galaxyRenderer?.setAsteroidFields(JSON.parse(json) as AsteroidField[]);
 };
 
 window.setGalaxyStations = (json: string): void => {
   window.galaxyRenderer?.setStations(JSON.parse(json) as StationMarker[]);
 };
 
+window.setGalaxySensorRanges = (json: string): void => {
+  window.galaxyRenderer?.setSensorSources(JSON.parse(json) as SensorSource[]);
+};
+
 window.setGalaxyCallbacks = (dotnetRef: DotNetObjectReference): void => {
   if (!window.galaxyRenderer) return;
   window.galaxyRenderer.onSystemSelected = (system) => {
@@ -995,6 +2621,96 @@ window.setGalaxyCallbacks = (dotnetRef: DotNetObjectReference): void => {
   window.galaxyRenderer.onSystemHovered = (system) => {
     void dotnetRef.invokeMethodAsync('OnSystemHovered', system ? JSON.stringify(system) : null);
   };
+  window.galaxyRenderer.onRoutePlanned = (route) => {
+    void dotnetRef.invokeMethodAsync('OnRoutePlanned', route ? JSON.stringify(route) : null);
+  };
+  window.galaxyRenderer.onOverlayChanged = (modeId) => {
+    void dotnetRef.invokeMethodAsync('OnOverlayModeChanged', modeId);
+  };
+  window.galaxyRenderer.onBattleClicked = (battle) => {
+    void dotnetRef.invokeMethodAsync('OnBattleMarkerClicked', battle.systemId, battle.battleId);
+  };
+  window.galaxyRenderer.onSelectionChanged = (selection) => {
+    void dotnetRef.invokeMethodAsync('OnSelectionChanged', JSON.stringify(selection));
+  };
+  window.galaxyRenderer.onContextMenuRequested = (request) => {
+    void dotnetRef.invokeMethodAsync('OnContextMenu', JSON.stringify(request));
+  };
+};
+
+window.onGalaxySystemSelected = (listener: (system: StarSystem | null) => void): (() => void) => {
+  selectionListeners.add(listener);
+  return () => { selectionListeners.delete(listener); };
+};
+
+window.getGalaxySelection = (): string => {
+  return JSON.stringify(window.galaxyRenderer?.getSelection() ?? { systems: [], fleets: [] });
+};
+
+window.setGalaxySelection = (json: string): void => {
+  window.galaxyRenderer?.setSelection(JSON.parse(json) as Partial<GalaxySelection>);
+};
+
+window.clearGalaxySelection = (): void => {
+  window.galaxyRenderer?.clearSelection();
+};
+
+window.playGalaxyTurnTransition = (json: string): Promise<void> => {
+  return window.galaxyRenderer?.playTurnTransition(JSON.parse(json) as TurnUpdate) ?? Promise.resolve();
+};
+
+window.skipGalaxyAnimations = (): void => {
+  window.galaxyRenderer?.skipTurnTransition();
+};
+
+window.setGalaxyAnimationsEnabled = (enabled: boolean): void => {
+  window.galaxyRenderer?.setAnimationsEnabled(enabled);
+};
+
+window.clearGalaxyBattleMarkers = (): void => {
+  window.galaxyRenderer?.clearBattleMarkers();
+};
+
+window.setGalaxyOverlayData = (modeId: string, json: string): void => {
+  window.galaxyRenderer?.setOverlayData(modeId, JSON.parse(json) as Record<string, number>);
+};
+
+window.setGalaxyOverlayMode = (modeId: string | null): boolean => {
+  return window.galaxyRenderer?.setOverlayMode(modeId) ?? false;
+};
+
+window.cycleGalaxyOverlay = (step = 1): string | null => {
+  return window.galaxyRenderer?.cycleOverlay(step) ?? null;
+};
+
+window.getGalaxyOverlayModes = (): { id: string; label: string; style: string }[] => {
+  return (window.galaxyRenderer?.getOverlayModes() ?? []).map(m => ({ id: m.id, label: m.label, style: m.style }));
+};
+
+window.registerGalaxyOverlayMode = (json: string): void => {
+  window.galaxyRenderer?.registerOverlayMode(JSON.parse(json) as OverlayMode);
+};
+
+window.planGalaxyRoute = (fromSystemId: string, toSystemId: string): void => {
+  window.galaxyRenderer?.planRoute(fromSystemId, toSystemId);
+};
+
+window.setGalaxyRouteFleet = (fleetId: string | null): void => {
+  window.galaxyRenderer?.setRouteFleet(fleetId);
+};
+
+window.clearGalaxyRoute = (): void => {
+  window.galaxyRenderer?.clearRoute();
+};
+
+/** Renders the export described by the JSON options and downloads `<fileName>.png` (and `.svg`). */
+window.exportGalaxyImage = async (json: string): Promise<void> => {
+  if (!window.galaxyRenderer) throw new Error('Galaxy map is not initialised');
+  const { fileName, ...options } = JSON.parse(json) as GalaxyExportOptions & { fileName?: string | null };
+  const result = await window.galaxyRenderer.exportGalaxyImage(options);
+  const name = fileName || 'galaxy';
+  downloadBlob(result.png, `${name}.png`);
+  if (result.svg) downloadBlob(new Blob([result.svg], { type: 'image/svg+xml' }), `${name}.svg`);
 };
 
 window.centerGalaxyOnSystem = (systemId: string): void => {
@@ -1005,6 +2721,14 @@ window.setGalaxyZoom = (level: number): void => {
   window.galaxyRenderer?.setZoom(level);
 };
 
+window.setGalaxyMinimapVisible = (visible: boolean): void => {
+  window.galaxyRenderer?.setMinimapVisible(visible);
+};
+
+window.setGalaxyMinimapCorner = (corner: string): void => {
+  window.galaxyRenderer?.setMinimapCorner(corner as MinimapCorner);
+};
+
 window.resetGalaxyView = (): void => {
   window.galaxyRenderer?.resetView();
 };
@@ -0,0 +1,312 @@
+// ============================================================================
+// GameAccessibility — shared colour, shape, scale and motion settings
+// Both canvas renderers read faction and battle-side colours from the active
+// palette instead of hard-coding hues, so a colour-blind palette switches the
+// galaxy map and the tactical view together. Secondary encodings (a pattern
+// per faction, a hull shape per battle side) keep identity readable without
+// colour. The UI scale multiplies fixed canvas font sizes, and reduced motion
+// follows prefers-reduced-motion unless the player overrides it. Settings
+// persist in localStorage; renderers subscribe with onAccessibilityChange().
+// ============================================================================
+
+export type PaletteId = 'default' | 'deuteranopia' | 'protanopia' | 'tritanopia' | 'highContrast';
+export type ReducedMotionMode = 'system' | 'on' | 'off';
+export type BattleSide = 'attacker' | 'defender';
+export type ShipShape = 'triangle' | 'diamond';
+export type FactionPattern = 'horizontal' | 'vertical' | 'diagonal' | 'antidiagonal' | 'cross' | 'grid' | 'dots';
+
+export interface Palette {
+  label: string;
+  factions: Readonly<Record<string, string>>;   // keyed by faction id fragment
+  extra: readonly string[];                     // unknown factions, picked by id hash (empty = hashed hue)
+  attacker: string;
+  defender: string;
+}
+
+export interface AccessibilitySettings {
+  palette: PaletteId;
+  patterns: boolean;              // faction pattern fills and per-side hull shapes
+  uiScale: number;                // multiplies fixed canvas font sizes
+  reducedMotion: ReducedMotionMode;
+}
+
+interface AccessibilitySettingsFile extends AccessibilitySettings {
+  version: 1;
+}
+
+const STORAGE_KEY = 'game.accessibility';
+export const MIN_UI_SCALE = 0.75;
+export const MAX_UI_SCALE = 2;
+
+// Okabe–Ito based sets for red–green deficiencies, a red/teal/magenta set for
+// tritanopia, and fully saturated colours for high contrast on the dark map.
+export const PALETTES: Readonly<Record<PaletteId, Palette>> = {
+  default: {
+    label: 'Default',
+    factions: {
+      federation: '#3b82f6', klingon: '#dc2626', romulan: '#10b981', cardassian: '#d97706',
+      ferengi: '#eab308', borg: '#22c55e', dominion: '#7c3aed',
+    },
+    extra: [],
+    attacker: '#22c55e',
+    defender: '#ef4444',
+  },
+  deuteranopia: {
+    label: 'Deuteranopia',
+    factions: {
+      federation: '#56b4e9', klingon: '#d55e00', romulan: '#009e73', cardassian: '#e69f00',
+      ferengi: '#f0e442', borg: '#bbbbbb', dominion: '#cc79a7',
+    },
+    extra: ['#0072b2', '#ffffff', '#8c6bb1', '#7f7f7f'],
+    attacker: '#56b4e9',
+    defender: '#e69f00',
+  },
+  protanopia: {
+    label: 'Protanopia',
+    factions: {
+      federation: '#56b4e9', klingon: '#ff8c1a', romulan: '#009e73', cardassian: '#f0e442',
+      ferengi: '#ffffff', borg: '#999999', dominion: '#cc79a7',
+    },
+    extra: ['#0072b2', '#8c6bb1', '#b3de69', '#7f7f7f'],
+    attacker: '#56b4e9',
+    defender: '#f0e442',
+  },
+  tritanopia: {
+    label: 'Tritanopia',
+    factions: {
+      federation: '#3cb4ac', klingon: '#e6194b', romulan: '#1b7837', cardassian: '#ff9e80',
+      ferengi: '#ffffff', borg: '#8c8c8c', dominion: '#b31b6e',
+    },
+    extra: ['#f58fa0', '#00707a', '#a33b3b', '#d9d9d9'],
+    attacker: '#3cb4ac',
+    defender: '#e6194b',
+  },
+  highContrast: {
+    label: 'High contrast',
+    factions: {
+      federation: '#00ffff', klingon: '#ff3333', romulan: '#00ff00', cardassian: '#ff9900',
+      ferengi: '#ffff00', borg: '#ffffff', dominion: '#ff00ff',
+    },
+    extra: ['#66b3ff', '#ff99cc', '#ccff66', '#bbbbbb'],
+    attacker: '#00ffff',
+    defender: '#ffff00',
+  },
+};
+
+const FACTION_PATTERNS: Readonly<Record<string, FactionPattern>> = {
+  federation: 'horizontal', klingon: 'diagonal', romulan: 'dots', cardassian: 'antidiagonal',
+  ferengi: 'vertical', borg: 'grid', dominion: 'cross',
+};
+const ALL_PATTERNS: readonly FactionPattern[] = ['horizontal', 'vertical', 'diagonal', 'antidiagonal', 'cross', 'grid', 'dots'];
+
+const SIDE_SHAPES: Readonly<Record<BattleSide, ShipShape>> = { attacker: 'triangle', defender: 'diamond' };
+
+const DEFAULT_SETTINGS: AccessibilitySettings = {
+  palette: 'default',
+  patterns: false,
+  uiScale: 1,
+  reducedMotion: 'system',
+};
+
+let settings: AccessibilitySettings = { ...DEFAULT_SETTINGS };
+const listeners = new Set<() => void>();
+const patternTiles = new Map<string, HTMLCanvasElement>();
+const motionQuery = typeof window.matchMedia === 'function'
+  ? window.matchMedia('(prefers-reduced-motion: reduce)')
+  : null;
+
+function hashString(value: string): number {
+  let hash = 0;
+  for (let i = 0; i < value.length; i++) {
+    hash = value.charCodeAt(i) + ((hash << 5) - hash);
+  }
+  return hash;
+}
+
+function knownFactionKey(factionId: string): string | undefined {
+  const idLower = factionId.toLowerCase();
+  return Object.keys(FACTION_PATTERNS).find(key => idLower.includes(key));
+}
+
+function sanitize(input: Partial<AccessibilitySettings>, base: AccessibilitySettings): AccessibilitySettings {
+  const result = { ...base };
+  if (input.palette && input.palette in PALETTES) result.palette = input.palette;
+  if (typeof input.patterns === 'boolean') result.patterns = input.patterns;
+  if (typeof input.uiScale === 'number' && Number.isFinite(input.uiScale)) {
+    result.uiScale = Math.min(MAX_UI_SCALE, Math.max(MIN_UI_SCALE, input.uiScale));
+  }
+  if (input.reducedMotion === 'system' || input.reducedMotion === 'on' || input.reducedMotion === 'off') {
+    result.reducedMotion = input.reducedMotion;
+  }
+  return result;
+}
+
+function loadSettings(): void {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return;
+    const data = JSON.parse(raw) as Partial<AccessibilitySettingsFile>;
+    if (data.version !== 1) return;
+    settings = sanitize(data, DEFAULT_SETTINGS);
+  } catch (err) {
+    console.warn('♿ Ignoring stored accessibility settings:', err);
+  }
+}
+
+function saveSettings(): void {
+  try {
+    const file: AccessibilitySettingsFile = { version: 1, ...settings };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(file));
+  } catch {
+    // Storage full or disabled; settings still apply for this session
+  }
+}
+
+function notify(): void {
+  for (const listener of listeners) listener();
+}
+
+// ── Settings ─────────────────────────────────────────────────────────────
+
+export function getAccessibilitySettings(): AccessibilitySettings {
+  return { ...settings };
+}
+
+/** Merges the given settings (invalid values are ignored), persists them and notifies renderers. */
+export function configureAccessibility(changes: Partial<AccessibilitySettings>): AccessibilitySettings {
+  settings = sanitize(changes, settings);
+  patternTiles.clear();
+  saveSettings();
+  notify();
+  return getAccessibilitySettings();
+}
+
+export function resetAccessibility(): AccessibilitySettings {
+  return configureAccessibility(DEFAULT_SETTINGS);
+}
+
+/** Called when any setting changes, including the OS reduced-motion preference. */
+export function onAccessibilityChange(listener: () => void): () => void {
+  listeners.add(listener);
+  return () => { listeners.delete(listener); };
+}
+
+// ── Colour ───────────────────────────────────────────────────────────────
+
+export function activePalette(): Palette {
+  return PALETTES[settings.palette];
+}
+
+export function factionColor(factionId: string): string {
+  const palette = activePalette();
+  const key = knownFactionKey(factionId);
+  if (key && palette.factions[key]) return palette.factions[key];
+
+  const hash = hashString(factionId);
+  if (palette.extra.length > 0) return palette.extra[Math.abs(hash) % palette.extra.length]!;
+  const r = (hash & 0xff0000) >> 16;
+  const g = (hash & 0x00ff00) >>  8;
+  const b =  hash & 0x0000ff;
+  return `#${r.toString(16).padStart(2, '0')}${g.toString(16).padStart(2, '0')}${b.toString(16).padStart(2, '0')}`;
+}
+
+export function sideColor(side: BattleSide): string {
+  return activePalette()[side];
+}
+
+/** The side colour as rgba() with the given alpha, for glows and outlines. */
+export function sideGlow(side: BattleSide, alpha = 0.35): string {
+  const n = parseInt(sideColor(side).slice(1), 16);
+  return `rgba(${(n >> 16) & 255},${(n >> 8) & 255},${n & 255},${alpha})`;
+}
+
+// ── Secondary encodings ──────────────────────────────────────────────────
+
+export function patternsEnabled(): boolean {
+  return settings.patterns;
+}
+
+export function factionPattern(factionId: string): FactionPattern {
+  const key = knownFactionKey(factionId);
+  return key ? FACTION_PATTERNS[key]! : ALL_PATTERNS[Math.abs(hashString(factionId)) % ALL_PATTERNS.length]!;
+}
+
+/** A repeatable tile for the faction's pattern; use with createPattern(tile, 'repeat'). */
+export function factionPatternTile(factionId: string, color: string): HTMLCanvasElement {
+  const pattern = factionPattern(factionId);
+  const cacheKey = `${pattern}:${color}`;
+  let tile = patternTiles.get(cacheKey);
+  if (tile) return tile;
+
+  const size = 10;
+  tile = document.createElement('canvas');
+  tile.width = tile.height = size;
+  const ctx = tile.getContext('2d')!;
+  ctx.strokeStyle = color;
+  ctx.fillStyle   = color;
+  ctx.lineWidth   = 1.5;
+  ctx.beginPath();
+  switch (pattern) {
+    case 'horizontal':   ctx.moveTo(0, size / 2); ctx.lineTo(size, size / 2); break;
+    case 'vertical':     ctx.moveTo(size / 2, 0); ctx.lineTo(size / 2, size); break;
+    case 'diagonal':     ctx.moveTo(0, size); ctx.lineTo(size, 0); ctx.moveTo(-1, 1); ctx.lineTo(1, -1); ctx.moveTo(size - 1, size + 1); ctx.lineTo(size + 1, size - 1); break;
+    case 'antidiagonal': ctx.moveTo(0, 0); ctx.lineTo(size, size); ctx.moveTo(size - 1, -1); ctx.lineTo(size + 1, 1); ctx.moveTo(-1, size - 1); ctx.lineTo(1, size + 1); break;
+    case 'cross':        ctx.moveTo(0, 0); ctx.lineTo(size, size); ctx.moveTo(0, size); ctx.lineTo(size, 0); break;
+    case 'grid':         ctx.moveTo(0, size / 2); ctx.lineTo(size, size / 2); ctx.moveTo(size / 2, 0); ctx.lineTo(size / 2, size); break;
+    case 'dots':         ctx.arc(size / 2, size / 2, 1.6, 0, Math.PI * 2); ctx.fill(); break;
+  }
+  if (pattern !== 'dots') ctx.stroke();
+  patternTiles.set(cacheKey, tile);
+  return tile;
+}
+
+export function sideShape(side: BattleSide): ShipShape {
+  return settings.patterns ? SIDE_SHAPES[side] : 'triangle';
+}
+
+/** Traces (without filling or stroking) a hull of the given shape pointing along `dir` (1 = right). */
+export function traceShipShape(ctx: CanvasRenderingContext2D, shape: ShipShape, cx: number, cy: number, size: number, dir: 1 | -1): void {
+  ctx.beginPath();
+  if (shape === 'diamond') {
+    ctx.moveTo(cx + size * dir, cy);
+    ctx.lineTo(cx, cy - size * 0.7);
+    ctx.lineTo(cx - size * 0.8 * dir, cy);
+    ctx.lineTo(cx, cy + size * 0.7);
+  } else {
+    ctx.moveTo(cx + size * dir, cy);
+    ctx.lineTo(cx - size * 0.6 * dir, cy - size * 0.65);
+    ctx.lineTo(cx - size * 0.6 * dir, cy + size * 0.65);
+  }
+  ctx.closePath();
+}
+
+// ── Scale and motion ─────────────────────────────────────────────────────
+
+/** A fixed font size in px scaled by the UI scale factor. */
+export function fontPx(px: number): number {
+  return Math.round(px * settings.uiScale);
+}
+
+export function prefersReducedMotion(): boolean {
+  return motionQuery?.matches ?? false;
+}
+
+/** True when inertia, particles and pulses should be skipped. */
+export function isReducedMotion(): boolean {
+  if (settings.reducedMotion === 'system') return prefersReducedMotion();
+  return settings.reducedMotion === 'on';
+}
+
+loadSettings();
+motionQuery?.addEventListener('change', () => {
+  if (settings.reducedMotion === 'system') notify();
+});
+
+window.GameAccessibility = {
+  getSettings: getAccessibilitySettings,
+  configure: configureAccessibility,
+  reset: resetAccessibility,
+  getPalettes: () => Object.entries(PALETTES).map(([id, p]) => ({ id, label: p.label })),
+  isReducedMotion,
+  prefersReducedMotion,
+};
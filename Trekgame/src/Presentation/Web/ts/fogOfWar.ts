@@ -0,0 +1,244 @@
+// ============================================================================
+// Fog of war — sensor coverage and exploration masks for the galaxy map
+// Both masks live in world space at a fixed resolution. Sensor circles are
+// diffed on every update so only the regions around moved sources repaint;
+// the masks are projected to the screen and composited onto the main layer:
+// fogged space is desaturated, unexplored space darkened. The projected masks
+// are cached until the masks or the view change; only the desaturated copy of
+// the rendered layer is redone per frame.
+// ============================================================================
+
+export interface SensorCircle {
+  x: number;
+  y: number;
+  radius: number;   // world units
+}
+
+export interface FogBounds {
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+}
+
+export interface FogView {
+  viewX: number;
+  viewY: number;
+  zoom: number;
+  width: number;
+  height: number;
+}
+
+const FOG_MASK_MAX_SIZE = 1024;     // px along the longer world axis
+const FOG_SOFT_EDGE = 0.35;         // fraction of the radius that fades out
+const FOG_MAX_DIRTY_RECTS = 24;     // beyond this a full repaint is cheaper
+const FOG_TINT = 'rgba(18,22,30,0.35)';
+const UNEXPLORED_COLOR = 'rgba(2,3,8,0.82)';
+const FOGGED_FILTER = 'grayscale(1) brightness(0.75)';
+
+interface MaskRect {
+  x0: number;
+  y0: number;
+  x1: number;
+  y1: number;
+}
+
+export class FogOfWarLayer {
+  enabled = false;
+
+  private sensorMask = document.createElement('canvas');
+  private exploredMask = document.createElement('canvas');
+  private sensors = new Map<string, SensorCircle>();
+  private explored: SensorCircle[] = [];
+  private originX = 0;
+  private originY = 0;
+  private unitsPerPx = 1;
+
+  // Screen-sized layers: the fogged region and tint/unexplored overlay are cached per view
+  private regionCanvas = document.createElement('canvas');
+  private overlayCanvas = document.createElement('canvas');
+  private contentCanvas = document.createElement('canvas');
+  private maskVersion = 0;
+  private cacheKey = '';
+
+  /** Sizes the masks to cover the world plus a margin; repaints only if the area changed. */
+  setBounds(bounds: FogBounds, margin: number): void {
+    const minX = bounds.minX - margin, minY = bounds.minY - margin;
+    const worldW = bounds.maxX - bounds.minX + margin * 2;
+    const worldH = bounds.maxY - bounds.minY + margin * 2;
+    const unitsPerPx = Math.max(1, Math.max(worldW, worldH) / FOG_MASK_MAX_SIZE);
+    const w = Math.ceil(worldW / unitsPerPx), h = Math.ceil(worldH / unitsPerPx);
+
+    if (
+      minX === this.originX && minY === this.originY && unitsPerPx === this.unitsPerPx &&
+      w === this.sensorMask.width && h === this.sensorMask.height
+    ) return;
+
+    this.originX = minX;
+    this.originY = minY;
+    this.unitsPerPx = unitsPerPx;
+    for (const mask of [this.sensorMask, this.exploredMask]) {
+      mask.width = w;
+      mask.height = h;
+    }
+    this.repaint(this.sensorMask, [...this.sensors.values()], null);
+    this.repaint(this.exploredMask, this.explored, null);
+  }
+
+  /** Replaces the sensor circles, repainting only around sources that appeared, moved or vanished. */
+  setSensors(next: Map<string, SensorCircle>): void {
+    const dirty: MaskRect[] = [];
+    for (const [key, prev] of this.sensors) {
+      const cur = next.get(key);
+      if (!cur || cur.x !== prev.x || cur.y !== prev.y || cur.radius !== prev.radius) {
+        dirty.push(this.circleRect(prev));
+        if (cur) dirty.push(this.circleRect(cur));
+      }
+    }
+    for (const [key, cur] of next) {
+      if (!this.sensors.has(key)) dirty.push(this.circleRect(cur));
+    }
+    this.sensors = new Map(next);
+    if (dirty.length === 0) return;
+
+    const circles = [...this.sensors.values()];
+    if (dirty.length > FOG_MAX_DIRTY_RECTS) {
+      this.repaint(this.sensorMask, circles, null);
+    } else {
+      for (const rect of dirty) this.repaint(this.sensorMask, circles, rect);
+    }
+  }
+
+  setExplored(circles: SensorCircle[]): void {
+    this.explored = circles;
+    this.repaint(this.exploredMask, circles, null);
+  }
+
+  /** True if the point lies inside any sensor circle (ignoring the soft edge). */
+  isCovered(x: number, y: number): boolean {
+    for (const c of this.sensors.values()) {
+      const dx = x - c.x, dy = y - c.y;
+      if (dx * dx + dy * dy <= c.radius * c.radius) return true;
+    }
+    return false;
+  }
+
+  /** Composites the fog onto an already rendered layer. */
+  apply(target: CanvasRenderingContext2D, view: FogView): void {
+    if (!this.enabled || this.sensorMask.width === 0) return;
+    const { width: w, height: h } = view;
+    for (const c of [this.regionCanvas, this.overlayCanvas, this.contentCanvas]) {
+      if (c.width !== w || c.height !== h) { c.width = w; c.height = h; this.cacheKey = ''; }
+    }
+    const key = `${this.maskVersion}|${view.viewX}|${view.viewY}|${view.zoom}|${w}|${h}`;
+    if (key !== this.cacheKey) {
+      this.rebuildProjection(view);
+      this.cacheKey = key;
+    }
+
+    // Desaturated copy of the rendered layer, cut to the fogged region
+    const content = this.contentCanvas.getContext('2d')!;
+    content.globalCompositeOperation = 'source-over';
+    content.clearRect(0, 0, w, h);
+    content.drawImage(this.regionCanvas, 0, 0);
+    content.globalCompositeOperation = 'source-in';
+    content.filter = FOGGED_FILTER;
+    content.drawImage(target.canvas, 0, 0);
+    content.filter = 'none';
+
+    target.save();
+    target.setTransform(1, 0, 0, 1, 0, 0);
+    target.globalCompositeOperation = 'destination-out';
+    target.drawImage(this.regionCanvas, 0, 0);
+    target.globalCompositeOperation = 'source-over';
+    target.drawImage(this.contentCanvas, 0, 0);
+    target.drawImage(this.overlayCanvas, 0, 0);
+    target.restore();
+  }
+
+  /** Projects the masks for `view`: the fogged region, plus the tint and unexplored darkening. */
+  private rebuildProjection(view: FogView): void {
+    const { width: w, height: h } = view;
+    const region = this.regionCanvas.getContext('2d')!;
+    const overlay = this.overlayCanvas.getContext('2d')!;
+
+    // Projection of the world-space masks onto the screen
+    const dx = (this.originX - view.viewX) * view.zoom + w / 2;
+    const dy = (this.originY - view.viewY) * view.zoom + h / 2;
+    const dw = this.sensorMask.width * this.unitsPerPx * view.zoom;
+    const dh = this.sensorMask.height * this.unitsPerPx * view.zoom;
+
+    // Fogged region: explored but outside current sensor coverage
+    region.globalCompositeOperation = 'source-over';
+    region.clearRect(0, 0, w, h);
+    region.drawImage(this.exploredMask, dx, dy, dw, dh);
+    region.globalCompositeOperation = 'destination-out';
+    region.drawImage(this.sensorMask, dx, dy, dw, dh);
+    region.globalCompositeOperation = 'source-over';
+
+    // Tint the fogged region so the background beneath reads as fogged too
+    overlay.globalCompositeOperation = 'source-over';
+    overlay.clearRect(0, 0, w, h);
+    overlay.drawImage(this.regionCanvas, 0, 0);
+    overlay.globalCompositeOperation = 'source-in';
+    overlay.fillStyle = FOG_TINT;
+    overlay.fillRect(0, 0, w, h);
+
+    // Unexplored: everything not explored and not under sensors, drawn via the content scratch
+    const content = this.contentCanvas.getContext('2d')!;
+    content.globalCompositeOperation = 'source-over';
+    content.clearRect(0, 0, w, h);
+    content.fillStyle = UNEXPLORED_COLOR;
+    content.fillRect(0, 0, w, h);
+    content.globalCompositeOperation = 'destination-out';
+    content.drawImage(this.exploredMask, dx, dy, dw, dh);
+    content.drawImage(this.sensorMask, dx, dy, dw, dh);
+    content.globalCompositeOperation = 'source-over';
+    overlay.globalCompositeOperation = 'source-over';
+    overlay.drawImage(this.contentCanvas, 0, 0);
+  }
+
+  private circleRect(c: SensorCircle): MaskRect {
+    const u = this.unitsPerPx;
+    return {
+      x0: Math.floor((c.x - c.radius - this.originX) / u) - 1,
+      y0: Math.floor((c.y - c.radius - this.originY) / u) - 1,
+      x1: Math.ceil((c.x + c.radius - this.originX) / u) + 1,
+      y1: Math.ceil((c.y + c.radius - this.originY) / u) + 1,
+    };
+  }
+
+  /** Repaints a mask, or just `rect` of it (in mask pixels) when given. */
+  private repaint(mask: HTMLCanvasElement, circles: SensorCircle[], rect: MaskRect | null): void {
+    if (mask.width === 0 || mask.height === 0) return;
+    this.maskVersion++;
+    const ctx = mask.getContext('2d')!;
+    ctx.save();
+    if (rect) {
+      ctx.beginPath();
+      ctx.rect(rect.x0, rect.y0, rect.x1 - rect.x0, rect.y1 - rect.y0);
+      ctx.clip();
+      ctx.clearRect(rect.x0, rect.y0, rect.x1 - rect.x0, rect.y1 - rect.y0);
+    } else {
+      ctx.clearRect(0, 0, mask.width, mask.height);
+    }
+
+    const u = this.unitsPerPx;
+    for (const c of circles) {
+      if (rect) {
+        const r = this.circleRect(c);
+        if (r.x1 < rect.x0 || r.x0 > rect.x1 || r.y1 < rect.y0 || r.y0 > rect.y1) continue;
+      }
+      const x = (c.x - this.originX) / u, y = (c.y - this.originY) / u, radius = c.radius / u;
+      if (radius <= 0) continue;
+      const gradient = ctx.createRadialGradient(x, y, radius * (1 - FOG_SOFT_EDGE), x, y, radius);
+      gradient.addColorStop(0, 'rgba(0,0,0,1)');
+      gradient.addColorStop(1, 'rgba(0,0,0,0)');
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(x, y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+}
@@ -0,0 +1,313 @@
+// ============================================================================
+// Galaxy export — poster-sized snapshots of the galaxy map
+// The renderer draws the requested world rectangle tile by tile into a small
+// offscreen canvas; each band of tiles is filtered and streamed through a
+// deflate CompressionStream into a PNG, so the output never needs a canvas
+// (or a raw pixel buffer) of its full size. The vector layers can also be
+// written as an SVG, and both outputs carry an optional faction/turn legend.
+// ============================================================================
+
+export interface WorldRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+/** Faction names and turn number for the legend block, supplied by Blazor. */
+export interface GalaxyLegend {
+  title?: string | null;
+  turn?: number | null;
+  factions: { id: string; name: string }[];
+}
+
+export interface GalaxyExportOptions {
+  rect?: WorldRect | null;      // world area; default = whole galaxy plus a margin
+  scale?: number;               // output px per world unit (1 = zoom 1)
+  labels?: boolean;
+  territories?: boolean;
+  fleets?: boolean;
+  fog?: boolean;
+  svg?: boolean;                // also build an SVG of lanes, borders and labels
+  legend?: GalaxyLegend | null;
+}
+
+export interface GalaxyExportResult {
+  png: Blob;
+  svg: string | null;
+  width: number;
+  height: number;
+}
+
+export interface SvgLane {
+  x1: number;
+  y1: number;
+  x2: number;
+  y2: number;
+  color: string;
+  opacity: number;
+}
+
+export interface SvgBorder {
+  color: string;
+  d: string;       // path data in world units
+}
+
+export interface SvgLabel {
+  x: number;       // output pixels
+  y: number;
+  text: string;
+  size: number;
+}
+
+export const EXPORT_TILE_SIZE = 1024;
+export const EXPORT_MAX_SIDE = 32768;   // px; keeps the compressed output and band buffers sane
+export const EXPORT_BACKGROUND = '#050510';
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(chunks: Uint8Array[]): number {
+  let crc = 0xffffffff;
+  for (const bytes of chunks) {
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]!) & 255]! ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type: string, data: Uint8Array<ArrayBuffer>): Blob {
+  const head = new Uint8Array(8);
+  const view = new DataView(head.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) head[4 + i] = type.charCodeAt(i);
+  const crc = new Uint8Array(4);
+  new DataView(crc.buffer).setUint32(0, crc32([head.subarray(4), data]));
+  return new Blob([head, data, crc]);
+}
+
+/**
+ * Streams RGBA scanlines into a PNG. Rows arrive in bands (one row of tiles) and are
+ * Sub-filtered before compression; only the deflated stream is kept in memory.
+ */
+export class PngStreamWriter {
+  private readonly writer: WritableStreamDefaultWriter<BufferSource>;
+  private readonly compressed: Promise<ArrayBuffer>;
+  private rowsWritten = 0;
+
+  constructor(readonly width: number, readonly height: number) {
+    const stream = new CompressionStream('deflate');
+    // Start draining before the first write so backpressure can't stall the writer
+    this.compressed = new Response(stream.readable).arrayBuffer();
+    this.writer = stream.writable.getWriter();
+  }
+
+  /** Bytes per band row including the leading filter byte. */
+  get stride(): number {
+    return 1 + this.width * 4;
+  }
+
+  /** Allocates a band buffer of `rows` scanlines for the caller to fill at offset row * stride + 1. */
+  createBand(rows: number): Uint8Array<ArrayBuffer> {
+    return new Uint8Array(rows * this.stride);
+  }
+
+  async writeBand(band: Uint8Array<ArrayBuffer>): Promise<void> {
+    const stride = this.stride;
+    const rows = band.length / stride;
+    for (let r = 0; r < rows; r++) {
+      const start = r * stride;
+      band[start] = 1;  // Sub: each byte minus the same channel one pixel to the left
+      for (let i = start + stride - 1; i > start + 4; i--) band[i] = (band[i]! - band[i - 4]!) & 255;
+    }
+    this.rowsWritten += rows;
+    await this.writer.write(band);
+  }
+
+  async finish(): Promise<Blob> {
+    if (this.rowsWritten !== this.height) {
+      await this.writer.abort();
+      throw new Error(`PNG export wrote ${this.rowsWritten} of ${this.height} rows`);
+    }
+    await this.writer.close();
+    const idat = new Uint8Array(await this.compressed);
+
+    const ihdr = new Uint8Array(13);
+    const view = new DataView(ihdr.buffer);
+    view.setUint32(0, this.width);
+    view.setUint32(4, this.height);
+    ihdr.set([8, 6, 0, 0, 0], 8);  // 8-bit RGBA, deflate, adaptive filtering, no interlace
+
+    return new Blob([
+      new Uint8Array(PNG_SIGNATURE), pngChunk('IHDR', ihdr), pngChunk('IDAT', idat), pngChunk('IEND', new Uint8Array(0)),
+    ], { type: 'image/png' });
+  }
+
+  async abort(): Promise<void> {
+    await this.writer.abort().catch(() => undefined);
+    await this.compressed.catch(() => undefined);
+  }
+}
+
+/** Saves a Blob through a temporary object URL. */
+export function downloadBlob(blob: Blob, fileName: string): void {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// ── Legend ────────────────────────────────────────────────────────────────
+
+/** Size of one legend unit for an output image; grows with the poster so it stays readable. */
+export function legendUnit(width: number, height: number): number {
+  return Math.max(1, Math.min(width, height) / 1000);
+}
+
+function legendTitle(legend: GalaxyLegend): string {
+  const title = legend.title?.trim() || 'Galaxy';
+  return legend.turn != null ? `${title} — Turn ${legend.turn}` : title;
+}
+
+interface LegendLayout {
+  title: string;
+  width: number;
+  height: number;
+  pad: number;
+  titlePx: number;
+  rowPx: number;
+  rowGap: number;
+}
+
+/** Box size and font sizes shared by the PNG stamp and the SVG legend so both look alike. */
+function layoutLegend(legend: GalaxyLegend, unit: number, fontScale: (px: number) => number): LegendLayout {
+  const titlePx = fontScale(16) * unit, rowPx = fontScale(12) * unit;
+  const pad = 10 * unit, rowGap = rowPx * 0.6;
+  const title = legendTitle(legend);
+
+  const measure = document.createElement('canvas').getContext('2d')!;
+  measure.font = `bold ${titlePx}px 'Orbitron', sans-serif`;
+  let width = measure.measureText(title).width;
+  measure.font = `${rowPx}px 'Orbitron', sans-serif`;
+  for (const f of legend.factions) width = Math.max(width, rowPx + pad / 2 + measure.measureText(f.name).width);
+
+  return {
+    title, pad, titlePx, rowPx, rowGap,
+    width: Math.ceil(width + pad * 2),
+    height: Math.ceil(pad * 2 + titlePx + legend.factions.length * (rowPx + rowGap)),
+  };
+}
+
+/** Legend block (title, turn and a swatch per faction) drawn once and stamped onto each tile. */
+export function renderLegend(
+  legend: GalaxyLegend, colorFor: (factionId: string) => string, unit: number, fontScale: (px: number) => number,
+): HTMLCanvasElement {
+  const { title, width, height, pad, titlePx, rowPx, rowGap } = layoutLegend(legend, unit, fontScale);
+  const canvas = document.createElement('canvas');
+  canvas.width  = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d')!;
+  ctx.fillStyle   = 'rgba(10,15,30,0.85)';
+  ctx.strokeStyle = '#445566';
+  ctx.lineWidth   = Math.max(1, unit);
+  ctx.beginPath();
+  ctx.roundRect(0.5, 0.5, width - 1, height - 1, 4 * unit);
+  ctx.fill();
+  ctx.stroke();
+
+  ctx.textBaseline = 'top';
+  ctx.fillStyle    = '#ffcc66';
+  ctx.font         = `bold ${titlePx}px 'Orbitron', sans-serif`;
+  ctx.fillText(title, pad, pad);
+
+  ctx.font = `${rowPx}px 'Orbitron', sans-serif`;
+  let y = pad + titlePx + rowGap;
+  for (const f of legend.factions) {
+    ctx.fillStyle = colorFor(f.id);
+    ctx.fillRect(pad, y, rowPx, rowPx);
+    ctx.fillStyle = '#ccd6e0';
+    ctx.fillText(f.name, pad + rowPx + pad / 2, y);
+    y += rowPx + rowGap;
+  }
+  return canvas;
+}
+
+/** Bottom-left corner placement of the legend in output pixels. */
+export function legendOrigin(legendHeight: number, outputHeight: number, unit: number): { x: number; y: number } {
+  const margin = 16 * unit;
+  return { x: margin, y: Math.max(0, outputHeight - margin - legendHeight) };
+}
+
+// ── SVG ───────────────────────────────────────────────────────────────────
+
+function escapeXml(text: string): string {
+  return text.replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' })[c]!);
+}
+
+const round = (v: number): number => Math.round(v * 100) / 100;
+
+/** Vector layers only: world-space lanes and borders under one transform, labels and legend in output pixels. */
+export function buildGalaxySvg(input: {
+  rect: WorldRect;
+  scale: number;
+  width: number;
+  height: number;
+  lanes: SvgLane[];
+  borders: SvgBorder[];
+  labels: SvgLabel[];
+  legend: GalaxyLegend | null;
+  colorFor: (factionId: string) => string;
+  fontScale: (px: number) => number;
+}): string {
+  const { rect, scale, width, height } = input;
+  const out: string[] = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="100%" height="100%" fill="${EXPORT_BACKGROUND}"/>`,
+    `<g transform="matrix(${scale} 0 0 ${scale} ${round(-rect.x * scale)} ${round(-rect.y * scale)})" fill="none" stroke-linecap="round">`,
+    '<g id="lanes">',
+  ];
+  for (const l of input.lanes) {
+    out.push(`<line x1="${round(l.x1)}" y1="${round(l.y1)}" x2="${round(l.x2)}" y2="${round(l.y2)}" stroke="${l.color}" stroke-opacity="${l.opacity}" stroke-width="${scale > 0.5 ? 2 : 1}" vector-effect="non-scaling-stroke"/>`);
+  }
+  out.push('</g>', '<g id="borders">');
+  for (const b of input.borders) {
+    out.push(`<path d="${b.d}" stroke="${b.color}" stroke-opacity="0.85" stroke-width="2" vector-effect="non-scaling-stroke"/>`);
+  }
+  out.push('</g>', '</g>');
+
+  if (input.labels.length > 0) {
+    out.push(`<g id="labels" font-family="Orbitron, sans-serif" fill="#aabbcc" text-anchor="middle">`);
+    for (const l of input.labels) {
+      out.push(`<text x="${round(l.x)}" y="${round(l.y)}" font-size="${round(l.size)}">${escapeXml(l.text)}</text>`);
+    }
+    out.push('</g>');
+  }
+
+  if (input.legend) {
+    const unit = legendUnit(width, height);
+    const { title, width: boxW, height: boxH, pad, titlePx, rowPx, rowGap } = layoutLegend(input.legend, unit, input.fontScale);
+    const origin = legendOrigin(boxH, height, unit);
+    out.push(`<g id="legend" font-family="Orbitron, sans-serif" dominant-baseline="hanging" transform="translate(${round(origin.x)} ${round(origin.y)})">`);
+    out.push(`<rect x="0.5" y="0.5" width="${boxW - 1}" height="${boxH - 1}" rx="${round(4 * unit)}" fill="rgba(10,15,30,0.85)" stroke="#445566"/>`);
+    out.push(`<text x="${round(pad)}" y="${round(pad)}" font-size="${round(titlePx)}" font-weight="bold" fill="#ffcc66">${escapeXml(title)}</text>`);
+    input.legend.factions.forEach((f, i) => {
+      const y = pad + titlePx + rowGap + i * (rowPx + rowGap);
+      out.push(`<rect x="${round(pad)}" y="${round(y)}" width="${round(rowPx)}" height="${round(rowPx)}" fill="${input.colorFor(f.id)}"/>`);
+      out.push(`<text x="${round(pad * 1.5 + rowPx)}" y="${round(y)}" font-size="${round(rowPx)}" fill="#ccd6e0">${escapeXml(f.name)}</text>`);
+    });
+    out.push('</g>');
+  }
+
+  out.push('</svg>');
+  return out.join('\n');
+}
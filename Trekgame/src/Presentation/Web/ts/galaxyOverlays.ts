@@ -0,0 +1,300 @@
+// ============================================================================
+// Galaxy overlays — strategic map modes (economy, supply, threat, ...)
+// A mode maps system ids to numbers, either pushed from .NET or derived by
+// the renderer, and draws them as a colour-ramped heatmap or as graduated
+// circles. Colours are normalised over the whole data set, not the viewport,
+// so they stay stable while panning. The legend is drawn on the UI layer.
+// ============================================================================
+
+import { fontPx } from './accessibility';
+
+export type OverlayStyle = 'heatmap' | 'circles';
+
+export interface OverlayMode {
+  id: string;
+  label: string;
+  style: OverlayStyle;
+  ramp: readonly string[];   // hex colour stops, low → high
+  radius: number;            // world units: heatmap falloff, or the largest circle
+  unit?: string;
+}
+
+/** One system's value, already projected to screen space by the renderer. */
+export interface OverlaySample {
+  x: number;
+  y: number;
+  value: number;
+  alpha: number;     // visibility alpha of the system underneath
+  stale: boolean;    // last known value (fogged / partial intel)
+}
+
+export const DEFAULT_OVERLAY_MODES: readonly OverlayMode[] = [
+  { id: 'economy',    label: 'Resource output', style: 'heatmap', ramp: ['#17331a', '#3fa34d', '#d9e021', '#ffd700'], radius: 70 },
+  { id: 'research',   label: 'Research',        style: 'heatmap', ramp: ['#12264d', '#2f6fd6', '#5fd3ff', '#e0f7ff'], radius: 70 },
+  { id: 'supply',     label: 'Supply range',    style: 'heatmap', ramp: ['#2a1a4d', '#6a3fd6', '#b58cff'],            radius: 120 },
+  { id: 'threat',     label: 'Enemy threat',    style: 'circles', ramp: ['#ffe066', '#ff8c1a', '#e62e2e'],            radius: 45 },
+  { id: 'population', label: 'Population',      style: 'circles', ramp: ['#4d1a40', '#c03fa0', '#ff9ce6'],            radius: 40 },
+];
+
+// Overlays never fade below this, even over barely-detected systems
+const OVERLAY_MIN_ALPHA = 0.4;
+const HEATMAP_OPACITY = 0.75;
+const HEATMAP_MIN_RADIUS = 0.45;   // fraction of mode.radius at the lowest value
+const CIRCLE_MIN_PX = 3;
+const CIRCLE_FILL_ALPHA = 0.35;
+
+const LEGEND_WIDTH = 180;
+const LEGEND_PADDING = 10;
+
+type Rgb = [number, number, number];
+
+function parseHex(hex: string): Rgb {
+  const n = parseInt(hex.replace('#', ''), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function formatValue(value: number): string {
+  const abs = Math.abs(value);
+  if (abs >= 1e9) return `${(value / 1e9).toFixed(1)}B`;
+  if (abs >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (abs >= 1e4) return `${(value / 1e3).toFixed(0)}K`;
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+
+export class GalaxyOverlayLayer {
+  private modes = new Map<string, OverlayMode>(DEFAULT_OVERLAY_MODES.map(m => [m.id, m]));
+  private ramps = new Map<string, Rgb[]>();
+  private pushed = new Map<string, Map<string, number>>();
+  private derivers = new Map<string, () => Map<string, number>>();
+  private active: string | null = null;
+
+  // Screen-sized scratch layer so overlapping heat blobs blend before compositing
+  private heatCanvas = document.createElement('canvas');
+
+  get activeMode(): OverlayMode | null {
+    return this.active ? this.modes.get(this.active) ?? null : null;
+  }
+
+  listModes(): OverlayMode[] {
+    return [...this.modes.values()];
+  }
+
+  /** Adds or replaces a mode; replacing keeps any data already pushed for it. */
+  registerMode(mode: OverlayMode): void {
+    this.modes.set(mode.id, mode);
+    this.ramps.delete(mode.id);
+  }
+
+  /** Returns false if the mode is unknown (null switches the overlay off). */
+  setActive(modeId: string | null): boolean {
+    if (modeId !== null && !this.modes.has(modeId)) return false;
+    this.active = modeId;
+    return true;
+  }
+
+  /** Steps through off → each mode → off. */
+  cycle(step: number): string | null {
+    const order: (string | null)[] = [null, ...this.modes.keys()];
+    const index = order.indexOf(this.active);
+    const next = order[(((index + step) % order.length) + order.length) % order.length] ?? null;
+    this.active = next;
+    return next;
+  }
+
+  /** Pushed values replace the mode's previous data set; an empty set falls back to the deriver. */
+  setData(modeId: string, values: Record<string, number>): void {
+    const map = new Map<string, number>();
+    for (const [id, value] of Object.entries(values)) {
+      if (Number.isFinite(value)) map.set(id, value);
+    }
+    if (map.size > 0) this.pushed.set(modeId, map);
+    else this.pushed.delete(modeId);
+  }
+
+  /** Computes values on demand when .NET has not pushed any (e.g. threat from visible fleets). */
+  setDeriver(modeId: string, derive: () => Map<string, number>): void {
+    this.derivers.set(modeId, derive);
+  }
+
+  /** Values of the active mode, or an empty map. */
+  activeValues(): Map<string, number> {
+    if (!this.active) return new Map();
+    return this.pushed.get(this.active) ?? this.derivers.get(this.active)?.() ?? new Map();
+  }
+
+  render(ctx: CanvasRenderingContext2D, samples: readonly OverlaySample[], range: { min: number; max: number }, zoom: number): void {
+    const mode = this.activeMode;
+    if (!mode || samples.length === 0) return;
+    if (mode.style === 'heatmap') this.renderHeatmap(ctx, mode, samples, range, zoom);
+    else this.renderCircles(ctx, mode, samples, range, zoom);
+  }
+
+  private renderHeatmap(
+    ctx: CanvasRenderingContext2D,
+    mode: OverlayMode,
+    samples: readonly OverlaySample[],
+    range: { min: number; max: number },
+    zoom: number,
+  ): void {
+    const w = ctx.canvas.width, h = ctx.canvas.height;
+    const heat = this.heatCanvas;
+    if (heat.width !== w || heat.height !== h) {
+      heat.width = w;
+      heat.height = h;
+    }
+    const hctx = heat.getContext('2d')!;
+    hctx.clearRect(0, 0, w, h);
+
+    // Low values first so hot spots end up on top
+    const sorted = [...samples].sort((a, b) => a.value - b.value);
+    for (const s of sorted) {
+      const t = this.normalize(s.value, range);
+      const radius = mode.radius * zoom * (HEATMAP_MIN_RADIUS + (1 - HEATMAP_MIN_RADIUS) * t);
+      if (s.x + radius < 0 || s.y + radius < 0 || s.x - radius > w || s.y - radius > h) continue;
+      const [r, g, b] = this.colorAt(mode, t);
+      const alpha = Math.max(OVERLAY_MIN_ALPHA, s.alpha) * (s.stale ? 0.6 : 1);
+      const grad = hctx.createRadialGradient(s.x, s.y, 0, s.x, s.y, radius);
+      grad.addColorStop(0,   `rgba(${r},${g},${b},${alpha})`);
+      grad.addColorStop(0.6, `rgba(${r},${g},${b},${alpha * 0.45})`);
+      grad.addColorStop(1,   `rgba(${r},${g},${b},0)`);
+      hctx.fillStyle = grad;
+      hctx.fillRect(s.x - radius, s.y - radius, radius * 2, radius * 2);
+    }
+
+    // Screen blending lifts the dark map without hiding the stars underneath
+    ctx.save();
+    ctx.globalCompositeOperation = 'screen';
+    ctx.globalAlpha = HEATMAP_OPACITY;
+    ctx.drawImage(heat, 0, 0);
+    ctx.restore();
+  }
+
+  private renderCircles(
+    ctx: CanvasRenderingContext2D,
+    mode: OverlayMode,
+    samples: readonly OverlaySample[],
+    range: { min: number; max: number },
+    zoom: number,
+  ): void {
+    // Largest first so small circles stay visible on top
+    const sorted = [...samples].sort((a, b) => b.value - a.value);
+    ctx.save();
+    ctx.lineWidth = 1.5;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = `${fontPx(Math.max(9, 10 * zoom))}px 'Orbitron', sans-serif`;
+    for (const s of sorted) {
+      const t = this.normalize(s.value, range);
+      // Area, not radius, is proportional to the value
+      const radius = Math.max(CIRCLE_MIN_PX, mode.radius * zoom * Math.sqrt(range.max > 0 ? Math.max(0, s.value) / range.max : t));
+      const [r, g, b] = this.colorAt(mode, t);
+      const alpha = Math.max(OVERLAY_MIN_ALPHA, s.alpha);
+
+      ctx.fillStyle = `rgba(${r},${g},${b},${CIRCLE_FILL_ALPHA * alpha})`;
+      ctx.strokeStyle = `rgba(${r},${g},${b},${alpha})`;
+      ctx.setLineDash(s.stale ? [4, 3] : []);
+      ctx.beginPath();
+      ctx.arc(s.x, s.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+
+      if (zoom > 0.8 && radius > 14) {
+        ctx.fillStyle = `rgba(255,255,255,${alpha})`;
+        ctx.fillText(formatValue(s.value), s.x, s.y - radius - 8);
+      }
+    }
+    ctx.restore();
+  }
+
+  /** Legend box at (x, y): mode name, ramp or circle scale, and the cycling hint. */
+  renderLegend(ctx: CanvasRenderingContext2D, x: number, y: number, range: { min: number; max: number }, hint: string | null): void {
+    const mode = this.activeMode;
+    if (!mode) return;
+    const p = LEGEND_PADDING;
+    // Text rows grow with the UI scale; the ramp bar and reference circles keep their size
+    const titleH = fontPx(22);
+    const lineH = fontPx(14);
+    const width = Math.max(LEGEND_WIDTH, fontPx(LEGEND_WIDTH));
+    const height = (mode.style === 'heatmap' ? 52 : 70) + titleH;
+    const totalH = height + (hint ? lineH : 0);
+
+    ctx.save();
+    ctx.fillStyle = 'rgba(5,5,16,0.85)';
+    ctx.strokeStyle = '#446688';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.roundRect(x, y, width, totalH, 6);
+    ctx.fill();
+    ctx.stroke();
+
+    ctx.fillStyle = '#ffcc00';
+    ctx.font = `bold ${fontPx(12)}px 'Orbitron', sans-serif`;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.fillText(mode.label.toUpperCase(), x + p, y + p);
+
+    const minLabel = formatValue(range.min) + (mode.unit ? ` ${mode.unit}` : '');
+    const maxLabel = formatValue(range.max) + (mode.unit ? ` ${mode.unit}` : '');
+    ctx.font = `${fontPx(10)}px 'Orbitron', sans-serif`;
+
+    if (mode.style === 'heatmap') {
+      const barX = x + p, barY = y + p + titleH, barW = width - p * 2, barH = 10;
+      const grad = ctx.createLinearGradient(barX, 0, barX + barW, 0);
+      mode.ramp.forEach((stop, i) => grad.addColorStop(i / Math.max(1, mode.ramp.length - 1), stop));
+      ctx.fillStyle = grad;
+      ctx.fillRect(barX, barY, barW, barH);
+      ctx.strokeStyle = '#446688';
+      ctx.strokeRect(barX, barY, barW, barH);
+      ctx.fillStyle = '#aabbcc';
+      ctx.fillText(minLabel, barX, barY + barH + 6);
+      ctx.textAlign = 'right';
+      ctx.fillText(maxLabel, barX + barW, barY + barH + 6);
+    } else {
+      // Three nested reference circles sharing a baseline
+      const baseY = y + p + titleH + 52, cx = x + p + 30, maxR = 28;
+      for (const f of [1, 0.5, 0.15]) {
+        const r = maxR * Math.sqrt(f);
+        const [cr, cg, cb] = this.colorAt(mode, f);
+        ctx.fillStyle = `rgba(${cr},${cg},${cb},${CIRCLE_FILL_ALPHA})`;
+        ctx.strokeStyle = `rgb(${cr},${cg},${cb})`;
+        ctx.beginPath();
+        ctx.arc(cx, baseY - r, r, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      }
+      ctx.fillStyle = '#aabbcc';
+      ctx.textBaseline = 'middle';
+      ctx.fillText(maxLabel, cx + maxR + 12, baseY - maxR * 2 + 4);
+      ctx.fillText(formatValue(range.max / 2), cx + maxR + 12, baseY - maxR + 4);
+      ctx.fillText(minLabel, cx + maxR + 12, baseY - 6);
+      ctx.textBaseline = 'top';
+    }
+
+    if (hint) {
+      ctx.fillStyle = '#667788';
+      ctx.textAlign = 'left';
+      ctx.fillText(hint, x + p, y + height);
+    }
+    ctx.restore();
+  }
+
+  private normalize(value: number, range: { min: number; max: number }): number {
+    if (range.max <= range.min) return 1;
+    return Math.min(1, Math.max(0, (value - range.min) / (range.max - range.min)));
+  }
+
+  private colorAt(mode: OverlayMode, t: number): Rgb {
+    let stops = this.ramps.get(mode.id);
+    if (!stops) this.ramps.set(mode.id, stops = mode.ramp.map(parseHex));
+    if (stops.length === 1) return stops[0]!;
+    const pos = t * (stops.length - 1);
+    const i = Math.min(stops.length - 2, Math.floor(pos));
+    const f = pos - i;
+    const a = stops[i]!, b = stops[i + 1]!;
+    return [
+      Math.round(a[0] + (b[0] - a[0]) * f),
+      Math.round(a[1] + (b[1] - a[1]) * f),
+      Math.round(a[2] + (b[2] - a[2]) * f),
+    ];
+  }
+}
@@ -1,54 +1,415 @@
-const shortcuts: Record<string, string> = {
-  Space:   'endTurn',
-  KeyG:    'navigateGalaxy',
-  KeyR:    'navigateResearch',
-  KeyD:    'navigateDiplomacy',
-  KeyF:    'navigateFleets',
-  KeyC:    'navigateColonies',
-  Escape:  'closeModal',
-  F1:      'showHelp',
-  KeyS:    'quickSave',
-  KeyL:    'quickLoad',
-  Digit1:  'selectFleet1',
-  Digit2:  'selectFleet2',
-  Digit3:  'selectFleet3',
-};
+// ============================================================================
+// GameKeyboard — rebindable keyboard shortcuts
+// Bindings map an action to a chord ("Ctrl+Shift+KeyS": modifiers in fixed
+// order, then KeyboardEvent.code) within a scope. User overrides are kept in
+// localStorage on top of the defaults below; every matching keydown is sent
+// to Blazor as HandleShortcut(action).
+// ============================================================================
+
+interface ActionDefinition {
+  action: string;
+  chord: string | null;       // default chord, null = unbound
+  scope: KeyScope;
+  description: string;
+  category: string;
+}
+
+/** Export/import and localStorage format: overrides of the default chords only. */
+interface KeyBindingFile {
+  version: 1;
+  bindings: Record<string, string | null>;
+}
+
+const STORAGE_KEY = 'trekgame.keybindings';
+const MODIFIER_ORDER = ['Ctrl', 'Alt', 'Shift', 'Meta'] as const;
+const MODIFIER_CODES = new Set([
+  'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight',
+  'ShiftLeft', 'ShiftRight', 'MetaLeft', 'MetaRight',
+]);
+const FLEET_GROUPS = 9;
+
+const DEFAULT_BINDINGS: readonly ActionDefinition[] = [
+  { action: 'endTurn',           chord: 'Space',     scope: 'galaxy', description: 'End turn',           category: 'General' },
+  { action: 'quickSave',         chord: 'KeyS',        scope: 'global', description: 'Quick save',         category: 'General' },
+  { action: 'quickLoad',         chord: 'KeyL',        scope: 'global', description: 'Quick load',         category: 'General' },
+  { action: 'showHelp',          chord: 'F1',          scope: 'global', description: 'Tutorial & help',    category: 'General' },
+  { action: 'showCheatSheet',    chord: 'Shift+Slash', scope: 'global', description: 'Keyboard shortcuts', category: 'General' },
+  { action: 'closeModal',        chord: 'Escape',    scope: 'modal',  description: 'Close dialog',       category: 'General' },
+  { action: 'navigateGalaxy',    chord: 'KeyG',      scope: 'global', description: 'Galaxy map',         category: 'Navigation' },
+  { action: 'navigateResearch',  chord: 'KeyR',      scope: 'global', description: 'Research',           category: 'Navigation' },
+  { action: 'navigateDiplomacy', chord: 'KeyD',      scope: 'global', description: 'Diplomacy',          category: 'Navigation' },
+  { action: 'navigateFleets',    chord: 'KeyF',      scope: 'global', description: 'Fleets',             category: 'Navigation' },
+  { action: 'navigateColonies',  chord: 'KeyC',      scope: 'global', description: 'Colonies',           category: 'Navigation' },
+  { action: 'cycleOverlay',      chord: 'KeyM',       scope: 'galaxy', description: 'Next map mode',     category: 'Map' },
+  { action: 'cycleOverlayBack',  chord: 'Shift+KeyM', scope: 'galaxy', description: 'Previous map mode', category: 'Map' },
+  { action: 'nextRound',         chord: 'Space',      scope: 'tactical', description: 'Next round',          category: 'Tactical' },
+  { action: 'toggleReplay',      chord: 'KeyP',       scope: 'tactical', description: 'Play / pause replay', category: 'Tactical' },
+  { action: 'replayStepBack',    chord: 'Comma',      scope: 'tactical', description: 'Previous round',      category: 'Tactical' },
+  { action: 'replayStepForward', chord: 'Period',     scope: 'tactical', description: 'Next replay round',   category: 'Tactical' },
+  ...Array.from({ length: FLEET_GROUPS }, (_, i): ActionDefinition => ({
+    action: `selectFleet${i + 1}`,
+    chord: `Digit${i + 1}`,
+    scope: 'galaxy',
+    description: `Select fleet group ${i + 1}`,
+    category: 'Fleet groups',
+  })),
+  ...Array.from({ length: FLEET_GROUPS }, (_, i): ActionDefinition => ({
+    action: `assignFleet${i + 1}`,
+    chord: `Ctrl+Digit${i + 1}`,
+    scope: 'galaxy',
+    description: `Assign selected fleet to group ${i + 1}`,
+    category: 'Fleet groups',
+  })),
+];
+
+const definitions = new Map<string, ActionDefinition>(DEFAULT_BINDINGS.map((d) => [d.action, { ...d }]));
+let overrides: Record<string, string | null> = {};
 
 let blazorComponent: DotNetObjectReference | null = null;
 let enabled = true;
+let listening = false;
+const scopeStack: KeyScope[] = ['galaxy'];
+let pendingCapture: ((chord: string | null) => void) | null = null;
+const actionListeners = new Set<(action: string) => void>();
+
+// ---------------------------------------------------------------------------
+// Chords
+// ---------------------------------------------------------------------------
+
+/** Canonical chord from a keydown, or null for a bare modifier key. */
+function chordFromEvent(e: KeyboardEvent): string | null {
+  if (MODIFIER_CODES.has(e.code) || !e.code) return null;
+  const mods: string[] = [];
+  if (e.ctrlKey) mods.push('Ctrl');
+  if (e.altKey) mods.push('Alt');
+  if (e.shiftKey) mods.push('Shift');
+  if (e.metaKey) mods.push('Meta');
+  return [...mods, e.code].join('+');
+}
+
+/** Accepts loose input ("ctrl+s", "Shift+1", "Esc") and returns the canonical chord. */
+function normalizeChord(input: string): string | null {
+  const parts = input.split('+').map((p) => p.trim()).filter(Boolean);
+  if (parts.length === 0) return null;
+
+  const mods = new Set<string>();
+  let key: string | null = null;
+  for (const part of parts) {
+    const lower = part.toLowerCase();
+    if (lower === 'ctrl' || lower === 'control') mods.add('Ctrl');
+    else if (lower === 'alt' || lower === 'option') mods.add('Alt');
+    else if (lower === 'shift') mods.add('Shift');
+    else if (lower === 'meta' || lower === 'cmd' || lower === 'win') mods.add('Meta');
+    else if (key) return null; // two non-modifier keys
+    else key = keyToCode(part);
+  }
+  if (!key) return null;
+  return [...MODIFIER_ORDER.filter((m) => mods.has(m)), key].join('+');
+}
+
+function keyToCode(key: string): string {
+  if (/^[a-z]$/i.test(key)) return `Key${key.toUpperCase()}`;
+  if (/^[0-9]$/.test(key)) return `Digit${key}`;
+  const aliases: Record<string, string> = { esc: 'Escape', space: 'Space', ' ': 'Space', enter: 'Enter', tab: 'Tab' };
+  return aliases[key.toLowerCase()] ?? key;
+}
+
+/** Display form: "Ctrl+Digit1" → "Ctrl+1", "KeyS" → "S". */
+function formatChord(chord: string | null): string {
+  if (!chord) return '';
+  return chord
+    .split('+')
+    .map((p) => p.replace(/^Key([A-Z])$/, '$1').replace(/^Digit(\d)$/, '$1').replace(/^Escape$/, 'Esc')
+      .replace(/^Slash$/, '/').replace(/^Comma$/, ',').replace(/^Period$/, '.'))
+    .join('+');
+}
+
+// ---------------------------------------------------------------------------
+// Bindings
+// ---------------------------------------------------------------------------
+
+function chordFor(action: string): string | null {
+  if (action in overrides) return overrides[action] ?? null;
+  return definitions.get(action)?.chord ?? null;
+}
+
+/** Global bindings are live in every scope except modal ones. */
+function scopesOverlap(a: KeyScope, b: KeyScope): boolean {
+  if (a === b) return true;
+  if (a === 'global') return b !== 'modal';
+  if (b === 'global') return a !== 'modal';
+  return false;
+}
+
+function findConflicts(action: string, chord: string, scope: KeyScope): BindingConflict[] {
+  const conflicts: BindingConflict[] = [];
+  for (const def of definitions.values()) {
+    if (def.action === action) continue;
+    if (chordFor(def.action) === chord && scopesOverlap(def.scope, scope)) {
+      conflicts.push({ action: def.action, chord, scope: def.scope });
+    }
+  }
+  return conflicts;
+}
+
+function loadBindings(): void {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (raw) overrides = parseBindingFile(raw).bindings;
+  } catch (err) {
+    console.warn('⌨️ Ignoring stored key bindings:', err);
+    overrides = {};
+  }
+}
+
+function saveBindings(): void {
+  try {
+    const file: KeyBindingFile = { version: 1, bindings: overrides };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(file));
+  } catch {
+    // Storage full or disabled; bindings still apply for this session
+  }
+}
+
+function parseBindingFile(json: string): KeyBindingFile {
+  const data = JSON.parse(json) as Partial<KeyBindingFile>;
+  if (data.version !== 1 || typeof data.bindings !== 'object' || data.bindings === null) {
+    throw new Error('Unsupported key binding file');
+  }
+  const bindings: Record<string, string | null> = {};
+  for (const [action, chord] of Object.entries(data.bindings)) {
+    if (!definitions.has(action)) continue;
+    if (chord === null) {
+      bindings[action] = null;
+    } else if (typeof chord === 'string') {
+      const normalized = normalizeChord(chord);
+      if (normalized) bindings[action] = normalized;
+    }
+  }
+  return { version: 1, bindings };
+}
+
+function setChord(action: string, chord: string | null): void {
+  if (chord === (definitions.get(action)?.chord ?? null)) delete overrides[action];
+  else overrides[action] = chord;
+}
+
+function getBindings(): KeyBindingInfo[] {
+  return [...definitions.values()].map((def) => {
+    const chord = chordFor(def.action);
+    return {
+      action: def.action,
+      chord,
+      label: formatChord(chord),
+      scope: def.scope,
+      description: def.description,
+      category: def.category,
+      isDefault: !(def.action in overrides),
+    };
+  });
+}
+
+/**
+ * Binds `chord` to `action`. Conflicting bindings in overlapping scopes make the call fail
+ * unless `force` is set, in which case they are unbound.
+ */
+function rebind(action: string, chord: string, force = false): RebindResult {
+  const def = definitions.get(action);
+  if (!def) return { ok: false, conflicts: [], error: `Unknown action '${action}'` };
+  const normalized = normalizeChord(chord);
+  if (!normalized) return { ok: false, conflicts: [], error: `Invalid key '${chord}'` };
+
+  const conflicts = findConflicts(action, normalized, def.scope);
+  if (conflicts.length > 0 && !force) return { ok: false, conflicts };
+
+  for (const c of conflicts) setChord(c.action, null);
+  setChord(action, normalized);
+  saveBindings();
+  return { ok: true, conflicts };
+}
+
+function unbind(action: string): void {
+  if (!definitions.has(action)) return;
+  setChord(action, null);
+  saveBindings();
+}
+
+function resetBindings(action?: string): void {
+  if (action) delete overrides[action];
+  else overrides = {};
+  saveBindings();
+}
+
+function exportBindings(): string {
+  const file: KeyBindingFile = { version: 1, bindings: { ...overrides } };
+  return JSON.stringify(file, null, 2);
+}
+
+/** Replaces the user bindings from an exported file; rejected if it binds one chord twice. */
+function importBindings(json: string): RebindResult {
+  let file: KeyBindingFile;
+  try {
+    file = parseBindingFile(json);
+  } catch (err) {
+    return { ok: false, conflicts: [], error: err instanceof Error ? err.message : String(err) };
+  }
+
+  const previous = overrides;
+  overrides = file.bindings;
+  const conflicts: BindingConflict[] = [];
+  for (const def of definitions.values()) {
+    const chord = chordFor(def.action);
+    if (chord) conflicts.push(...findConflicts(def.action, chord, def.scope));
+  }
+  if (conflicts.length > 0) {
+    overrides = previous;
+    return { ok: false, conflicts };
+  }
+  saveBindings();
+  return { ok: true, conflicts: [] };
+}
+
+// ---------------------------------------------------------------------------
+// Scopes
+// ---------------------------------------------------------------------------
+
+function activeScope(): KeyScope {
+  return scopeStack[scopeStack.length - 1] ?? 'galaxy';
+}
+
+/** Replaces the base scope (page level: galaxy or tactical). */
+function setScope(scope: KeyScope): void {
+  scopeStack[0] = scope;
+}
+
+/** Modal dialogs push their scope on open and pop it on close. */
+function pushScope(scope: KeyScope): void {
+  scopeStack.push(scope);
+}
+
+function popScope(): void {
+  if (scopeStack.length > 1) scopeStack.pop();
+}
+
+// ---------------------------------------------------------------------------
+// Key handling
+// ---------------------------------------------------------------------------
 
 function init(componentRef: DotNetObjectReference): void {
   blazorComponent = componentRef;
-  document.addEventListener('keydown', handleKeyDown);
+  if (!listening) {
+    document.addEventListener('keydown', handleKeyDown);
+    listening = true;
+  }
+}
+
+/** Detaches the page that called init: no more HandleShortcut calls, scopes back to the default. */
+function dispose(): void {
+  cancelCapture();
+  blazorComponent = null;
+  if (listening && actionListeners.size === 0) {
+    document.removeEventListener('keydown', handleKeyDown);
+    listening = false;
+  }
+  scopeStack.length = 0;
+  scopeStack.push('galaxy');
+}
+
+/** Observes every dispatched action (used by tutorial steps); returns an unsubscribe function. */
+function onAction(listener: (action: string) => void): () => void {
+  actionListeners.add(listener);
+  return () => { actionListeners.delete(listener); };
+}
+
+/** Resolves with the next chord pressed (null on Escape) for a rebinding UI. */
+function captureChord(): Promise<string | null> {
+  pendingCapture?.(null);
+  if (!listening) {
+    document.addEventListener('keydown', handleKeyDown);
+    listening = true;
+  }
+  return new Promise((resolve) => {
+    pendingCapture = resolve;
+  });
+}
+
+/** Ends a pending captureChord, resolving it with null as if Escape had been pressed. */
+function cancelCapture(): void {
+  const resolve = pendingCapture;
+  pendingCapture = null;
+  resolve?.(null);
 }
 
 function handleKeyDown(e: KeyboardEvent): void {
+  if (pendingCapture) {
+    const chord = chordFromEvent(e);
+    if (!chord) return; // wait for a non-modifier key
+    e.preventDefault();
+    const resolve = pendingCapture;
+    pendingCapture = null;
+    resolve(chord === 'Escape' ? null : chord);
+    return;
+  }
+
   if (!enabled) return;
 
   const target = e.target as HTMLElement;
   if (
     target.tagName === 'INPUT' ||
     target.tagName === 'TEXTAREA' ||
-    target.tagName === 'SELECT'
+    target.tagName === 'SELECT' ||
+    target.isContentEditable
   ) {
     return;
   }
 
-  const action = shortcuts[e.code];
-  if (action && blazorComponent) {
-    e.preventDefault();
-    blazorComponent.invokeMethodAsync('HandleShortcut', action);
+  const chord = chordFromEvent(e);
+  if (!chord) return;
+  const scope = activeScope();
+  for (const def of definitions.values()) {
+    if (chordFor(def.action) !== chord) continue;
+    if (def.scope !== scope && !(def.scope === 'global' && scope !== 'modal')) continue;
+    if (blazorComponent) {
+      e.preventDefault();
+      void blazorComponent.invokeMethodAsync('HandleShortcut', def.action);
+    }
+    for (const listener of actionListeners) listener(def.action);
+    return;
   }
 }
 
+loadBindings();
+
 window.GameKeyboard = {
   init,
+  dispose,
   setEnabled(value: boolean): void {
     enabled = value;
   },
-  addShortcut(key: string, action: string): void {
-    shortcuts[key] = action;
+  /** Registers a global action on `key`; refuses (returns false) if the key is taken. */
+  addShortcut(key: string, action: string): boolean {
+    if (!definitions.has(action)) {
+      definitions.set(action, { action, chord: null, scope: 'global', description: action, category: 'Custom' });
+    }
+    const result = rebind(action, key);
+    if (!result.ok) {
+      console.warn(`⌨️ Shortcut ${key} for '${action}' not added:`, result.error ?? result.conflicts);
+    }
+    return result.ok;
   },
+  getBindings,
+  rebind,
+  unbind,
+  resetBindings,
+  exportBindings,
+  importBindings,
+  captureChord,
+  cancelCapture,
+  formatChord,
+  setScope,
+  pushScope,
+  popScope,
+  onAction,
 };
 
 console.log('⌨️ Keyboard shortcuts loaded');
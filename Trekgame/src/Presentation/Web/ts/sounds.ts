@@ -1,169 +1,526 @@
-type SoundFn = () => void;
+// ============================================================================
+// GameSounds — layered audio engine
+// Every sound plays through its own voice gain into a mixer bus (ui, combat,
+// ambient, music, voice) and from there into the master gain. Sample files
+// come from a JSON manifest and are decoded on first use; until a sample is
+// ready, or when a sound has none, the synthesized effect below plays
+// instead. Volumes and the on/off switches persist in localStorage; this is
+// the only store for them. playAt() adds a stereo
+// panner and distance attenuation for sounds tied to a point in the view.
+// ============================================================================
+
+/** Schedules a synthesized effect into `out` starting at `t`; returns its length in seconds. */
+type SynthFn = (out: AudioNode, t: number) => number;
+
+interface SoundDefinition {
+  files?: string[];         // variants, one picked at random per play
+  bus?: SoundBus;
+  volume?: number;
+  maxConcurrent?: number;   // oldest voice is cut when exceeded
+  duck?: boolean;           // lowers the music bus while playing
+}
+
+interface MusicDefinition {
+  file: string;
+  volume?: number;
+}
+
+interface SoundManifest {
+  version: 1;
+  basePath?: string;
+  sounds: Record<string, SoundDefinition>;
+  music: Record<string, MusicDefinition>;   // game state → looping track
+}
+
+interface AudioSettingsFile {
+  version: 1;
+  enabled: boolean;
+  master: number;
+  buses: Partial<Record<SoundBus, number>>;
+  musicEnabled: boolean;
+}
+
+interface Voice {
+  gain: GainNode;
+  endsAt: number;
+}
+
+interface MusicTrack {
+  state: string;
+  source: AudioBufferSourceNode;
+  gain: GainNode;
+}
+
+const MANIFEST_URL = 'data/audio/sound-manifest.json';
+const STORAGE_KEY = 'trekgame.audio';
+const BUSES: readonly SoundBus[] = ['ui', 'combat', 'ambient', 'music', 'voice'];
+const DEFAULT_BUS_VOLUMES: Record<SoundBus, number> = { ui: 0.8, combat: 1, ambient: 0.7, music: 0.5, voice: 1 };
+const DEFAULT_MASTER_VOLUME = 0.7;
+const DEFAULT_MAX_CONCURRENT = 4;
+const CROSSFADE_SECONDS = 2.5;
+const DUCK_LEVEL = 0.25;
+const DUCK_ATTACK = 0.08;
+const DUCK_RELEASE = 0.6;
+const VOICE_STEAL_FADE = 0.03;
+const PAN_SPREAD = 0.8;         // pan at the left/right edge of the view
+const DISTANCE_ROLLOFF = 0.45;  // attenuation at the corners of the view
+const OFFSCREEN_MARGIN = 0.05;  // view fraction beyond the edges still audible
+
+// Built-in routing; manifest entries are merged over these
+const DEFAULT_SOUNDS: Record<string, SoundDefinition> = {
+  click:          { bus: 'ui' },
+  select:         { bus: 'ui' },
+  error:          { bus: 'ui', maxConcurrent: 2 },
+  success:        { bus: 'ui', maxConcurrent: 2 },
+  notification:   { bus: 'ui', maxConcurrent: 2 },
+  turn_end:       { bus: 'ui', maxConcurrent: 1 },
+  build_complete: { bus: 'ui', maxConcurrent: 2 },
+  phaser:         { bus: 'combat', maxConcurrent: 8 },
+  torpedo:        { bus: 'combat', maxConcurrent: 6 },
+  explosion:      { bus: 'combat', maxConcurrent: 5 },
+  shield_hit:     { bus: 'combat', maxConcurrent: 6 },
+  hull_hit:       { bus: 'combat', maxConcurrent: 6 },
+  critical:       { bus: 'combat', maxConcurrent: 1 },
+  warp:           { bus: 'ambient', maxConcurrent: 3 },
+  fleet_arrival:  { bus: 'ambient', maxConcurrent: 3 },
+  scan:           { bus: 'ambient', maxConcurrent: 1 },
+  alert:          { bus: 'voice', maxConcurrent: 1, duck: true },
+  comm:           { bus: 'voice', maxConcurrent: 1, duck: true },
+};
 
 const AudioContextCtor: typeof AudioContext =
   window.AudioContext ?? window.webkitAudioContext!;
 
 const audioContext = new AudioContextCtor();
 
-let enabled = true;
-let masterVolume = 0.7;
-
-function generateTone(
-  frequency: number,
-  duration: number,
-  type: OscillatorType = 'sine',
-  attack = 0.01,
-): SoundFn {
-  return () => {
-    if (!enabled) return;
-    try {
-      const osc = audioContext.createOscillator();
-      const gain = audioContext.createGain();
-      osc.connect(gain);
-      gain.connect(audioContext.destination);
-      osc.type = type;
-      osc.frequency.setValueAtTime(frequency, audioContext.currentTime);
-      gain.gain.setValueAtTime(0, audioContext.currentTime);
-      gain.gain.linearRampToValueAtTime(masterVolume, audioContext.currentTime + attack);
-      gain.gain.linearRampToValueAtTime(0, audioContext.currentTime + duration);
-      osc.start(audioContext.currentTime);
-      osc.stop(audioContext.currentTime + duration);
-    } catch (e) {
-      console.log('Sound error:', e);
-    }
-  };
+// Graph: voice → bus → (music only: duck) → master → compressor → destination
+const compressor = audioContext.createDynamicsCompressor();
+compressor.connect(audioContext.destination);
+const masterGain = audioContext.createGain();
+masterGain.connect(compressor);
+const musicDuck = audioContext.createGain();
+musicDuck.connect(masterGain);
+const buses = {} as Record<SoundBus, GainNode>;
+for (const bus of BUSES) {
+  const gain = audioContext.createGain();
+  gain.connect(bus === 'music' ? musicDuck : masterGain);
+  buses[bus] = gain;
 }
 
-function generateNoise(duration: number, filterFreq = 1000): SoundFn {
-  return () => {
-    if (!enabled) return;
-    try {
-      const bufferSize = audioContext.sampleRate * duration;
-      const buffer = audioContext.createBuffer(1, bufferSize, audioContext.sampleRate);
-      const data = buffer.getChannelData(0);
-      for (let i = 0; i < bufferSize; i++) data[i] = Math.random() * 2 - 1;
-      const source = audioContext.createBufferSource();
-      const filter = audioContext.createBiquadFilter();
-      const gain = audioContext.createGain();
-      source.buffer = buffer;
-      filter.type = 'lowpass';
-      filter.frequency.value = filterFreq;
-      source.connect(filter);
-      filter.connect(gain);
-      gain.connect(audioContext.destination);
-      gain.gain.setValueAtTime(masterVolume * 0.5, audioContext.currentTime);
-      gain.gain.linearRampToValueAtTime(0, audioContext.currentTime + duration);
-      source.start();
-    } catch (_) { /* silent */ }
-  };
-}
+let enabled = true;
+let musicEnabled = true;
+let masterVolume = DEFAULT_MASTER_VOLUME;
+const busVolumes: Record<SoundBus, number> = { ...DEFAULT_BUS_VOLUMES };
 
-const sounds: Record<string, SoundFn> = {
-  click:          generateTone(800,  0.05, 'square'),
-  select:         generateTone(600,  0.1,  'sine'),
-  notification:   generateTone(880,  0.2,  'sine'),
-  shield_hit:     generateTone(300,  0.2,  'triangle'),
-  comm:           generateTone(1000, 0.3,  'sine'),
-  explosion:      generateNoise(0.4, 300),
-  hull_hit:       generateNoise(0.2, 500),
+let manifest: SoundManifest = { version: 1, sounds: {}, music: {} };
+const buffers = new Map<string, AudioBuffer>();
+const pendingBuffers = new Map<string, Promise<AudioBuffer | null>>();
+const voices = new Map<string, Voice[]>();
+let duckUntil = 0;
 
-  error: () => {
-    generateTone(200, 0.15, 'sawtooth')();
-    setTimeout(() => generateTone(150, 0.15, 'sawtooth')(), 100);
-  },
-  success: () => {
-    generateTone(523, 0.1,  'sine')();
-    setTimeout(() => generateTone(659, 0.1,  'sine')(), 80);
-    setTimeout(() => generateTone(784, 0.15, 'sine')(), 160);
-  },
-  turn_end: () => {
-    generateTone(440, 0.15, 'sine')();
-    setTimeout(() => generateTone(554, 0.15, 'sine')(), 150);
-    setTimeout(() => generateTone(659, 0.2,  'sine')(), 300);
-  },
-  phaser: () => {
+let currentTrack: MusicTrack | null = null;
+let requestedMusicState: string | null = null;
+let musicRequest = 0;
+
+const clamp01 = (value: number): number => Math.max(0, Math.min(1, value));
+
+// ---------------------------------------------------------------------------
+// Synthesized fallbacks
+// ---------------------------------------------------------------------------
+
+function tone(frequency: number, duration: number, type: OscillatorType = 'sine', attack = 0.01): SynthFn {
+  return (out, t) => {
     const osc = audioContext.createOscillator();
     const gain = audioContext.createGain();
     osc.connect(gain);
-    gain.connect(audioContext.destination);
-    osc.type = 'sine';
-    osc.frequency.setValueAtTime(2000, audioContext.currentTime);
-    osc.frequency.exponentialRampToValueAtTime(200, audioContext.currentTime + 0.3);
-    gain.gain.setValueAtTime(masterVolume * 0.3, audioContext.currentTime);
-    gain.gain.exponentialRampToValueAtTime(0.01, audioContext.currentTime + 0.3);
-    osc.start();
-    osc.stop(audioContext.currentTime + 0.3);
-  },
-  torpedo: () => {
-    const osc = audioContext.createOscillator();
+    gain.connect(out);
+    osc.type = type;
+    osc.frequency.setValueAtTime(frequency, t);
+    gain.gain.setValueAtTime(0, t);
+    gain.gain.linearRampToValueAtTime(1, t + attack);
+    gain.gain.linearRampToValueAtTime(0, t + duration);
+    osc.start(t);
+    osc.stop(t + duration);
+    return duration;
+  };
+}
+
+let noiseBuffer: AudioBuffer | null = null;
+
+function noise(duration: number, filterFreq = 1000): SynthFn {
+  return (out, t) => {
+    // One second of white noise, shared by every noise effect
+    if (!noiseBuffer) {
+      noiseBuffer = audioContext.createBuffer(1, audioContext.sampleRate, audioContext.sampleRate);
+      const data = noiseBuffer.getChannelData(0);
+      for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+    }
+    const source = audioContext.createBufferSource();
+    const filter = audioContext.createBiquadFilter();
     const gain = audioContext.createGain();
-    osc.connect(gain);
-    gain.connect(audioContext.destination);
-    osc.type = 'sawtooth';
-    osc.frequency.setValueAtTime(100, audioContext.currentTime);
-    osc.frequency.exponentialRampToValueAtTime(50, audioContext.currentTime + 0.5);
-    gain.gain.setValueAtTime(masterVolume * 0.4, audioContext.currentTime);
-    gain.gain.linearRampToValueAtTime(0, audioContext.currentTime + 0.5);
-    osc.start();
-    osc.stop(audioContext.currentTime + 0.5);
-  },
-  warp: () => {
+    source.buffer = noiseBuffer;
+    filter.type = 'lowpass';
+    filter.frequency.value = filterFreq;
+    source.connect(filter);
+    filter.connect(gain);
+    gain.connect(out);
+    gain.gain.setValueAtTime(0.5, t);
+    gain.gain.linearRampToValueAtTime(0, t + duration);
+    source.start(t, Math.random() * (1 - duration), duration);
+    return duration;
+  };
+}
+
+/** Frequency sweep through the given points, spread evenly over `duration`. */
+function sweep(type: OscillatorType, frequencies: number[], duration: number, level: number, exponentialFade: boolean): SynthFn {
+  return (out, t) => {
     const osc = audioContext.createOscillator();
     const gain = audioContext.createGain();
     osc.connect(gain);
-    gain.connect(audioContext.destination);
-    osc.type = 'sine';
-    osc.frequency.setValueAtTime(100, audioContext.currentTime);
-    osc.frequency.exponentialRampToValueAtTime(2000, audioContext.currentTime + 0.5);
-    osc.frequency.exponentialRampToValueAtTime(100, audioContext.currentTime + 1);
-    gain.gain.setValueAtTime(masterVolume * 0.3, audioContext.currentTime);
-    gain.gain.linearRampToValueAtTime(0, audioContext.currentTime + 1);
-    osc.start();
-    osc.stop(audioContext.currentTime + 1);
-  },
-  scan: () => {
-    for (let i = 0; i < 3; i++) {
-      setTimeout(() => generateTone(1200 + i * 200, 0.15, 'sine')(), i * 200);
+    gain.connect(out);
+    osc.type = type;
+    osc.frequency.setValueAtTime(frequencies[0]!, t);
+    const step = duration / (frequencies.length - 1);
+    for (let i = 1; i < frequencies.length; i++) {
+      osc.frequency.exponentialRampToValueAtTime(frequencies[i]!, t + step * i);
     }
-  },
-  alert: () => {
-    const blink = generateTone(800, 0.1, 'square');
-    blink();
-    setTimeout(blink, 200);
-    setTimeout(blink, 400);
-  },
-  critical: () => {
-    // defined after error is set, see below
-  },
-};
+    gain.gain.setValueAtTime(level, t);
+    if (exponentialFade) gain.gain.exponentialRampToValueAtTime(0.01, t + duration);
+    else gain.gain.linearRampToValueAtTime(0, t + duration);
+    osc.start(t);
+    osc.stop(t + duration);
+    return duration;
+  };
+}
+
+/** Plays parts at fixed offsets; the length is that of the last part to end. */
+function sequence(...parts: [offset: number, synth: SynthFn][]): SynthFn {
+  return (out, t) => Math.max(...parts.map(([offset, synth]) => offset + synth(out, t + offset)));
+}
 
-sounds.build_complete = sounds.success;
-sounds.critical = () => {
-  sounds.error();
-  setTimeout(() => sounds.error(), 200);
+const error = sequence([0, tone(200, 0.15, 'sawtooth')], [0.1, tone(150, 0.15, 'sawtooth')]);
+const success = sequence([0, tone(523, 0.1)], [0.08, tone(659, 0.1)], [0.16, tone(784, 0.15)]);
+const blink = tone(800, 0.1, 'square');
+
+const synths: Record<string, SynthFn> = {
+  click:          tone(800,  0.05, 'square'),
+  select:         tone(600,  0.1,  'sine'),
+  notification:   tone(880,  0.2,  'sine'),
+  shield_hit:     tone(300,  0.2,  'triangle'),
+  comm:           tone(1000, 0.3,  'sine'),
+  explosion:      noise(0.4, 300),
+  hull_hit:       noise(0.2, 500),
+  error,
+  success,
+  build_complete: success,
+  critical:       sequence([0, error], [0.2, error]),
+  turn_end:       sequence([0, tone(440, 0.15)], [0.15, tone(554, 0.15)], [0.3, tone(659, 0.2)]),
+  phaser:         sweep('sine', [2000, 200], 0.3, 0.3, true),
+  torpedo:        sweep('sawtooth', [100, 50], 0.5, 0.4, false),
+  warp:           sweep('sine', [100, 2000, 100], 1, 0.3, false),
+  fleet_arrival:  sweep('sine', [1800, 150], 0.6, 0.3, false),
+  scan:           sequence([0, tone(1200, 0.15)], [0.2, tone(1400, 0.15)], [0.4, tone(1600, 0.15)]),
+  alert:          sequence([0, blink], [0.2, blink], [0.4, blink]),
 };
 
-window.GameSounds = {
-  play(soundType: string, volume = 1.0): void {
-    if (!enabled) return;
-    if (audioContext.state === 'suspended') void audioContext.resume();
-    const sound = sounds[soundType];
-    if (sound) {
-      const prev = masterVolume;
-      masterVolume = masterVolume * volume;
-      sound();
-      masterVolume = prev;
+// ---------------------------------------------------------------------------
+// Manifest and samples
+// ---------------------------------------------------------------------------
+
+function resolveUrl(file: string): string {
+  return (manifest.basePath ?? '') + file;
+}
+
+function loadBuffer(url: string): Promise<AudioBuffer | null> {
+  let pending = pendingBuffers.get(url);
+  if (!pending) {
+    pending = fetch(url)
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.arrayBuffer();
+      })
+      .then((data) => audioContext.decodeAudioData(data))
+      .then((buffer) => {
+        buffers.set(url, buffer);
+        return buffer;
+      })
+      .catch((err: unknown) => {
+        console.warn(`🔊 Could not load ${url}:`, err);
+        return null;
+      });
+    pendingBuffers.set(url, pending);
+  }
+  return pending;
+}
+
+async function loadManifest(url: string = MANIFEST_URL): Promise<void> {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const data = await res.json() as Partial<SoundManifest>;
+    if (data.version !== 1) throw new Error('Unsupported sound manifest');
+    manifest = { version: 1, basePath: data.basePath, sounds: data.sounds ?? {}, music: data.music ?? {} };
+  } catch (err) {
+    console.warn('🔊 Using synthesized sounds only:', err);
+  }
+}
+
+/** Decodes every sample in the manifest up front instead of on first play. */
+async function preload(): Promise<void> {
+  await manifestReady;
+  const urls = Object.values(manifest.sounds).flatMap((def) => def.files ?? []).map(resolveUrl);
+  await Promise.all(urls.map(loadBuffer));
+}
+
+function definitionFor(soundType: string): SoundDefinition {
+  return { ...DEFAULT_SOUNDS[soundType], ...manifest.sounds[soundType] };
+}
+
+// ---------------------------------------------------------------------------
+// Voices and ducking
+// ---------------------------------------------------------------------------
+
+/** Claims a voice for the sound, cutting its oldest voice when over the concurrency limit. */
+function startVoice(soundType: string, def: SoundDefinition, volume: number, pan: number | null): Voice {
+  const now = audioContext.currentTime;
+  const active = (voices.get(soundType) ?? []).filter((v) => v.endsAt > now);
+  const limit = Math.max(1, def.maxConcurrent ?? DEFAULT_MAX_CONCURRENT);
+  while (active.length >= limit) {
+    const oldest = active.shift()!;
+    oldest.gain.gain.cancelScheduledValues(now);
+    oldest.gain.gain.setValueAtTime(oldest.gain.gain.value, now);
+    oldest.gain.gain.linearRampToValueAtTime(0, now + VOICE_STEAL_FADE);
+    setTimeout(() => oldest.gain.disconnect(), VOICE_STEAL_FADE * 1000 + 20);
+  }
+
+  const gain = audioContext.createGain();
+  gain.gain.value = volume * (def.volume ?? 1);
+  if (pan === null) {
+    gain.connect(buses[def.bus ?? 'ui']);
+  } else {
+    const panner = audioContext.createStereoPanner();
+    panner.pan.value = pan;
+    gain.connect(panner);
+    panner.connect(buses[def.bus ?? 'ui']);
+  }
+  const voice: Voice = { gain, endsAt: now };
+  active.push(voice);
+  voices.set(soundType, active);
+  return voice;
+}
+
+/** Holds the music bus down until `until`, extending any duck already in progress. */
+function duckMusic(until: number): void {
+  const now = audioContext.currentTime;
+  duckUntil = Math.max(duckUntil, until);
+  const gain = musicDuck.gain;
+  gain.cancelScheduledValues(now);
+  gain.setValueAtTime(gain.value, now);
+  gain.linearRampToValueAtTime(DUCK_LEVEL, now + DUCK_ATTACK);
+  gain.setValueAtTime(DUCK_LEVEL, Math.max(duckUntil, now + DUCK_ATTACK));
+  gain.linearRampToValueAtTime(1, Math.max(duckUntil, now + DUCK_ATTACK) + DUCK_RELEASE);
+}
+
+function playVoice(soundType: string, volume: number, pan: number | null): void {
+  if (!enabled) return;
+  if (audioContext.state === 'suspended') void audioContext.resume();
+
+  const def = definitionFor(soundType);
+  const synth = synths[soundType];
+  let buffer: AudioBuffer | null = null;
+  if (def.files?.length) {
+    const url = resolveUrl(def.files[Math.floor(Math.random() * def.files.length)]!);
+    buffer = buffers.get(url) ?? null;
+    if (!buffer) void loadBuffer(url);   // synth covers this play, the sample the next
+  }
+  if (!buffer && !synth) return;
+
+  try {
+    const voice = startVoice(soundType, def, volume, pan);
+    const t = audioContext.currentTime;
+    let duration: number;
+    if (buffer) {
+      const source = audioContext.createBufferSource();
+      source.buffer = buffer;
+      source.connect(voice.gain);
+      source.start(t);
+      duration = buffer.duration;
+    } else {
+      duration = synth!(voice.gain, t);
     }
-  },
-  setEnabled(value: boolean): void {
-    enabled = value;
-  },
-  setVolume(value: number): void {
-    masterVolume = Math.max(0, Math.min(1, value));
-  },
+    voice.endsAt = t + duration;
+    if (def.duck) duckMusic(voice.endsAt);
+  } catch (e) {
+    console.log('Sound error:', e);
+  }
+}
+
+function play(soundType: string, volume = 1.0): void {
+  playVoice(soundType, volume, null);
+}
+
+/**
+ * Plays a sound at a point in the current view, given as fractions of its
+ * width and height (0.5, 0.5 = centre). Points off-screen are not played.
+ */
+function playAt(soundType: string, x: number, y: number, volume = 1.0): void {
+  if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+  if (x < -OFFSCREEN_MARGIN || x > 1 + OFFSCREEN_MARGIN || y < -OFFSCREEN_MARGIN || y > 1 + OFFSCREEN_MARGIN) return;
+  const pan = Math.max(-1, Math.min(1, (x - 0.5) * 2)) * PAN_SPREAD;
+  const distance = Math.min(1, Math.hypot(x - 0.5, y - 0.5) / Math.SQRT1_2);
+  playVoice(soundType, volume * (1 - DISTANCE_ROLLOFF * distance), pan);
+}
+
+// ---------------------------------------------------------------------------
+// Music
+// ---------------------------------------------------------------------------
+
+function fadeOutMusic(): void {
+  if (!currentTrack) return;
+  const { source, gain } = currentTrack;
+  const now = audioContext.currentTime;
+  gain.gain.cancelScheduledValues(now);
+  gain.gain.setValueAtTime(gain.gain.value, now);
+  gain.gain.linearRampToValueAtTime(0, now + CROSSFADE_SECONDS);
+  source.stop(now + CROSSFADE_SECONDS);
+  currentTrack = null;
+}
+
+async function crossfadeTo(state: string): Promise<void> {
+  if (currentTrack?.state === state) return;
+  const request = ++musicRequest;
+  await manifestReady;
+  const def = manifest.music[state];
+  const buffer = def ? await loadBuffer(resolveUrl(def.file)) : null;
+  if (request !== musicRequest) return;   // superseded while loading
+
+  fadeOutMusic();
+  if (!def || !buffer) return;
+
+  const now = audioContext.currentTime;
+  const source = audioContext.createBufferSource();
+  const gain = audioContext.createGain();
+  source.buffer = buffer;
+  source.loop = true;
+  source.connect(gain);
+  gain.connect(buses.music);
+  gain.gain.setValueAtTime(0, now);
+  gain.gain.linearRampToValueAtTime(def.volume ?? 1, now + CROSSFADE_SECONDS);
+  source.start(now);
+  currentTrack = { state, source, gain };
+}
+
+/** Crossfades to the track for a game state ('menu', 'galaxy', 'combat', ...); unknown states fade out. */
+function playMusic(state: string): void {
+  requestedMusicState = state;
+  if (!enabled || !musicEnabled) return;
+  if (audioContext.state === 'suspended') void audioContext.resume();
+  void crossfadeTo(state);
+}
+
+function stopMusic(): void {
+  requestedMusicState = null;
+  musicRequest++;
+  fadeOutMusic();
+}
+
+function setMusicEnabled(value: boolean): void {
+  musicEnabled = value;
+  syncMusic();
+  saveSettings();
+}
+
+/** Turning all sound off also silences the track that is already playing. */
+function setEnabled(value: boolean): void {
+  enabled = value;
+  syncMusic();
+  saveSettings();
+}
+
+/** Fades the music out when sound or music is off, else resumes the requested track. */
+function syncMusic(): void {
+  if (!enabled || !musicEnabled) {
+    musicRequest++;
+    fadeOutMusic();
+  } else if (requestedMusicState) {
+    void crossfadeTo(requestedMusicState);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Volumes
+// ---------------------------------------------------------------------------
+
+function applyVolumes(): void {
+  const now = audioContext.currentTime;
+  masterGain.gain.setTargetAtTime(masterVolume, now, 0.02);
+  for (const bus of BUSES) buses[bus].gain.setTargetAtTime(busVolumes[bus], now, 0.02);
+}
+
+function loadSettings(): void {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return;
+    const data = JSON.parse(raw) as Partial<AudioSettingsFile>;
+    if (data.version !== 1) return;
+    if (typeof data.master === 'number') masterVolume = clamp01(data.master);
+    for (const bus of BUSES) {
+      const value = data.buses?.[bus];
+      if (typeof value === 'number') busVolumes[bus] = clamp01(value);
+    }
+    if (typeof data.musicEnabled === 'boolean') musicEnabled = data.musicEnabled;
+    if (typeof data.enabled === 'boolean') enabled = data.enabled;
+  } catch (err) {
+    console.warn('🔊 Ignoring stored audio settings:', err);
+  }
+}
+
+function saveSettings(): void {
+  try {
+    const file: AudioSettingsFile = { version: 1, enabled, master: masterVolume, buses: busVolumes, musicEnabled };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(file));
+  } catch {
+    // Storage full or disabled; volumes still apply for this session
+  }
+}
+
+function setVolume(value: number): void {
+  masterVolume = clamp01(value);
+  applyVolumes();
+  saveSettings();
+}
+
+function setBusVolume(bus: SoundBus, value: number): void {
+  if (!BUSES.includes(bus)) return;
+  busVolumes[bus] = clamp01(value);
+  applyVolumes();
+  saveSettings();
+}
+
+function getVolumes(): AudioVolumes {
+  return { enabled, master: masterVolume, buses: { ...busVolumes }, musicEnabled };
+}
+
+loadSettings();
+masterGain.gain.value = masterVolume;
+for (const bus of BUSES) buses[bus].gain.value = busVolumes[bus];
+const manifestReady = loadManifest();
+
+window.GameSounds = {
+  play,
+  playAt,
+  setEnabled,
+  setVolume,
   isEnabled(): boolean {
     return enabled;
   },
+  setBusVolume,
+  getVolumes,
+  playMusic,
+  stopMusic,
+  setMusicEnabled,
+  loadManifest,
+  preload,
 };
 
 console.log('🔊 Star Trek Game Sound System loaded');
@@ -1,9 +1,15 @@
 // ============================================================================
 // TacticalViewer — Canvas 2D tactical battle renderer for Star Trek combat
-// Renders ships as colored triangles on a dark space background with
-// weapon fire animations, explosions, shield impacts, and formation movement.
+// Renders ships from faction spritesheets (coloured triangles as fallback) on a
+// dark space background with weapon fire animations, explosions, shield impacts,
+// and formation movement. Side colours, hull shapes, font scale and motion come
+// from the shared accessibility settings.
 // ============================================================================
 
+import {
+  fontPx, isReducedMotion, patternsEnabled, sideColor, sideGlow, sideShape, traceShipShape,
+} from './accessibility';
+
 // ---------------------------------------------------------------------------
 // Interfaces
 // ---------------------------------------------------------------------------
@@ -25,11 +31,34 @@ interface TacticalShip {
   targetId: string | null;
 }
 
+type CombatEventType =
+  | 'fire' | 'hit' | 'shield-hit' | 'hull-hit'
+  | 'destroyed' | 'disabled' | 'retreat' | 'formation-change' | 'ability';
+
+/**
+ * Structured combat event. For fire/hit/shield-hit/hull-hit `shipId` is the firing ship and
+ * `targetId` the ship struck; for every other type `shipId` is the ship the event is about.
+ */
+interface CombatEvent {
+  type: CombatEventType;
+  shipId?: string | null;
+  targetId?: string | null;
+  weaponType?: string | null;   // phaser, torpedo, quantum, disruptor, plasma, polaron, ...
+  damage?: number | null;
+  shieldDamage?: number | null;
+  hullDamage?: number | null;
+  count?: number | null;        // projectiles in a salvo
+  side?: Side | null;           // formation-change
+  formation?: FormationType | null;
+  ability?: string | null;
+}
+
 interface TacticalRoundResult {
   round: number;
   attacker: { ships: TacticalShip[] };
   defender: { ships: TacticalShip[] };
   events: string[];
+  combatEvents?: CombatEvent[] | null;
   triggeredOrders: string[];
   isComplete: boolean;
   winnerId: string | null;
@@ -55,9 +84,17 @@ interface WeaponLine {
   fromY: number;
   toX: number;
   toY: number;
-  progress: number;
+  progress: number;       // < 0 while waiting to launch (torpedo salvos)
   color: string;
   type: 'phaser' | 'torpedo' | 'disruptor';
+  width: number;          // beam width / projectile radius scale
+  impact: WeaponImpact | null;
+}
+
+interface WeaponImpact {
+  kind: 'shield' | 'hull';
+  targetId: string;
+  magnitude: number;      // 0.5 .. 3, scales particle count and size
 }
 
 interface BackgroundStar {
@@ -80,15 +117,39 @@ interface TweenTarget {
 type Side = 'attacker' | 'defender';
 type FormationType = 'wedge' | 'sphere' | 'line' | 'dispersed' | 'echelon';
 
+/** One entry of the replay history: ship state and resting positions after a round. */
+interface ReplayFrame {
+  round: number;
+  result: TacticalRoundResult | null;   // null for the opening frame
+  attacker: TacticalShip[];
+  defender: TacticalShip[];
+}
+
+/** Faction military-ship spritesheet with its manifest cell index. */
+interface ShipSheet {
+  image: HTMLImageElement;
+  cellSize: number;
+  cells: { key: string; row: number; col: number }[];   // key = normalized class name
+}
+
+interface ShipSprite {
+  sheet: ShipSheet;
+  row: number;
+  col: number;
+}
+
+/** Serialized battle for after-action replay; attacker/defender are the opening ship states. */
+interface BattleLog {
+  attacker?: TacticalShip[];
+  defender?: TacticalShip[];
+  rounds: TacticalRoundResult[];
+}
+
 // ---------------------------------------------------------------------------
 // Constants
 // ---------------------------------------------------------------------------
 
 const BG_COLOR = '#0a0a1a';
-const ATTACKER_COLOR = '#22c55e';
-const ATTACKER_GLOW = 'rgba(34,197,94,0.35)';
-const DEFENDER_COLOR = '#ef4444';
-const DEFENDER_GLOW = 'rgba(239,68,68,0.35)';
 const SELECTION_COLOR = '#3b82f6';
 const HOVER_COLOR = 'rgba(255,255,255,0.4)';
 const DESTROYED_ALPHA = 0.25;
@@ -104,10 +165,89 @@ const SHIP_SIZES: Record<string, number> = {
   flagship: 20,
 };
 
+// Hit radii in normalized canvas units; fingers need a bigger target than a cursor
+const MOUSE_HIT_RADIUS = 0.025;
+const TOUCH_HIT_RADIUS = 0.06;
+const TAP_SLOP = 10;        // px a pointer may move and still count as a tap
+const LONG_PRESS_MS = 500;
+
 const PHASER_COLOR = '#ffaa00';
 const TORPEDO_COLOR = '#ff4444';
 const DISRUPTOR_COLOR = '#44ff44';
 
+// Server weapon types → visual class and colour
+const WEAPON_VISUALS: Record<string, { type: WeaponLine['type']; color: string }> = {
+  phaser:    { type: 'phaser',    color: PHASER_COLOR },
+  beam:      { type: 'phaser',    color: PHASER_COLOR },
+  laser:     { type: 'phaser',    color: '#ff6666' },
+  tetryon:   { type: 'phaser',    color: '#66ccff' },
+  antiproton:{ type: 'phaser',    color: '#88ff88' },
+  torpedo:   { type: 'torpedo',   color: TORPEDO_COLOR },
+  photon:    { type: 'torpedo',   color: TORPEDO_COLOR },
+  quantum:   { type: 'torpedo',   color: '#88aaff' },
+  missile:   { type: 'torpedo',   color: '#ffcc66' },
+  disruptor: { type: 'disruptor', color: DISRUPTOR_COLOR },
+  plasma:    { type: 'disruptor', color: '#66ff99' },
+  polaron:   { type: 'disruptor', color: '#aa66ff' },
+};
+
+// Damage that maps to a magnitude of 1 (a "typical" hit)
+const REFERENCE_DAMAGE = 20;
+
+// Every faction folder in assets/factions/ that ships a militaryships sheet and manifest;
+// setFactions() picks the first key contained in the faction name
+const SHIP_SHEET_FACTIONS = [
+  'federation', 'klingon', 'romulan', 'cardassian', 'ferengi', 'borg', 'dominion',
+  'andorian', 'breen', 'gorn', 'tholian', 'vulcan',
+] as const;
+const SPRITE_SCALE = 1.6;                   // sprite half-extent relative to SHIP_SIZES
+const SPRITE_HEADING = (3 * Math.PI) / 4;   // sheet art faces the bottom-left corner
+const TURN_RATE = 0.15;                     // fraction of the remaining turn per frame
+
+// Sheets are shared between viewer instances and sides
+const shipSheetCache = new Map<string, Promise<ShipSheet | null>>();
+
+function normalizeClassName(name: string): string {
+  return name.toLowerCase().replace(/\bclass\b/g, '').replace(/[^a-z0-9]/g, '');
+}
+
+function loadShipSheet(faction: string): Promise<ShipSheet | null> {
+  let pending = shipSheetCache.get(faction);
+  if (!pending) {
+    const base = `/assets/factions/${faction}/${faction}_militaryships`;
+    pending = (async (): Promise<ShipSheet | null> => {
+      try {
+        const response = await fetch(`${base}_manifest.json`);
+        if (!response.ok) return null;
+        const manifest = (await response.json()) as {
+          grid: { cellSize: number };
+          assets: { name: string; row: number; col: number }[];
+        };
+        const image = new Image();
+        image.src = `${base}_spritesheet.png`;
+        await new Promise<void>((resolve, reject) => {
+          image.onload = () => resolve();
+          image.onerror = reject;
+        });
+        return {
+          image,
+          cellSize: manifest.grid.cellSize,
+          cells: manifest.assets.map((a) => ({ key: normalizeClassName(a.name), row: a.row, col: a.col })),
+        };
+      } catch {
+        console.warn(`[TacticalViewer] No ship spritesheet for '${faction}', using triangles`);
+        return null;
+      }
+    })();
+    shipSheetCache.set(faction, pending);
+  }
+  return pending;
+}
+
+// Replay speed multiplier bounds
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+
 // ---------------------------------------------------------------------------
 // TacticalViewer class
 // ---------------------------------------------------------------------------
@@ -128,8 +268,29 @@ class TacticalViewer {
   private disorderDefender = 0;
   private tweens: TweenTarget[] = [];
   private pulseTime = 0;
-  private boundClickHandler: ((e: MouseEvent) => void) | null = null;
-  private boundMoveHandler: ((e: MouseEvent) => void) | null = null;
+  private boundDownHandler: ((e: PointerEvent) => void) | null = null;
+  private boundUpHandler: ((e: PointerEvent) => void) | null = null;
+  private boundMoveHandler: ((e: PointerEvent) => void) | null = null;
+  private tapStart: { x: number; y: number; pointerId: number } | null = null;
+  private longPressTimer: ReturnType<typeof setTimeout> | null = null;
+  private longPressFired = false;
+
+  // Replay: every round is kept so the battle can be scrubbed and watched again.
+  // Animations run on simTime, which advances at `speed` and stops while paused.
+  private history: ReplayFrame[] = [];
+  private playhead = 0;
+  private paused = false;
+  private stepping = false;
+  private playbackRunning = false;
+  private speed = 1;
+  private simTime = 0;
+  private lastFrameTime = 0;
+  private simWaiters: { until: number; resolve: () => void }[] = [];
+
+  // Faction sprites; ships without a sheet or matching cell keep the triangle
+  private sheets: Record<Side, ShipSheet | null> = { attacker: null, defender: null };
+  private spriteByShip = new Map<string, ShipSprite | null>();
+  private headings = new Map<string, number>();
 
   // ---------- init ----------------------------------------------------------
 
@@ -137,7 +298,9 @@ class TacticalViewer {
     canvasId: string,
     attackerShips: TacticalShip[],
     defenderShips: TacticalShip[],
-    dotNetRef: DotNetObjectReference
+    dotNetRef: DotNetObjectReference,
+    attackerFaction?: string | null,
+    defenderFaction?: string | null
   ): void {
     const el = document.getElementById(canvasId);
     if (!el || !(el instanceof HTMLCanvasElement)) {
@@ -166,16 +329,25 @@ class TacticalViewer {
     // Generate star field
     this.generateStars();
 
-    // Event listeners
-    this.boundClickHandler = (e: MouseEvent) => this.handleClick(e);
-    this.boundMoveHandler = (e: MouseEvent) => this.handleMouseMove(e);
-    this.canvas.addEventListener('click', this.boundClickHandler);
-    this.canvas.addEventListener('mousemove', this.boundMoveHandler);
+    this.history = [this.openingFrame()];
+    this.playhead = 0;
+
+    // Event listeners (pointer events cover mouse, pen and touch)
+    this.boundDownHandler = (e: PointerEvent) => this.handlePointerDown(e);
+    this.boundUpHandler = (e: PointerEvent) => this.handlePointerUp(e);
+    this.boundMoveHandler = (e: PointerEvent) => this.handlePointerMove(e);
+    this.canvas.style.touchAction = 'manipulation';
+    this.canvas.addEventListener('pointerdown', this.boundDownHandler);
+    this.canvas.addEventListener('pointerup', this.boundUpHandler);
+    this.canvas.addEventListener('pointercancel', this.boundUpHandler);
+    this.canvas.addEventListener('pointermove', this.boundMoveHandler);
 
     // Start render loop
     this.pulseTime = performance.now();
     this.renderLoop();
 
+    void this.setFactions(attackerFaction, defenderFaction);
+
     console.log(
       `[TacticalViewer] Initialized — ${attackerShips.length} attackers, ${defenderShips.length} defenders`
     );
@@ -322,8 +494,45 @@ class TacticalViewer {
 
   // ---------- event handlers ------------------------------------------------
 
-  private handleClick(e: MouseEvent): void {
-    const ship = this.findShipAtMouse(e);
+  private handlePointerDown(e: PointerEvent): void {
+    this.tapStart = { x: e.clientX, y: e.clientY, pointerId: e.pointerId };
+    this.longPressFired = false;
+    this.cancelLongPress();
+
+    // Long-press stands in for hover on touch screens; a new touch dismisses the previous one
+    if (e.pointerType !== 'mouse') {
+      this.hoveredShipId = null;
+      this.longPressTimer = setTimeout(() => {
+        this.longPressTimer = null;
+        this.longPressFired = true;
+        const ship = this.findShipAtMouse(e, TOUCH_HIT_RADIUS);
+        this.hoveredShipId = ship ? ship.shipId : null;
+      }, LONG_PRESS_MS);
+    }
+  }
+
+  private handlePointerUp(e: PointerEvent): void {
+    const start = this.tapStart;
+    this.tapStart = null;
+    this.cancelLongPress();
+    if (!start || start.pointerId !== e.pointerId || e.type === 'pointercancel' || this.longPressFired) return;
+    // Only the primary button taps; middle and right releases are not selections
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+    if (Math.hypot(e.clientX - start.x, e.clientY - start.y) > TAP_SLOP) return;
+    this.handleClick(e);
+  }
+
+  private cancelLongPress(): void {
+    if (this.longPressTimer !== null) clearTimeout(this.longPressTimer);
+    this.longPressTimer = null;
+  }
+
+  private hitRadiusFor(e: PointerEvent): number {
+    return e.pointerType === 'mouse' ? MOUSE_HIT_RADIUS : TOUCH_HIT_RADIUS;
+  }
+
+  private handleClick(e: PointerEvent): void {
+    const ship = this.findShipAtMouse(e, this.hitRadiusFor(e));
     if (ship) {
       this.selectedShipId = ship.shipId;
       if (this.dotNetRef) {
@@ -334,17 +543,20 @@ class TacticalViewer {
     }
   }
 
-  private handleMouseMove(e: MouseEvent): void {
-    const ship = this.findShipAtMouse(e);
+  private handlePointerMove(e: PointerEvent): void {
+    if (this.tapStart && Math.hypot(e.clientX - this.tapStart.x, e.clientY - this.tapStart.y) > TAP_SLOP) {
+      this.cancelLongPress();
+    }
+    if (e.pointerType !== 'mouse') return;
+    const ship = this.findShipAtMouse(e, MOUSE_HIT_RADIUS);
     this.hoveredShipId = ship ? ship.shipId : null;
     this.canvas.style.cursor = ship ? 'pointer' : 'default';
   }
 
-  private findShipAtMouse(e: MouseEvent): TacticalShip | null {
+  private findShipAtMouse(e: MouseEvent, hitRadius: number): TacticalShip | null {
     const rect = this.canvas.getBoundingClientRect();
     const mx = (e.clientX - rect.left) / rect.width;
     const my = (e.clientY - rect.top) / rect.height;
-    const hitRadius = 0.025;
 
     let closest: TacticalShip | null = null;
     let closestDist = hitRadius;
@@ -395,9 +607,20 @@ class TacticalViewer {
     const now = performance.now();
     this.pulseTime = now;
 
+    // Advance simulation time; frame gaps are capped so a background tab doesn't skip a round
+    const dt = this.lastFrameTime ? Math.min(now - this.lastFrameTime, 100) : 0;
+    this.lastFrameTime = now;
+    const step = this.paused && !this.stepping ? 0 : this.speed;
+    this.simTime += dt * step;
+    this.simWaiters = this.simWaiters.filter((w) => {
+      if (this.simTime < w.until) return true;
+      w.resolve();
+      return false;
+    });
+
     // Update tweens
     this.tweens = this.tweens.filter((tw) => {
-      const elapsed = now - tw.startTime;
+      const elapsed = this.simTime - tw.startTime;
       const t = Math.min(elapsed / tw.duration, 1);
       const eased = this.easeInOutCubic(t);
 
@@ -409,19 +632,22 @@ class TacticalViewer {
       return t < 1;
     });
 
-    // Update weapon lines
+    // Update weapon lines; impacts land when the shot arrives
     this.weaponLines = this.weaponLines.filter((wl) => {
-      wl.progress += 0.025;
-      return wl.progress < 1;
+      wl.progress += 0.025 * step;
+      if (wl.progress < 1) return true;
+      if (wl.impact) this.spawnImpact(wl.impact);
+      return false;
     });
 
     // Update particles
+    const damping = Math.pow(0.97, step);
     this.particles = this.particles.filter((p) => {
-      p.x += p.vx;
-      p.y += p.vy;
-      p.vx *= 0.97;
-      p.vy *= 0.97;
-      p.life -= 1;
+      p.x += p.vx * step;
+      p.y += p.vy * step;
+      p.vx *= damping;
+      p.vy *= damping;
+      p.life -= step;
       return p.life > 0;
     });
   }
@@ -456,15 +682,15 @@ class TacticalViewer {
     ctx.restore();
 
     // Formation outlines
-    this.drawFormationOutline(ctx, this.attackerShips, ATTACKER_GLOW);
-    this.drawFormationOutline(ctx, this.defenderShips, DEFENDER_GLOW);
+    this.drawFormationOutline(ctx, this.attackerShips, sideGlow('attacker'));
+    this.drawFormationOutline(ctx, this.defenderShips, sideGlow('defender'));
 
     // Weapon lines
     this.drawWeaponLines(ctx);
 
     // Ships
-    this.drawShips(ctx, this.attackerShips, ATTACKER_COLOR, true);
-    this.drawShips(ctx, this.defenderShips, DEFENDER_COLOR, false);
+    this.drawShips(ctx, this.attackerShips, sideColor('attacker'), true);
+    this.drawShips(ctx, this.defenderShips, sideColor('defender'), false);
 
     // Particles
     this.drawParticles(ctx);
@@ -477,8 +703,9 @@ class TacticalViewer {
 
   private drawStars(ctx: CanvasRenderingContext2D, w: number, h: number): void {
     const time = this.pulseTime * 0.001;
+    const still = isReducedMotion();
     for (const star of this.stars) {
-      const twinkle = 0.7 + 0.3 * Math.sin(time * 2 + star.x * 100 + star.y * 77);
+      const twinkle = still ? 1 : 0.7 + 0.3 * Math.sin(time * 2 + star.x * 100 + star.y * 77);
       const alpha = star.brightness * twinkle;
       // Slight blue/white variation
       const blue = star.brightness > 0.6 ? 255 : 200;
@@ -554,23 +781,29 @@ class TacticalViewer {
     const disorder = this.attackerShips.includes(ship)
       ? this.disorderAttacker
       : this.disorderDefender;
-    if (disorder > 50) {
+    if (disorder > 50 && !isReducedMotion()) {
       const jitter = ((disorder - 50) / 50) * 3;
       sx += (Math.random() - 0.5) * jitter;
       sy += (Math.random() - 0.5) * jitter;
     }
 
+    const sprite = this.getShipSprite(ship);
+    const heading = sprite ? this.updateHeading(ship, sx, sy, facingRight) : 0;
+    // Sprites are drawn larger than triangles; overlays follow the drawn extent
+    const extent = sprite ? sz * SPRITE_SCALE : sz;
+
     ctx.save();
 
     // Destroyed state
     if (ship.isDestroyed) {
       ctx.globalAlpha = DESTROYED_ALPHA;
-      this.drawTriangle(ctx, sx, sy, sz, facingRight, '#555555');
+      if (sprite) this.drawSprite(ctx, sprite, sx, sy, extent, heading, 'grayscale(1) brightness(0.6)');
+      else this.drawHullShape(ctx, sx, sy, sz, facingRight, '#555555');
       ctx.globalAlpha = 0.3;
-      ctx.font = `bold ${Math.max(8, sz * 0.6)}px Orbitron, monospace`;
+      ctx.font = `bold ${fontPx(Math.max(8, sz * 0.6))}px Orbitron, monospace`;
       ctx.fillStyle = '#ff4444';
       ctx.textAlign = 'center';
-      ctx.fillText('X', sx, sy + sz + 12);
+      ctx.fillText('X', sx, sy + extent + 12);
       ctx.restore();
       return;
     }
@@ -578,29 +811,32 @@ class TacticalViewer {
     // Disabled state
     if (ship.isDisabled) {
       ctx.globalAlpha = 0.5;
-      this.drawTriangle(ctx, sx, sy, sz, facingRight, DISABLED_COLOR);
+      if (sprite) this.drawSprite(ctx, sprite, sx, sy, extent, heading, 'grayscale(1)');
+      else this.drawHullShape(ctx, sx, sy, sz, facingRight, DISABLED_COLOR);
       ctx.globalAlpha = 0.7;
-      ctx.font = `bold ${Math.max(7, sz * 0.5)}px Orbitron, monospace`;
+      ctx.font = `bold ${fontPx(Math.max(7, sz * 0.5))}px Orbitron, monospace`;
       ctx.fillStyle = '#ffaa00';
       ctx.textAlign = 'center';
-      ctx.fillText('DISABLED', sx, sy + sz + 14);
-      this.drawHealthBars(ctx, ship, sx, sy, sz);
+      ctx.fillText('DISABLED', sx, sy + extent + 14);
+      this.drawHealthBars(ctx, ship, sx, sy, extent);
       ctx.restore();
       return;
     }
 
     // Selection glow (pulsing)
     if (ship.shipId === this.selectedShipId) {
-      const pulse = 0.5 + 0.5 * Math.sin(this.pulseTime * 0.004);
-      ctx.shadowColor = SELECTION_COLOR;
-      ctx.shadowBlur = 10 + pulse * 8;
-      this.drawTriangle(ctx, sx, sy, sz + 3, facingRight, 'transparent');
-      ctx.shadowBlur = 0;
+      const pulse = isReducedMotion() ? 1 : 0.5 + 0.5 * Math.sin(this.pulseTime * 0.004);
+      if (!sprite) {
+        ctx.shadowColor = SELECTION_COLOR;
+        ctx.shadowBlur = 10 + pulse * 8;
+        this.drawHullShape(ctx, sx, sy, sz + 3, facingRight, 'transparent');
+        ctx.shadowBlur = 0;
+      }
 
       ctx.strokeStyle = SELECTION_COLOR;
       ctx.lineWidth = 2;
       ctx.globalAlpha = 0.5 + pulse * 0.5;
-      this.strokeTriangle(ctx, sx, sy, sz + 4, facingRight);
+      this.strokeHull(ctx, sprite, sx, sy, extent + 4, facingRight);
       ctx.globalAlpha = 1;
     }
 
@@ -608,30 +844,42 @@ class TacticalViewer {
     if (ship.shipId === this.hoveredShipId && ship.shipId !== this.selectedShipId) {
       ctx.strokeStyle = HOVER_COLOR;
       ctx.lineWidth = 1.5;
-      this.strokeTriangle(ctx, sx, sy, sz + 3, facingRight);
-    }
-
-    // Webbed overlay
-    if (ship.isWebbed) {
-      this.drawWebOverlay(ctx, sx, sy, sz);
+      this.strokeHull(ctx, sprite, sx, sy, extent + 3, facingRight);
     }
 
-    // Ship body with subtle glow
+    // Ship body with a subtle glow in the side colour
     ctx.shadowColor = baseColor;
     ctx.shadowBlur = 6;
-    this.drawTriangle(ctx, sx, sy, sz, facingRight, baseColor);
+    if (sprite) this.drawSprite(ctx, sprite, sx, sy, extent, heading, null);
+    else this.drawHullShape(ctx, sx, sy, sz, facingRight, baseColor);
     ctx.shadowBlur = 0;
 
+    // Sprites keep their art, so the side shape is added as an outline (dashed for defenders)
+    if (sprite && patternsEnabled()) {
+      ctx.strokeStyle = baseColor;
+      ctx.lineWidth = 1.5;
+      ctx.globalAlpha = 0.7;
+      if (!facingRight) ctx.setLineDash([4, 3]);
+      this.strokeHullShape(ctx, sx, sy, extent * 0.9, facingRight);
+      ctx.setLineDash([]);
+      ctx.globalAlpha = 1;
+    }
+
+    // Webbed overlay (on top of sprites so the web stays visible)
+    if (ship.isWebbed) {
+      this.drawWebOverlay(ctx, sx, sy, extent);
+    }
+
     // Ship name (small)
     ctx.globalAlpha = 0.6;
-    ctx.font = `${Math.max(7, sz * 0.55)}px Roboto, sans-serif`;
+    ctx.font = `${fontPx(Math.max(7, sz * 0.55))}px Roboto, sans-serif`;
     ctx.fillStyle = '#cccccc';
     ctx.textAlign = 'center';
-    ctx.fillText(ship.name, sx, sy - sz - 14);
+    ctx.fillText(ship.name, sx, sy - extent - 14);
     ctx.globalAlpha = 1;
 
     // Health bars
-    this.drawHealthBars(ctx, ship, sx, sy, sz);
+    this.drawHealthBars(ctx, ship, sx, sy, extent);
 
     // Target line
     if (ship.targetId) {
@@ -652,9 +900,88 @@ class TacticalViewer {
     ctx.restore();
   }
 
-  // ---------- triangle drawing helpers --------------------------------------
+  // ---------- sprite drawing helpers ----------------------------------------
+
+  private getShipSprite(ship: TacticalShip): ShipSprite | null {
+    const cached = this.spriteByShip.get(ship.shipId);
+    if (cached !== undefined) return cached;
+
+    const sheet = this.sheets[this.attackerShips.includes(ship) ? 'attacker' : 'defender'];
+    if (!sheet) return null; // not loaded (yet); don't cache so the sprite appears once it is
+
+    // Exact class match first, then the closest partial ("Bird-of-Prey" → "Bird of Prey B'rel")
+    const key = normalizeClassName(ship.shipClass);
+    let cell = sheet.cells.find((c) => c.key === key);
+    if (!cell && key.length >= 3) {
+      cell = sheet.cells.find((c) => c.key.includes(key) || key.includes(c.key));
+    }
+    const sprite = cell ? { sheet, row: cell.row, col: cell.col } : null;
+    this.spriteByShip.set(ship.shipId, sprite);
+    return sprite;
+  }
+
+  /** Eases the ship's heading towards its target (or the enemy side) and returns it. */
+  private updateHeading(ship: TacticalShip, sx: number, sy: number, facingRight: boolean): number {
+    let desired = facingRight ? 0 : Math.PI;
+    const target = ship.targetId ? this.findShipById(ship.targetId) : null;
+    if (target && !target.isDestroyed && !ship.isDestroyed) {
+      desired = Math.atan2(this.toCanvasY(target.y) - sy, this.toCanvasX(target.x) - sx);
+    }
+
+    const current = this.headings.get(ship.shipId);
+    if (current === undefined) {
+      this.headings.set(ship.shipId, desired);
+      return desired;
+    }
+    const delta = Math.atan2(Math.sin(desired - current), Math.cos(desired - current));
+    const heading = current + delta * TURN_RATE;
+    this.headings.set(ship.shipId, heading);
+    return heading;
+  }
+
+  private drawSprite(
+    ctx: CanvasRenderingContext2D,
+    sprite: ShipSprite,
+    cx: number,
+    cy: number,
+    extent: number,
+    heading: number,
+    filter: string | null
+  ): void {
+    const { sheet, row, col } = sprite;
+    ctx.save();
+    if (filter) ctx.filter = filter;
+    ctx.translate(cx, cy);
+    ctx.rotate(heading - SPRITE_HEADING);
+    ctx.drawImage(
+      sheet.image,
+      col * sheet.cellSize, row * sheet.cellSize, sheet.cellSize, sheet.cellSize,
+      -extent, -extent, extent * 2, extent * 2
+    );
+    ctx.restore();
+  }
+
+  private strokeHull(
+    ctx: CanvasRenderingContext2D,
+    sprite: ShipSprite | null,
+    cx: number,
+    cy: number,
+    size: number,
+    facingRight: boolean
+  ): void {
+    if (!sprite) {
+      this.strokeHullShape(ctx, cx, cy, size, facingRight);
+      return;
+    }
+    ctx.beginPath();
+    ctx.arc(cx, cy, size * 0.75, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+
+  // ---------- fallback hull helpers ----------------------------------------
+  // A triangle per side, or a triangle/diamond pair when secondary encodings are on
 
-  private drawTriangle(
+  private drawHullShape(
     ctx: CanvasRenderingContext2D,
     cx: number,
     cy: number,
@@ -662,29 +989,19 @@ class TacticalViewer {
     facingRight: boolean,
     fillColor: string
   ): void {
-    const dir = facingRight ? 1 : -1;
-    ctx.beginPath();
-    ctx.moveTo(cx + size * dir, cy);
-    ctx.lineTo(cx - size * 0.6 * dir, cy - size * 0.65);
-    ctx.lineTo(cx - size * 0.6 * dir, cy + size * 0.65);
-    ctx.closePath();
+    traceShipShape(ctx, sideShape(facingRight ? 'attacker' : 'defender'), cx, cy, size, facingRight ? 1 : -1);
     ctx.fillStyle = fillColor;
     ctx.fill();
   }
 
-  private strokeTriangle(
+  private strokeHullShape(
     ctx: CanvasRenderingContext2D,
     cx: number,
     cy: number,
     size: number,
     facingRight: boolean
   ): void {
-    const dir = facingRight ? 1 : -1;
-    ctx.beginPath();
-    ctx.moveTo(cx + size * dir, cy);
-    ctx.lineTo(cx - size * 0.6 * dir, cy - size * 0.65);
-    ctx.lineTo(cx - size * 0.6 * dir, cy + size * 0.65);
-    ctx.closePath();
+    traceShipShape(ctx, sideShape(facingRight ? 'attacker' : 'defender'), cx, cy, size, facingRight ? 1 : -1);
     ctx.stroke();
   }
 
@@ -758,6 +1075,7 @@ class TacticalViewer {
 
   private drawWeaponLines(ctx: CanvasRenderingContext2D): void {
     for (const wl of this.weaponLines) {
+      if (wl.progress < 0) continue; // salvo torpedo not launched yet
       const x = wl.fromX + (wl.toX - wl.fromX) * wl.progress;
       const y = wl.fromY + (wl.toY - wl.fromY) * wl.progress;
 
@@ -770,7 +1088,7 @@ class TacticalViewer {
         const ey = wl.fromY + (wl.toY - wl.fromY) * beamEnd;
 
         ctx.strokeStyle = wl.color;
-        ctx.lineWidth = 2;
+        ctx.lineWidth = 2 * wl.width;
         ctx.shadowColor = wl.color;
         ctx.shadowBlur = 8;
         ctx.globalAlpha = 0.9;
@@ -781,7 +1099,7 @@ class TacticalViewer {
 
         // Bright core
         ctx.strokeStyle = '#ffffff';
-        ctx.lineWidth = 0.8;
+        ctx.lineWidth = 0.8 * wl.width;
         ctx.beginPath();
         ctx.moveTo(this.toCanvasX(wl.fromX), this.toCanvasY(wl.fromY));
         ctx.lineTo(this.toCanvasX(ex), this.toCanvasY(ey));
@@ -795,13 +1113,13 @@ class TacticalViewer {
         ctx.shadowBlur = 12;
         ctx.fillStyle = wl.color;
         ctx.beginPath();
-        ctx.arc(cx, cy, 3, 0, Math.PI * 2);
+        ctx.arc(cx, cy, 3 * wl.width, 0, Math.PI * 2);
         ctx.fill();
 
         // Bright core
         ctx.fillStyle = '#ffffff';
         ctx.beginPath();
-        ctx.arc(cx, cy, 1.2, 0, Math.PI * 2);
+        ctx.arc(cx, cy, 1.2 * wl.width, 0, Math.PI * 2);
         ctx.fill();
 
         // Trail
@@ -824,7 +1142,7 @@ class TacticalViewer {
         // Disruptor — pulsing bolt
         const cx = this.toCanvasX(x);
         const cy = this.toCanvasY(y);
-        const pulse = 2 + Math.sin(wl.progress * 30) * 1;
+        const pulse = (2 + Math.sin(wl.progress * 30) * 1) * wl.width;
 
         ctx.shadowColor = wl.color;
         ctx.shadowBlur = 10;
@@ -874,14 +1192,14 @@ class TacticalViewer {
     h: number
   ): void {
     ctx.save();
-    ctx.font = 'bold 11px Orbitron, monospace';
+    ctx.font = `bold ${fontPx(11)}px Orbitron, monospace`;
     ctx.globalAlpha = 0.35;
 
-    ctx.fillStyle = ATTACKER_COLOR;
+    ctx.fillStyle = sideColor('attacker');
     ctx.textAlign = 'center';
     ctx.fillText('ATTACKER', w * 0.25, h - 10);
 
-    ctx.fillStyle = DEFENDER_COLOR;
+    ctx.fillStyle = sideColor('defender');
     ctx.fillText('DEFENDER', w * 0.75, h - 10);
     ctx.restore();
   }
@@ -905,7 +1223,14 @@ class TacticalViewer {
 
   // ---------- particle / weapon spawners -----------------------------------
 
-  private spawnExplosion(nx: number, ny: number, count: number, color: string): void {
+  /** Sound at a battlefield position; the whole field is on screen, so x/y pan directly. */
+  private playSound(sound: string, nx: number, ny: number, volume: number): void {
+    window.GameSounds?.playAt(sound, nx, ny, Math.min(1, volume));
+  }
+
+  private spawnExplosion(nx: number, ny: number, count: number, color: string, sound: string | null = 'explosion'): void {
+    if (sound) this.playSound(sound, nx, ny, 0.3 + count / 30);
+    if (isReducedMotion()) return;
     for (let i = 0; i < count; i++) {
       const angle = Math.random() * Math.PI * 2;
       const speed = 0.001 + Math.random() * 0.003;
@@ -922,10 +1247,13 @@ class TacticalViewer {
     }
   }
 
-  private spawnShieldImpact(nx: number, ny: number): void {
-    for (let i = 0; i < 8; i++) {
+  private spawnShieldImpact(nx: number, ny: number, magnitude = 1): void {
+    const count = Math.round(8 * magnitude);
+    this.playSound('shield_hit', nx, ny, 0.5 + magnitude * 0.25);
+    if (isReducedMotion()) return;
+    for (let i = 0; i < count; i++) {
       const angle = Math.random() * Math.PI * 2;
-      const speed = 0.0005 + Math.random() * 0.001;
+      const speed = (0.0005 + Math.random() * 0.001) * Math.sqrt(magnitude);
       this.particles.push({
         x: nx,
         y: ny,
@@ -934,120 +1262,444 @@ class TacticalViewer {
         life: 15 + Math.floor(Math.random() * 10),
         maxLife: 25,
         color: '#66bbff',
-        size: 1 + Math.random() * 1.5,
+        size: (1 + Math.random() * 1.5) * Math.sqrt(magnitude),
       });
     }
   }
 
+  private spawnImpact(impact: WeaponImpact): void {
+    const target = this.findShipById(impact.targetId);
+    if (!target) return;
+    if (impact.kind === 'shield') {
+      this.spawnShieldImpact(target.x, target.y, impact.magnitude);
+    } else {
+      this.spawnExplosion(target.x, target.y, Math.round(6 * impact.magnitude), '#ffaa44', 'hull_hit');
+    }
+  }
+
   private spawnWeaponLine(
     from: TacticalShip,
     to: TacticalShip,
-    type: WeaponLine['type']
+    weaponType: string | null | undefined,
+    options: { count?: number; damage?: number; impact?: WeaponImpact['kind'] | null } = {}
   ): void {
-    const colorMap: Record<WeaponLine['type'], string> = {
-      phaser: PHASER_COLOR,
-      torpedo: TORPEDO_COLOR,
-      disruptor: DISRUPTOR_COLOR,
-    };
-    this.weaponLines.push({
-      fromX: from.x,
-      fromY: from.y,
-      toX: to.x,
-      toY: to.y,
-      progress: 0,
-      color: colorMap[type],
-      type,
-    });
-  }
+    const visual = this.resolveWeapon(weaponType);
+    const magnitude = this.damageMagnitude(options.damage);
+    const isSalvo = visual.type === 'torpedo';
+    const count = isSalvo ? Math.max(1, Math.min(options.count ?? 1, 8)) : 1;
+    this.playSound(isSalvo ? 'torpedo' : 'phaser', from.x, from.y, 0.6 + magnitude * 0.2);
 
-  // ---------- event parsing ------------------------------------------------
+    for (let i = 0; i < count; i++) {
+      this.weaponLines.push({
+        fromX: from.x,
+        fromY: from.y,
+        toX: to.x,
+        toY: to.y,
+        progress: -i * 0.12,
+        color: visual.color,
+        type: visual.type,
+        // Beams widen with damage; salvo torpedoes share the damage between them
+        width: isSalvo ? Math.max(0.8, Math.sqrt(magnitude / count) * 1.2) : 0.6 + magnitude * 0.6,
+        impact: options.impact
+          ? { kind: options.impact, targetId: to.shipId, magnitude: magnitude / count }
+          : null,
+      });
+    }
+  }
 
-  private parseWeaponType(eventText: string): WeaponLine['type'] {
-    const lower = eventText.toLowerCase();
-    if (lower.includes('phaser') || lower.includes('beam')) return 'phaser';
-    if (lower.includes('torpedo') || lower.includes('missile') || lower.includes('quantum')) return 'torpedo';
-    if (lower.includes('disruptor') || lower.includes('polaron') || lower.includes('plasma')) return 'disruptor';
+  private resolveWeapon(weaponType: string | null | undefined): { type: WeaponLine['type']; color: string } {
+    const key = (weaponType ?? '').toLowerCase();
+    for (const [name, visual] of Object.entries(WEAPON_VISUALS)) {
+      if (key.includes(name)) return visual;
+    }
     // Default to phaser for generic hits
-    return 'phaser';
+    return WEAPON_VISUALS.phaser;
   }
 
-  // ---------- public API: updateRound --------------------------------------
+  private damageMagnitude(damage: number | null | undefined): number {
+    if (!damage || damage <= 0) return 1;
+    return Math.max(0.5, Math.min(3, damage / REFERENCE_DAMAGE));
+  }
 
-  async updateRound(roundResult: TacticalRoundResult): Promise<void> {
-    // Update ship states
-    for (const ship of roundResult.attacker.ships) {
-      const existing = this.attackerShips.find((s) => s.shipId === ship.shipId);
-      if (existing) {
-        Object.assign(existing, {
-          hull: ship.hull,
-          maxHull: ship.maxHull,
-          shields: ship.shields,
-          maxShields: ship.maxShields,
-          isDestroyed: ship.isDestroyed,
-          isDisabled: ship.isDisabled,
-          isWebbed: ship.isWebbed,
-          targetId: ship.targetId,
-        });
+  // ---------- combat events ------------------------------------------------
+
+  private applyCombatEvent(evt: CombatEvent): void {
+    const ship = evt.shipId ? this.findShipById(evt.shipId) : null;
+    const target = evt.targetId ? this.findShipById(evt.targetId) : null;
+
+    switch (evt.type) {
+      case 'fire':
+      case 'hit':
+      case 'shield-hit':
+      case 'hull-hit': {
+        const shieldDmg = evt.shieldDamage ?? 0;
+        const hullDmg = evt.hullDamage ?? 0;
+        const damage = evt.damage ?? shieldDmg + hullDmg;
+        let impact: WeaponImpact['kind'] | null = null;
+        if (evt.type === 'shield-hit') impact = 'shield';
+        else if (evt.type === 'hull-hit') impact = 'hull';
+        else if (evt.type === 'hit') impact = hullDmg > 0 || shieldDmg === 0 ? 'hull' : 'shield';
+
+        if (ship && target) {
+          this.spawnWeaponLine(ship, target, evt.weaponType, { count: evt.count ?? 1, damage, impact });
+        } else if (target && impact) {
+          // No known source (mines, hazards): impact only
+          this.spawnImpact({ kind: impact, targetId: target.shipId, magnitude: this.damageMagnitude(damage) });
+        }
+        break;
+      }
+      case 'destroyed':
+        if (ship) {
+          const scale = this.getShipSize(ship.shipClass) / 12;
+          this.spawnExplosion(ship.x, ship.y, Math.round(25 * scale), '#ff6622');
+          this.spawnExplosion(ship.x, ship.y, Math.round(15 * scale), '#ffcc44', null);
+        }
+        break;
+      case 'disabled':
+        if (ship) {
+          this.spawnExplosion(ship.x, ship.y, 10, '#66ccff');
+          this.spawnExplosion(ship.x, ship.y, 6, '#ffaa00', null);
+        }
+        break;
+      case 'retreat':
+        // Warp flash; the ship itself glides off-field towards its frame position
+        if (ship) this.spawnExplosion(ship.x, ship.y, 12, '#aaccff', 'warp');
+        break;
+      case 'ability':
+        if (ship) this.spawnAbilityRing(ship, evt.ability ?? '');
+        break;
+    }
+  }
+
+  private spawnAbilityRing(ship: TacticalShip, ability: string): void {
+    if (isReducedMotion()) return;
+    const color = ability.toLowerCase().includes('cloak') ? '#88ffcc' : '#cc88ff';
+    const count = 18;
+    for (let i = 0; i < count; i++) {
+      const angle = (i / count) * Math.PI * 2;
+      this.particles.push({
+        x: ship.x,
+        y: ship.y,
+        vx: Math.cos(angle) * 0.002,
+        vy: Math.sin(angle) * 0.002,
+        life: 30,
+        maxLife: 30,
+        color,
+        size: 1.5,
+      });
+    }
+  }
+
+  /**
+   * Fallback for servers that only send log text. Recognises the combat log lines
+   * "A hits B's shields (N dmg).", "A damages B's hull (N dmg)." and "💥 B destroyed!";
+   * anything else is narrative and produces no event.
+   */
+  private parseLegacyEvents(events: string[]): CombatEvent[] {
+    const allShips = [...this.attackerShips, ...this.defenderShips];
+    const byName = (name: string) =>
+      allShips.find((s) => s.name.toLowerCase() === name.trim().toLowerCase());
+    const result: CombatEvent[] = [];
+
+    for (const evt of events) {
+      const line = evt.trim();
+      const hitMatch = line.match(/^(.+?)\s+(hits|damages)\s+(.+?)'s\s+(shields|hull)\s+\((\d+)\s+dmg\)/i);
+      if (hitMatch) {
+        const fromShip = byName(hitMatch[1]);
+        const toShip = byName(hitMatch[3]);
+        if (fromShip && toShip) {
+          const damage = Number(hitMatch[5]);
+          const onShields = hitMatch[4].toLowerCase() === 'shields';
+          result.push({
+            type: onShields ? 'shield-hit' : 'hull-hit',
+            shipId: fromShip.shipId,
+            targetId: toShip.shipId,
+            damage,
+            shieldDamage: onShields ? damage : 0,
+            hullDamage: onShields ? 0 : damage,
+          });
+        }
+        continue;
+      }
+
+      const destroyMatch = line.match(/^(?:💥\s*)?(.+?)\s+(?:destroyed|eliminated|explodes)!?$/iu);
+      if (destroyMatch) {
+        const destroyed = byName(destroyMatch[1]);
+        if (destroyed) result.push({ type: 'destroyed', shipId: destroyed.shipId });
       }
     }
-    for (const ship of roundResult.defender.ships) {
-      const existing = this.defenderShips.find((s) => s.shipId === ship.shipId);
+    return result;
+  }
+
+  // ---------- replay frames ------------------------------------------------
+
+  private applyShipStates(ships: TacticalShip[], states: TacticalShip[]): void {
+    for (const state of states) {
+      const existing = ships.find((s) => s.shipId === state.shipId);
       if (existing) {
         Object.assign(existing, {
-          hull: ship.hull,
-          maxHull: ship.maxHull,
-          shields: ship.shields,
-          maxShields: ship.maxShields,
-          isDestroyed: ship.isDestroyed,
-          isDisabled: ship.isDisabled,
-          isWebbed: ship.isWebbed,
-          targetId: ship.targetId,
+          hull: state.hull,
+          maxHull: state.maxHull,
+          shields: state.shields,
+          maxShields: state.maxShields,
+          isDestroyed: state.isDestroyed,
+          isDisabled: state.isDisabled,
+          isWebbed: state.isWebbed,
+          targetId: state.targetId,
         });
       }
     }
+  }
 
-    // Parse events for weapon fire and effects
-    const allShips = [...this.attackerShips, ...this.defenderShips];
-    for (const evt of roundResult.events) {
-      // Try to parse "X hits Y" pattern
-      const hitMatch = evt.match(/^(.+?)\s+hits?\s+(.+?)(?:\s+for|\s+with|\s*[-—]|$)/i);
-      if (hitMatch) {
-        const attackerName = hitMatch[1].trim();
-        const defenderName = hitMatch[2].trim();
-        const fromShip = allShips.find(
-          (s) => s.name.toLowerCase() === attackerName.toLowerCase()
-        );
-        const toShip = allShips.find(
-          (s) => s.name.toLowerCase() === defenderName.toLowerCase()
-        );
-        if (fromShip && toShip) {
-          const wtype = this.parseWeaponType(evt);
-          this.spawnWeaponLine(fromShip, toShip, wtype);
+  private eventsFor(result: TacticalRoundResult): CombatEvent[] {
+    // Structured events drive the effects; legacy log strings are parsed as a fallback
+    return result.combatEvents?.length
+      ? result.combatEvents
+      : this.parseLegacyEvents(result.events ?? []);
+  }
 
-          // Shield impact if shields took damage
-          if (evt.toLowerCase().includes('shield')) {
-            this.spawnShieldImpact(toShip.x, toShip.y);
-          }
-        }
+  /** Copies ships, taking the target of any running tween as the resting position. */
+  private snapshotShips(ships: TacticalShip[]): TacticalShip[] {
+    return ships.map((ship) => {
+      for (let i = this.tweens.length - 1; i >= 0; i--) {
+        const tw = this.tweens[i];
+        if (tw.shipId === ship.shipId) return { ...ship, x: tw.targetX, y: tw.targetY };
       }
+      return { ...ship };
+    });
+  }
 
-      // Destroyed ships get explosions
-      const destroyMatch = evt.match(/(.+?)\s+(?:destroyed|eliminated|explodes)/i);
-      if (destroyMatch) {
-        const shipName = destroyMatch[1].trim();
-        const destroyed = allShips.find(
-          (s) => s.name.toLowerCase() === shipName.toLowerCase()
-        );
-        if (destroyed) {
-          this.spawnExplosion(destroyed.x, destroyed.y, 25, '#ff6622');
-          this.spawnExplosion(destroyed.x, destroyed.y, 15, '#ffcc44');
-        }
+  private openingFrame(): ReplayFrame {
+    return {
+      round: 0,
+      result: null,
+      attacker: this.snapshotShips(this.attackerShips),
+      defender: this.snapshotShips(this.defenderShips),
+    };
+  }
+
+  /** Derives the frame after `result` from the previous one without touching the live ships. */
+  private buildFrame(prev: ReplayFrame, result: TacticalRoundResult): ReplayFrame {
+    const attacker = prev.attacker.map((s) => ({ ...s }));
+    const defender = prev.defender.map((s) => ({ ...s }));
+    this.applyShipStates(attacker, result.attacker.ships);
+    this.applyShipStates(defender, result.defender.ships);
+
+    for (const evt of this.eventsFor(result)) {
+      if (evt.type === 'formation-change' && evt.formation) {
+        const side = evt.side ?? (defender.some((s) => s.shipId === evt.shipId) ? 'defender' : 'attacker');
+        this.layoutFormation(side, evt.formation, side === 'attacker' ? attacker : defender);
+      } else if (evt.type === 'retreat') {
+        // Warp out towards the own edge of the field
+        const own = attacker.find((s) => s.shipId === evt.shipId);
+        const ship = own ?? defender.find((s) => s.shipId === evt.shipId);
+        if (ship) ship.x = own ? -0.1 : 1.1;
+      }
+    }
+    return { round: result.round, result, attacker, defender };
+  }
+
+  /** Jumps to a frame instantly, dropping in-flight effects. */
+  private restoreFrame(index: number): void {
+    const frame = this.history[index];
+    if (!frame) return;
+    this.tweens = [];
+    this.particles = [];
+    this.weaponLines = [];
+    for (const [ships, states] of [
+      [this.attackerShips, frame.attacker],
+      [this.defenderShips, frame.defender],
+    ] as const) {
+      for (const state of states) {
+        const ship = ships.find((s) => s.shipId === state.shipId);
+        if (ship) Object.assign(ship, state);
       }
     }
+    this.playhead = index;
+    this.notifyPlayhead();
+  }
+
+  /** Plays the round leading into frame `index` and resolves when its effects have finished. */
+  private async animateFrame(index: number): Promise<void> {
+    const frame = this.history[index];
+    if (!frame?.result) return;
+    this.playhead = index;
+
+    this.applyShipStates(this.attackerShips, frame.attacker);
+    this.applyShipStates(this.defenderShips, frame.defender);
+    for (const evt of this.eventsFor(frame.result)) {
+      this.applyCombatEvent(evt);
+    }
+    this.tweenToFrame(frame, 500);
+    this.notifyPlayhead();
 
     // Wait for animations
-    const animDuration = this.weaponLines.length > 0 ? 900 : 500;
-    await this.delay(animDuration);
+    await this.waitSim(this.weaponLines.length > 0 ? 900 : 500);
+  }
+
+  private tweenToFrame(frame: ReplayFrame, duration: number): void {
+    for (const [ships, states] of [
+      [this.attackerShips, frame.attacker],
+      [this.defenderShips, frame.defender],
+    ] as const) {
+      for (const state of states) {
+        const ship = ships.find((s) => s.shipId === state.shipId);
+        if (!ship || (ship.x === state.x && ship.y === state.y)) continue;
+        this.tweens.push({
+          shipId: ship.shipId,
+          targetX: state.x,
+          targetY: state.y,
+          startX: ship.x,
+          startY: ship.y,
+          startTime: this.simTime,
+          duration,
+        });
+      }
+    }
+  }
+
+  private async runPlayback(): Promise<void> {
+    if (this.playbackRunning) return;
+    this.playbackRunning = true;
+    try {
+      while (!this.paused && this.playhead < this.history.length - 1) {
+        await this.animateFrame(this.playhead + 1);
+      }
+    } finally {
+      this.playbackRunning = false;
+      this.notifyPlayhead();
+    }
+  }
+
+  private notifyPlayhead(): void {
+    if (!this.dotNetRef) return;
+    const frame = this.history[this.playhead];
+    const last = this.history[this.history.length - 1];
+    void this.dotNetRef.invokeMethodAsync(
+      'OnPlayheadChanged',
+      frame?.round ?? 0,
+      last?.round ?? 0,
+      !this.paused && (this.playbackRunning || this.playhead < this.history.length - 1)
+    );
+  }
+
+  // ---------- public API: updateRound --------------------------------------
+
+  async updateRound(roundResult: TacticalRoundResult): Promise<void> {
+    // Follow live rounds only while watching the latest frame; otherwise just record
+    const following =
+      !this.paused && !this.playbackRunning && this.playhead === this.history.length - 1;
+    this.history.push(this.buildFrame(this.history[this.history.length - 1], roundResult));
+
+    if (following) {
+      await this.animateFrame(this.history.length - 1);
+    } else {
+      this.notifyPlayhead();
+    }
+  }
+
+  // ---------- public API: replay controls ----------------------------------
+
+  play(): void {
+    this.paused = false;
+    void this.runPlayback();
+    this.notifyPlayhead();
+  }
+
+  pause(): void {
+    this.holdPlayback();
+    this.notifyPlayhead();
+  }
+
+  seekToRound(round: number): void {
+    let index = this.history.findIndex((f) => f.round === round);
+    if (index < 0) index = round <= (this.history[0]?.round ?? 0) ? 0 : this.history.length - 1;
+    this.restoreFrame(index);
+    if (!this.paused) void this.runPlayback();
+  }
+
+  /** Pauses and plays exactly one round forward. */
+  async stepForward(): Promise<void> {
+    this.holdPlayback();
+    if (this.stepping || this.playhead >= this.history.length - 1) {
+      this.notifyPlayhead();
+      return;
+    }
+    this.stepping = true;
+    try {
+      await this.animateFrame(this.playhead + 1);
+    } finally {
+      this.stepping = false;
+    }
+  }
+
+  /** Pauses and jumps one round back. */
+  stepBack(): void {
+    this.holdPlayback();
+    this.restoreFrame(Math.max(0, this.playhead - 1));
+  }
+
+  setSpeed(multiplier: number): void {
+    if (!Number.isFinite(multiplier)) return;
+    this.speed = Math.min(MAX_SPEED, Math.max(MIN_SPEED, multiplier));
+  }
+
+  /** Replaces the battle with a serialized log and parks the playhead on the opening frame. */
+  loadBattleLog(log: BattleLog | string): void {
+    const data: BattleLog = typeof log === 'string' ? JSON.parse(log) : log;
+    const rounds = data.rounds ?? [];
+    // Without explicit opening states, start from the first round's ships at full strength
+    const opening = (ships: TacticalShip[] | undefined): TacticalShip[] =>
+      (ships ?? []).map((s) =>
+        data.attacker || data.defender
+          ? { ...s }
+          : { ...s, hull: s.maxHull, shields: s.maxShields, isDestroyed: false, isDisabled: false, isWebbed: false }
+      );
+
+    this.attackerShips = opening(data.attacker ?? rounds[0]?.attacker.ships);
+    this.defenderShips = opening(data.defender ?? rounds[0]?.defender.ships);
+    this.layoutFormation('attacker', 'wedge', this.attackerShips);
+    this.layoutFormation('defender', 'wedge', this.defenderShips);
+    this.tweens = [];
+    this.spriteByShip.clear();
+    this.headings.clear();
+
+    this.history = [this.openingFrame()];
+    for (const round of rounds) {
+      this.history.push(this.buildFrame(this.history[this.history.length - 1], round));
+    }
+    this.paused = true;
+    this.restoreFrame(0);
+  }
+
+  exportBattleLog(): string {
+    const log: BattleLog = {
+      attacker: this.history[0]?.attacker ?? [],
+      defender: this.history[0]?.defender ?? [],
+      rounds: this.history.flatMap((f) => (f.result ? [f.result] : [])),
+    };
+    return JSON.stringify(log);
+  }
+
+  // ---------- public API: setFactions --------------------------------------
+
+  /**
+   * Loads each side's military ship spritesheet. Factions are given by name or race key
+   * ("Klingon Empire", "klingon"), not by id; unknown factions keep triangles.
+   */
+  async setFactions(attackerFaction?: string | null, defenderFaction?: string | null): Promise<void> {
+    const resolve = (name?: string | null) => {
+      const nameLower = (name ?? '').toLowerCase();
+      return SHIP_SHEET_FACTIONS.find((key) => nameLower.includes(key)) ?? null;
+    };
+    const attackerKey = resolve(attackerFaction);
+    const defenderKey = resolve(defenderFaction);
+    const [attacker, defender] = await Promise.all([
+      attackerKey ? loadShipSheet(attackerKey) : Promise.resolve(null),
+      defenderKey ? loadShipSheet(defenderKey) : Promise.resolve(null),
+    ]);
+    this.sheets = { attacker, defender };
+    this.spriteByShip.clear();
   }
 
   // ---------- public API: updateFormation -----------------------------------
@@ -1068,7 +1720,6 @@ class TacticalViewer {
       isAttacker
     );
 
-    const now = performance.now();
     for (let i = 0; i < ships.length; i++) {
       this.tweens.push({
         shipId: ships[i].shipId,
@@ -1076,10 +1727,16 @@ class TacticalViewer {
         targetY: targets[i].y,
         startX: ships[i].x,
         startY: ships[i].y,
-        startTime: now,
+        startTime: this.simTime,
         duration: 500,
       });
     }
+
+    // Orders between rounds move the fleet in the latest frame too
+    if (this.playhead === this.history.length - 1) {
+      const frame = this.history[this.playhead];
+      if (frame) frame[side] = this.snapshotShips(ships);
+    }
   }
 
   // ---------- public API: highlight / select / disorder ---------------------
@@ -1107,25 +1764,50 @@ class TacticalViewer {
       cancelAnimationFrame(this.animationFrameId);
       this.animationFrameId = 0;
     }
-    if (this.boundClickHandler) {
-      this.canvas.removeEventListener('click', this.boundClickHandler);
+    this.cancelLongPress();
+    if (this.boundDownHandler) {
+      this.canvas.removeEventListener('pointerdown', this.boundDownHandler);
+    }
+    if (this.boundUpHandler) {
+      this.canvas.removeEventListener('pointerup', this.boundUpHandler);
+      this.canvas.removeEventListener('pointercancel', this.boundUpHandler);
     }
     if (this.boundMoveHandler) {
-      this.canvas.removeEventListener('mousemove', this.boundMoveHandler);
+      this.canvas.removeEventListener('pointermove', this.boundMoveHandler);
     }
     this.attackerShips = [];
     this.defenderShips = [];
     this.particles = [];
     this.weaponLines = [];
     this.tweens = [];
+    this.history = [];
+    this.spriteByShip.clear();
+    this.headings.clear();
     this.dotNetRef = null;
+    // Release anyone still awaiting an animation
+    this.releaseSimWaiters();
     console.log('[TacticalViewer] Disposed');
   }
 
   // ---------- utility -------------------------------------------------------
 
-  private delay(ms: number): Promise<void> {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+  /**
+   * Stops simulation time. A live round awaited by updateRound would otherwise never
+   * finish while paused, so its pending waits are released; the effects stay frozen.
+   */
+  private holdPlayback(): void {
+    this.paused = true;
+    this.releaseSimWaiters();
+  }
+
+  private releaseSimWaiters(): void {
+    for (const w of this.simWaiters) w.resolve();
+    this.simWaiters = [];
+  }
+
+  /** Resolves after `ms` of simulation time, so it stretches with speed and holds while paused. */
+  private waitSim(ms: number): Promise<void> {
+    return new Promise((resolve) => this.simWaiters.push({ until: this.simTime + ms, resolve }));
   }
 }
 
@@ -1140,14 +1822,41 @@ let viewer: TacticalViewer | null = null;
     canvasId: string,
     attackerShips: TacticalShip[],
     defenderShips: TacticalShip[],
-    dotNetRef: DotNetObjectReference
+    dotNetRef: DotNetObjectReference,
+    attackerFaction?: string | null,
+    defenderFaction?: string | null
   ) => {
     viewer = new TacticalViewer();
-    viewer.init(canvasId, attackerShips, defenderShips, dotNetRef);
+    viewer.init(canvasId, attackerShips, defenderShips, dotNetRef, attackerFaction, defenderFaction);
+  },
+  setFactions: async (attackerFaction: string | null, defenderFaction: string | null) => {
+    await viewer?.setFactions(attackerFaction, defenderFaction);
   },
   updateRound: async (result: TacticalRoundResult) => {
     await viewer?.updateRound(result);
   },
+  play: () => {
+    viewer?.play();
+  },
+  pause: () => {
+    viewer?.pause();
+  },
+  seekToRound: (round: number) => {
+    viewer?.seekToRound(round);
+  },
+  stepForward: async () => {
+    await viewer?.stepForward();
+  },
+  stepBack: () => {
+    viewer?.stepBack();
+  },
+  setSpeed: (multiplier: number) => {
+    viewer?.setSpeed(multiplier);
+  },
+  loadBattleLog: (log: BattleLog | string) => {
+    viewer?.loadBattleLog(log);
+  },
+  exportBattleLog: (): string => viewer?.exportBattleLog() ?? '',
   updateFormation: (side: string, formation: string) => {
     viewer?.updateFormation(side as Side, formation as FormationType);
   },
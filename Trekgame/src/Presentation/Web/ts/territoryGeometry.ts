@@ -0,0 +1,152 @@
+// ============================================================================
+// Territory geometry — faction borders for the galaxy map
+// Each owned system gets its Voronoi cell among all owned systems, clipped to
+// a circle of the maximum claim range. Cells of the same faction merge into
+// one region; edges against other factions or the range limit form the border.
+// ============================================================================
+
+export interface TerritorySite {
+  id: string;
+  x: number;
+  y: number;
+  factionId: string;
+}
+
+export interface TerritoryPoint {
+  x: number;
+  y: number;
+}
+
+export interface TerritorySegment {
+  a: TerritoryPoint;
+  b: TerritoryPoint;
+}
+
+export interface FactionTerritory {
+  factionId: string;
+  cells: TerritoryPoint[][];       // clipped Voronoi cell per owned system
+  border: TerritorySegment[];      // outline: range limit and foreign frontiers
+  contested: TerritoryPoint[][];   // band quads along frontiers with close foreign systems
+  contestedSystemIds: string[];
+}
+
+export interface TerritoryOptions {
+  range: number;              // max claim radius around a system (world units)
+  contestedDistance: number;  // foreign neighbour closer than this marks a system contested
+  bandWidth: number;          // width of the hatched frontier band (world units)
+  arcSegments?: number;
+}
+
+// Label of a cell edge: the neighbouring site that produced it, or null for the range limit
+type EdgeLabel = TerritorySite | null;
+
+interface LabelledPolygon {
+  points: TerritoryPoint[];
+  labels: EdgeLabel[];   // labels[i] belongs to the edge points[i] → points[i + 1]
+}
+
+/** Keeps the part of the polygon closer to `site` than to `other` (Sutherland–Hodgman with edge labels). */
+function clipToBisector(poly: LabelledPolygon, site: TerritorySite, other: TerritorySite): LabelledPolygon {
+  const nx = other.x - site.x, ny = other.y - site.y;
+  const mx = (site.x + other.x) / 2, my = (site.y + other.y) / 2;
+  const side = (p: TerritoryPoint): number => (p.x - mx) * nx + (p.y - my) * ny;
+
+  const points: TerritoryPoint[] = [];
+  const labels: EdgeLabel[] = [];
+  const n = poly.points.length;
+  for (let i = 0; i < n; i++) {
+    const p = poly.points[i]!, q = poly.points[(i + 1) % n]!;
+    const label = poly.labels[i]!;
+    const sp = side(p), sq = side(q);
+    const inP = sp <= 0, inQ = sq <= 0;
+
+    if (inP) { points.push(p); labels.push(label); }
+    if (inP !== inQ) {
+      const t = sp / (sp - sq);
+      const hit = { x: p.x + (q.x - p.x) * t, y: p.y + (q.y - p.y) * t };
+      points.push(hit);
+      // Leaving the half-plane: the edge continues along the bisector
+      labels.push(inP ? other : label);
+    }
+  }
+  return { points, labels };
+}
+
+export function computeTerritories(
+  sites: readonly TerritorySite[],
+  options: TerritoryOptions,
+): Map<string, FactionTerritory> {
+  const { range, contestedDistance, bandWidth } = options;
+  const arcSegments = options.arcSegments ?? 32;
+  const result = new Map<string, FactionTerritory>();
+
+  // Bucket sites so each cell is only clipped against nearby neighbours
+  const bucketSize = range * 2;
+  const buckets = new Map<string, TerritorySite[]>();
+  const bucketKey = (bx: number, by: number): string => `${bx},${by}`;
+  for (const site of sites) {
+    const key = bucketKey(Math.floor(site.x / bucketSize), Math.floor(site.y / bucketSize));
+    let bucket = buckets.get(key);
+    if (!bucket) buckets.set(key, bucket = []);
+    bucket.push(site);
+  }
+
+  for (const site of sites) {
+    let territory = result.get(site.factionId);
+    if (!territory) {
+      territory = { factionId: site.factionId, cells: [], border: [], contested: [], contestedSystemIds: [] };
+      result.set(site.factionId, territory);
+    }
+
+    let poly: LabelledPolygon = { points: [], labels: [] };
+    for (let i = 0; i < arcSegments; i++) {
+      const a = (i / arcSegments) * Math.PI * 2;
+      poly.points.push({ x: site.x + Math.cos(a) * range, y: site.y + Math.sin(a) * range });
+      poly.labels.push(null);
+    }
+
+    const bx = Math.floor(site.x / bucketSize), by = Math.floor(site.y / bucketSize);
+    let contested = false;
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        for (const other of buckets.get(bucketKey(bx + dx, by + dy)) ?? []) {
+          if (other === site) continue;
+          const d = Math.hypot(other.x - site.x, other.y - site.y);
+          if (d >= range * 2 || d === 0) continue;
+          poly = clipToBisector(poly, site, other);
+          if (other.factionId !== site.factionId && d < contestedDistance) contested = true;
+          if (poly.points.length < 3) break;
+        }
+      }
+    }
+    if (poly.points.length < 3) continue;
+
+    territory.cells.push(poly.points);
+    if (contested) territory.contestedSystemIds.push(site.id);
+
+    const n = poly.points.length;
+    for (let i = 0; i < n; i++) {
+      const label = poly.labels[i]!;
+      if (label && label.factionId === site.factionId) continue; // interior edge
+      const a = poly.points[i]!, b = poly.points[(i + 1) % n]!;
+      territory.border.push({ a, b });
+
+      if (contested && label && Math.hypot(label.x - site.x, label.y - site.y) < contestedDistance) {
+        territory.contested.push(bandQuad(a, b, site, bandWidth));
+      }
+    }
+  }
+
+  return result;
+}
+
+/** Quad along edge a→b, extruded towards the owning site. */
+function bandQuad(a: TerritoryPoint, b: TerritoryPoint, site: TerritorySite, width: number): TerritoryPoint[] {
+  const pull = (p: TerritoryPoint): TerritoryPoint => {
+    const dx = site.x - p.x, dy = site.y - p.y;
+    const len = Math.hypot(dx, dy);
+    const k = len > width ? width / len : 1;
+    return { x: p.x + dx * k, y: p.y + dy * k };
+  };
+  return [a, b, pull(b), pull(a)];
+}
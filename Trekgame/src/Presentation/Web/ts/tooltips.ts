@@ -1,179 +1,352 @@
-const tooltipData: Record<string, TooltipEntry> = {
-  'resource-credits': {
-    title: 'Credits',
-    content: 'The primary currency used for construction, maintenance, and trade. Generated by colonies and trade routes.',
-    hint: 'Build Trading Posts to increase income',
-    stats: [
-      { icon: '🏭', name: 'From Colonies',  value: '+45/turn', positive: true },
-      { icon: '📦', name: 'Trade Routes',   value: '+12/turn', positive: true },
-      { icon: '🔧', name: 'Maintenance',    value: '-18/turn', negative: true },
-    ],
-  },
-  'resource-dilithium': {
-    title: 'Dilithium',
-    content: 'Rare crystal used to regulate matter/antimatter reactions in warp cores. Essential for ship construction.',
-    hint: 'Found in asteroid fields and some planets',
-  },
-  'resource-duranium': {
-    title: 'Duranium',
-    content: 'Heavy metal alloy used in ship hulls and defensive structures. Mined from planetary deposits.',
-    hint: 'Build Mining Facilities to increase production',
-  },
-  'resource-research': {
-    title: 'Research Points',
-    content: 'Scientific output used to unlock new technologies. Generated by laboratories and science vessels.',
-    hint: 'Assign scientists to labs for bonus output',
-  },
-  'ship-scout': {
-    title: 'Scout',
-    content: 'Fast reconnaissance vessel ideal for exploration. Lightly armed but highly maneuverable.',
-    stats: [
-      { icon: '⚔', name: 'Attack',  value: '30' },
-      { icon: '🛡', name: 'Defense', value: '15' },
-      { icon: '💨', name: 'Speed',   value: '18' },
-    ],
-  },
-  'ship-destroyer': {
-    title: 'Destroyer',
-    content: 'Light combat vessel designed for patrol and escort duties. Good balance of firepower and speed.',
-    stats: [
-      { icon: '⚔', name: 'Attack',  value: '60' },
-      { icon: '🛡', name: 'Defense', value: '30' },
-      { icon: '💨', name: 'Speed',   value: '12' },
-    ],
-  },
-  'ship-cruiser': {
-    title: 'Cruiser',
-    content: 'Main battle vessel forming the backbone of any fleet. Versatile and well-armored.',
-    stats: [
-      { icon: '⚔', name: 'Attack',  value: '100' },
-      { icon: '🛡', name: 'Defense', value: '50' },
-      { icon: '💨', name: 'Speed',   value: '8' },
-    ],
-  },
-  'ship-battleship': {
-    title: 'Battleship',
-    content: 'Heavy warship with devastating firepower. Slow but extremely powerful in combat.',
-    stats: [
-      { icon: '⚔', name: 'Attack',  value: '200' },
-      { icon: '🛡', name: 'Defense', value: '100' },
-      { icon: '💨', name: 'Speed',   value: '5' },
-    ],
-  },
-  'building-shipyard': {
-    title: 'Orbital Shipyard',
-    content: 'Enables construction of starships at this colony. Higher levels allow larger ship classes.',
-    hint: 'Upgrade to build capital ships',
-  },
-  'building-research-lab': {
-    title: 'Research Laboratory',
-    content: 'Facility dedicated to scientific research. Increases research output of the colony.',
-    stats: [
-      { icon: '🔬', name: 'Research',    value: '+10',      positive: true },
-      { icon: '💰', name: 'Maintenance', value: '-5/turn',  negative: true },
-    ],
-  },
-  'building-factory': {
-    title: 'Industrial Complex',
-    content: 'Manufacturing facility that increases production capacity.',
-    stats: [
-      { icon: '🏭', name: 'Production', value: '+15', positive: true },
-    ],
-  },
-  'action-end-turn': {
-    title: 'End Turn',
-    content: 'Submit your orders and advance to the next turn. All queued actions will be processed.',
-    hint: 'Make sure all fleets have orders!',
-  },
-  'action-research': {
-    title: 'Select Research',
-    content: 'Choose a technology to research. Progress is made each turn based on your science output.',
-  },
-  'diplomacy-trade': {
-    title: 'Trade Agreement',
-    content: 'Establish trade routes between empires, providing mutual economic benefits.',
-    stats: [
-      { icon: '💰', name: 'Credits', value: '+10/turn', positive: true },
-      { icon: '👍', name: 'Opinion', value: '+25',      positive: true },
-    ],
-  },
-  'diplomacy-nap': {
-    title: 'Non-Aggression Pact',
-    content: 'A formal agreement to refrain from hostile actions. Provides security but limits expansion options.',
-    stats: [
-      { icon: '👍', name: 'Opinion', value: '+15', positive: true },
-    ],
-  },
-  'diplomacy-alliance': {
-    title: 'Defensive Alliance',
-    content: 'Military alliance providing mutual defense. Allies will join wars if either is attacked.',
-    stats: [
-      { icon: '👍', name: 'Opinion', value: '+50',    positive: true },
-      { icon: '⚔',  name: 'Defense', value: 'Shared' },
-    ],
-  },
-};
+// ============================================================================
+// GameTooltips — localized, data-driven tooltips
+// Entries come from per-locale catalogues (data/tooltips/<locale>.json) with
+// English as the fallback. Text and stat values may contain placeholders like
+// {income.net}, resolved against the live values Blazor pushes each turn.
+// Content supports **bold**, *italic*, line breaks and [[key|label]] links
+// that open a nested tooltip; tooltips with links stay put so they can be
+// hovered. Tooltips open on hover or keyboard focus.
+// ============================================================================
+
+interface TooltipCatalogue {
+  version: 1;
+  locale: string;
+  tooltips: Record<string, TooltipEntry>;
+}
+
+/** One open tooltip; index in the stack is its nesting level. */
+interface OpenTooltip {
+  key: string;
+  anchor: HTMLElement;
+  interactive: boolean;
+}
+
+const CATALOGUE_URL = 'data/tooltips/';
+const FALLBACK_LOCALE = 'en';
+const SHOW_DELAY = 300;
+const NESTED_SHOW_DELAY = 150;
+const HIDE_DELAY = 100;
+const INTERACTIVE_HIDE_DELAY = 250;   // time to cross from the anchor into the tooltip
+const MOVE_INTERVAL = 50;             // ms between Move calls into .NET
+const MOVE_MIN_DISTANCE = 3;          // px
+
+const catalogues = new Map<string, Record<string, TooltipEntry>>();
+const overrides: Record<string, TooltipEntry> = {};
+let localeChain: string[] = [FALLBACK_LOCALE];
+let numberFormat = new Intl.NumberFormat(FALLBACK_LOCALE, { maximumFractionDigits: 1 });
+let values: TooltipValues = {};
 
 let tooltipComponent: DotNetObjectReference | null = null;
+let listening = false;
+let stack: OpenTooltip[] = [];
 let showTimeout: ReturnType<typeof setTimeout> | null = null;
 let hideTimeout: ReturnType<typeof setTimeout> | null = null;
+let lastPointer = { x: 0, y: 0 };
 
-function init(componentRef: DotNetObjectReference): void {
-  tooltipComponent = componentRef;
-  document.addEventListener('mouseover', handleMouseOver);
-  document.addEventListener('mouseout',  handleMouseOut);
-  document.addEventListener('mousemove', handleMouseMove);
+let moveTimer: ReturnType<typeof setTimeout> | null = null;
+let lastMoveSent = 0;
+let lastMovePos = { x: 0, y: 0 };
+
+// ---------------------------------------------------------------------------
+// Catalogues and values
+// ---------------------------------------------------------------------------
+
+async function loadCatalogue(locale: string): Promise<boolean> {
+  if (catalogues.has(locale)) return true;
+  try {
+    const res = await fetch(`${CATALOGUE_URL}${locale}.json`);
+    if (!res.ok) return false;
+    const data = await res.json() as Partial<TooltipCatalogue>;
+    if (data.version !== 1 || typeof data.tooltips !== 'object' || data.tooltips === null) {
+      throw new Error('Unsupported tooltip catalogue');
+    }
+    catalogues.set(locale, data.tooltips);
+    return true;
+  } catch (err) {
+    console.warn(`💬 Could not load tooltips for ${locale}:`, err);
+    return false;
+  }
 }
 
-function handleMouseOver(e: MouseEvent): void {
-  const target = (e.target as Element).closest<HTMLElement>('[data-tooltip]');
-  if (!target) return;
+/** Switches locale, e.g. "de-AT" → de-AT, de, en — whichever catalogues exist. */
+async function setLocale(locale: string): Promise<void> {
+  const candidates = [locale, locale.split('-')[0]!, FALLBACK_LOCALE]
+    .filter((l, i, all) => l && all.indexOf(l) === i);
+  const loaded = await Promise.all(candidates.map(loadCatalogue));
+  localeChain = candidates.filter((_, i) => loaded[i]);
+  numberFormat = new Intl.NumberFormat(localeChain[0] ?? FALLBACK_LOCALE, { maximumFractionDigits: 1 });
+  refresh();
+}
+
+/** Replaces the top-level groups given (e.g. `income`, `treasury`); others are kept. */
+function setValues(next: TooltipValues): void {
+  values = { ...values, ...next };
+  refresh();
+}
 
+function lookup(key: string): TooltipEntry | null {
+  if (overrides[key]) return overrides[key]!;
+  for (const locale of localeChain) {
+    const entry = catalogues.get(locale)?.[key];
+    if (entry) return entry;
+  }
+  return null;
+}
+
+function resolvePath(path: string): string | number | boolean | null | undefined {
+  let node: TooltipValues[string] | undefined = values;
+  for (const part of path.split('.')) {
+    if (node === null || typeof node !== 'object') return undefined;
+    node = node[part];
+  }
+  return typeof node === 'object' ? undefined : node;
+}
+
+/** Fills {placeholders}; returns null if any of them has no live value. */
+function fillTemplate(template: string): { text: string; firstNumber: number | null } | null {
+  let missing = false;
+  let firstNumber: number | null = null;
+  const text = template.replace(/\{([\w.]+)\}/g, (_, path: string) => {
+    const value = resolvePath(path);
+    if (value === undefined || value === null) {
+      missing = true;
+      return '';
+    }
+    if (typeof value === 'number') {
+      firstNumber ??= value;
+      return numberFormat.format(value);
+    }
+    return String(value);
+  });
+  return missing ? null : { text, firstNumber };
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Markup → HTML. Text is escaped first, so catalogues cannot inject markup of their own. */
+function formatRich(text: string): string {
+  return escapeHtml(text)
+    .replace(/\[\[([\w-]+)\|([^\]]+)\]\]/g,
+      '<span class="tooltip-link" data-tooltip="$1" tabindex="0">$2</span>')
+    .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+    .replace(/\*(.+?)\*/g, '<em>$1</em>')
+    .replace(/\n/g, '<br>');
+}
+
+/** Text with placeholders filled; unresolved placeholders show as an em dash. */
+function fillText(template: string): string {
+  return template.replace(/\{([\w.]+)\}/g, (placeholder) => fillTemplate(placeholder)?.text ?? '—');
+}
+
+/** Resolves stat templates; stats without live values are left out rather than faked. */
+function resolveStats(stats: TooltipStat[] | undefined): TooltipStat[] {
+  const resolved: TooltipStat[] = [];
+  for (const stat of stats ?? []) {
+    const filled = fillTemplate(stat.value);
+    if (!filled) continue;
+    const { signed, ...rest } = stat;
+    const n = filled.firstNumber;
+    resolved.push(signed && n !== null
+      ? { ...rest, value: filled.text, positive: n > 0, negative: n < 0 }
+      : { ...rest, value: filled.text });
+  }
+  return resolved;
+}
+
+// ---------------------------------------------------------------------------
+// Showing and hiding
+// ---------------------------------------------------------------------------
+
+/** Nesting level of a tooltip opened from `el`: one deeper than the tooltip it sits in. */
+function levelOf(el: Element): number {
+  const panel = el.closest<HTMLElement>('.game-tooltip[data-level]');
+  return panel ? Number(panel.dataset.level) + 1 : 0;
+}
+
+function show(anchor: HTMLElement, level: number, x: number, y: number): void {
+  if (!tooltipComponent) return;
+  const key = anchor.getAttribute('data-tooltip') ?? '';
+  const entry = lookup(key);
+
+  let title: string, content: string, hint: string, stats: TooltipStat[];
+  if (entry) {
+    title = fillText(entry.title);
+    content = formatRich(fillText(entry.content));
+    hint = entry.hint ? fillText(entry.hint) : '';
+    stats = resolveStats(entry.stats);
+  } else {
+    title = anchor.getAttribute('data-tooltip-title') ?? '';
+    content = escapeHtml(anchor.getAttribute('data-tooltip-content') ?? key);
+    hint = anchor.getAttribute('data-tooltip-hint') ?? '';
+    stats = [];
+  }
+  if (!title && !content) return;
+
+  const interactive = content.includes('tooltip-link');
+  stack = stack.slice(0, level);
+  stack.push({ key, anchor, interactive });
+  void tooltipComponent.invokeMethodAsync('ShowPanel', level, x, y, title, content, hint, stats, interactive);
+}
+
+function hideFrom(level: number): void {
+  if (level >= stack.length) return;
+  stack = stack.slice(0, level);
+  if (level === 0) void tooltipComponent?.invokeMethodAsync('Hide');
+  else void tooltipComponent?.invokeMethodAsync('HidePanel', level);
+}
+
+function hide(): void {
+  clearTimers();
+  hideFrom(0);
+}
+
+function clearTimers(): void {
+  if (showTimeout !== null) clearTimeout(showTimeout);
   if (hideTimeout !== null) clearTimeout(hideTimeout);
+  showTimeout = hideTimeout = null;
+}
 
+/** Re-renders the open tooltips in place after a locale or value change. */
+function refresh(): void {
+  if (stack.length === 0) return;
+  const open = stack;
+  stack = [];
+  open.forEach((t, level) => {
+    const rect = t.anchor.getBoundingClientRect();
+    const x = level === 0 && !t.interactive ? lastPointer.x : rect.left;
+    const y = level === 0 && !t.interactive ? lastPointer.y : rect.bottom;
+    show(t.anchor, level, x, y);
+  });
+}
+
+/** Deepest open level the element under the pointer keeps alive, or -1 for none. */
+function keepLevelFor(el: Element): number {
+  const panel = el.closest<HTMLElement>('.game-tooltip[data-level]');
+  if (panel) {
+    const level = Number(panel.dataset.level);
+    const link = el.closest<HTMLElement>('[data-tooltip]');
+    return link && stack[level + 1]?.anchor === link ? level + 1 : level;
+  }
+  const anchor = el.closest('[data-tooltip]');
+  return anchor && anchor === stack[0]?.anchor ? 0 : -1;
+}
+
+function scheduleShow(anchor: HTMLElement, x: number, y: number): void {
+  const level = levelOf(anchor);
+  if (stack[level]?.anchor === anchor) return;
+  if (showTimeout !== null) clearTimeout(showTimeout);
   showTimeout = setTimeout(() => {
-    const tooltipKey = target.getAttribute('data-tooltip') ?? '';
-    const data = tooltipData[tooltipKey];
-
-    if (data && tooltipComponent) {
-      void tooltipComponent.invokeMethodAsync(
-        'Show',
-        e.clientX, e.clientY,
-        data.title,
-        data.content,
-        data.hint ?? '',
-        data.stats ?? null,
-      );
-    } else if (tooltipComponent) {
-      void tooltipComponent.invokeMethodAsync(
-        'Show',
-        e.clientX, e.clientY,
-        target.getAttribute('data-tooltip-title')   ?? '',
-        target.getAttribute('data-tooltip-content') ?? tooltipKey,
-        target.getAttribute('data-tooltip-hint')    ?? '',
-        null,
-      );
+    showTimeout = null;
+    show(anchor, level, x, y);
+  }, level === 0 ? SHOW_DELAY : NESTED_SHOW_DELAY);
+}
+
+function handleMouseOver(e: MouseEvent): void {
+  const el = e.target as Element;
+  lastPointer = { x: e.clientX, y: e.clientY };
+
+  const keep = keepLevelFor(el);
+  if (keep >= stack.length - 1) {
+    if (hideTimeout !== null) clearTimeout(hideTimeout);
+    hideTimeout = null;
+  } else if (hideTimeout === null) {
+    const interactive = stack.some((t) => t.interactive);
+    hideTimeout = setTimeout(() => {
+      hideTimeout = null;
+      hideFrom(keepLevelFor(document.elementFromPoint(lastPointer.x, lastPointer.y) ?? document.body) + 1);
+    }, interactive ? INTERACTIVE_HIDE_DELAY : HIDE_DELAY);
+  }
+
+  const target = el.closest<HTMLElement>('[data-tooltip]');
+  if (target) {
+    const level = levelOf(target);
+    if (level === 0) scheduleShow(target, e.clientX, e.clientY);
+    else {
+      const rect = target.getBoundingClientRect();
+      scheduleShow(target, rect.left, rect.bottom);
     }
-  }, 300);
+  }
 }
 
 function handleMouseOut(e: MouseEvent): void {
   const target = (e.target as Element).closest('[data-tooltip]');
+  if (!target || target.contains(e.relatedTarget as Node | null)) return;
+  // Left before the delay ran out: cancel the pending tooltip
+  if (showTimeout !== null && stack[levelOf(target)]?.anchor !== target) {
+    clearTimeout(showTimeout);
+    showTimeout = null;
+  }
+}
+
+/** Only a following, non-interactive tooltip tracks the pointer; calls into .NET are throttled. */
+function handleMouseMove(e: MouseEvent): void {
+  lastPointer = { x: e.clientX, y: e.clientY };
+  if (stack.length !== 1 || stack[0]!.interactive || moveTimer !== null) return;
+  if (Math.abs(e.clientX - lastMovePos.x) + Math.abs(e.clientY - lastMovePos.y) < MOVE_MIN_DISTANCE) return;
+
+  const wait = Math.max(0, lastMoveSent + MOVE_INTERVAL - performance.now());
+  moveTimer = setTimeout(() => {
+    moveTimer = null;
+    if (stack.length !== 1 || stack[0]!.interactive) return;
+    lastMoveSent = performance.now();
+    lastMovePos = { ...lastPointer };
+    void tooltipComponent?.invokeMethodAsync('Move', lastPointer.x, lastPointer.y);
+  }, wait);
+}
+
+function handleFocusIn(e: FocusEvent): void {
+  const target = (e.target as Element).closest<HTMLElement>('[data-tooltip]');
   if (!target) return;
+  clearTimers();
+  const rect = target.getBoundingClientRect();
+  show(target, levelOf(target), rect.left, rect.bottom);
+}
 
-  if (showTimeout !== null) clearTimeout(showTimeout);
-  hideTimeout = setTimeout(() => {
-    tooltipComponent?.invokeMethodAsync('Hide');
-  }, 100);
+function handleFocusOut(e: FocusEvent): void {
+  const next = e.relatedTarget as Element | null;
+  const keep = next ? keepLevelFor(next) : -1;
+  const target = next?.closest<HTMLElement>('[data-tooltip]');
+  // Focus moving to a link inside an open tooltip opens that link's tooltip via focusin
+  hideFrom(target ? levelOf(target) : keep + 1);
 }
 
-function handleMouseMove(e: MouseEvent): void {
-  tooltipComponent?.invokeMethodAsync('Move', e.clientX, e.clientY);
+function handleKeyDown(e: KeyboardEvent): void {
+  if (e.key === 'Escape' && stack.length > 0) hide();
+}
+
+function init(componentRef: DotNetObjectReference): void {
+  tooltipComponent = componentRef;
+  if (listening) return;
+  listening = true;
+  document.addEventListener('mouseover', handleMouseOver);
+  document.addEventListener('mouseout',  handleMouseOut);
+  document.addEventListener('mousemove', handleMouseMove, { passive: true });
+  document.addEventListener('focusin',   handleFocusIn);
+  document.addEventListener('focusout',  handleFocusOut);
+  document.addEventListener('keydown',   handleKeyDown);
+  if (catalogues.size === 0) void setLocale(navigator.language || FALLBACK_LOCALE);
+}
+
+/** Drops the component reference so nothing calls into a disposed GameTooltip. */
+function dispose(): void {
+  clearTimers();
+  stack = [];
+  tooltipComponent = null;
 }
 
 window.GameTooltips = {
   init,
   addTooltipData(key: string, data: TooltipEntry): void {
-    tooltipData[key] = data;
+    overrides[key] = data;
   },
+  setLocale,
+  setValues,
+  hide,
+  dispose,
 };
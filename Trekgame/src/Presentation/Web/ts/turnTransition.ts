@@ -0,0 +1,223 @@
+// ============================================================================
+// Turn transitions — playback of what changed between two galaxy turns
+// The renderer diffs the old and new state and hands this module world-space
+// glide paths, captured systems and battle sites. The module owns the
+// timeline: fleets glide along their hyperlane path with eased arc-length
+// interpolation, then captured systems pulse and battle sites flash. The
+// `finished` promise resolves when playback ends or is skipped.
+// ============================================================================
+
+export interface WorldPoint {
+  x: number;
+  y: number;
+}
+
+export interface FleetGlide {
+  fleetId: string;
+  points: WorldPoint[];   // hyperlane path, origin first
+  color: string;
+}
+
+export interface CaptureEffect {
+  systemId: string;
+  x: number;
+  y: number;
+  fromColor: string;
+  toColor: string;
+}
+
+export interface BattleSite {
+  systemId: string;
+  battleId: string | null;
+  label: string;
+  x: number;
+  y: number;
+}
+
+export const DEFAULT_TURN_DURATION_MS = 1500;
+const CAPTURE_START = 0.5;        // fraction of the glide duration
+const CAPTURE_PULSE_MS = 900;
+const BATTLE_START = 0.7;
+const BATTLE_FLASH_MS = 800;
+
+function easeInOutCubic(t: number): number {
+  return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2;
+}
+
+function mixHex(a: string, b: string, t: number): string {
+  const pa = parseInt(a.replace('#', ''), 16), pb = parseInt(b.replace('#', ''), 16);
+  const ch = (shift: number): number => {
+    const ca = (pa >> shift) & 255, cb = (pb >> shift) & 255;
+    return Math.round(ca + (cb - ca) * t);
+  };
+  return `rgb(${ch(16)},${ch(8)},${ch(0)})`;
+}
+
+/** Precomputed cumulative segment lengths so sampling is a short scan. */
+class GlidePath {
+  private readonly lengths: number[] = [0];
+  readonly total: number;
+
+  constructor(readonly glide: FleetGlide) {
+    let total = 0;
+    for (let i = 1; i < glide.points.length; i++) {
+      const a = glide.points[i - 1]!, b = glide.points[i]!;
+      total += Math.hypot(b.x - a.x, b.y - a.y);
+      this.lengths.push(total);
+    }
+    this.total = total;
+  }
+
+  /** Position and heading at fraction t (0..1) of the path's length. */
+  sample(t: number): { x: number; y: number; angle: number } {
+    const pts = this.glide.points;
+    if (pts.length === 1 || this.total === 0) return { ...pts[pts.length - 1]!, angle: 0 };
+    const d = Math.min(1, Math.max(0, t)) * this.total;
+    let i = 1;
+    while (i < pts.length - 1 && this.lengths[i]! < d) i++;
+    const a = pts[i - 1]!, b = pts[i]!;
+    const seg = this.lengths[i]! - this.lengths[i - 1]!;
+    const f = seg > 0 ? (d - this.lengths[i - 1]!) / seg : 1;
+    return { x: a.x + (b.x - a.x) * f, y: a.y + (b.y - a.y) * f, angle: Math.atan2(b.y - a.y, b.x - a.x) };
+  }
+}
+
+export type Project = (p: WorldPoint) => WorldPoint;
+
+export class TurnTransition {
+  readonly finished: Promise<void>;
+
+  private readonly paths: GlidePath[];
+  private readonly startTime = performance.now();
+  private readonly endTime: number;
+  private resolve!: () => void;
+  private done = false;
+
+  constructor(
+    glides: FleetGlide[],
+    private readonly captures: CaptureEffect[],
+    private readonly battles: BattleSite[],
+    private readonly duration = DEFAULT_TURN_DURATION_MS,
+  ) {
+    this.paths = glides.filter(g => g.points.length > 1).map(g => new GlidePath(g));
+    this.finished = new Promise(resolve => { this.resolve = resolve; });
+
+    let end = this.paths.length > 0 ? duration : 0;
+    if (captures.length > 0) end = Math.max(end, duration * CAPTURE_START + CAPTURE_PULSE_MS);
+    if (battles.length > 0) end = Math.max(end, duration * BATTLE_START + BATTLE_FLASH_MS);
+    this.endTime = this.startTime + end;
+  }
+
+  /** Fleets that are still in flight and must not be drawn at their new system yet. */
+  get glidingFleetIds(): Set<string> {
+    return new Set(this.paths.map(p => p.glide.fleetId));
+  }
+
+  get isEmpty(): boolean {
+    return this.paths.length === 0 && this.captures.length === 0 && this.battles.length === 0;
+  }
+
+  /** Advances the clock; resolves `finished` once the timeline has run out. */
+  tick(now: number): boolean {
+    if (this.done) return false;
+    if (now >= this.endTime) {
+      this.finish();
+      return false;
+    }
+    return true;
+  }
+
+  finish(): void {
+    if (this.done) return;
+    this.done = true;
+    this.resolve();
+  }
+
+  render(ctx: CanvasRenderingContext2D, project: Project, zoom: number, now: number): void {
+    if (this.done) return;
+    const elapsed = now - this.startTime;
+    this.renderGlides(ctx, project, zoom, elapsed);
+    this.renderCaptures(ctx, project, zoom, elapsed);
+    this.renderBattleFlashes(ctx, project, zoom, elapsed);
+  }
+
+  private renderGlides(ctx: CanvasRenderingContext2D, project: Project, zoom: number, elapsed: number): void {
+    const t = easeInOutCubic(Math.min(1, elapsed / this.duration));
+    const size = Math.max(5, 8 * zoom);
+    ctx.save();
+    for (const path of this.paths) {
+      const pos = path.sample(t);
+      const p = project(pos);
+
+      // Fading trail back along the path
+      const tail = project(path.sample(Math.max(0, t - 0.08)));
+      const trail = ctx.createLinearGradient(tail.x, tail.y, p.x, p.y);
+      trail.addColorStop(0, 'rgba(255,170,0,0)');
+      trail.addColorStop(1, path.glide.color);
+      ctx.strokeStyle = trail;
+      ctx.lineWidth = Math.max(1.5, 2.5 * zoom);
+      ctx.beginPath();
+      ctx.moveTo(tail.x, tail.y);
+      ctx.lineTo(p.x, p.y);
+      ctx.stroke();
+
+      // Chevron pointing along the direction of travel
+      ctx.save();
+      ctx.translate(p.x, p.y);
+      ctx.rotate(pos.angle);
+      ctx.fillStyle = path.glide.color;
+      ctx.strokeStyle = '#000';
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(size, 0);
+      ctx.lineTo(-size * 0.7, size * 0.6);
+      ctx.lineTo(-size * 0.35, 0);
+      ctx.lineTo(-size * 0.7, -size * 0.6);
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      ctx.restore();
+    }
+    ctx.restore();
+  }
+
+  private renderCaptures(ctx: CanvasRenderingContext2D, project: Project, zoom: number, elapsed: number): void {
+    const local = (elapsed - this.duration * CAPTURE_START) / CAPTURE_PULSE_MS;
+    if (local < 0 || local > 1) return;
+    ctx.save();
+    for (const capture of this.captures) {
+      const p = project(capture);
+      const color = mixHex(capture.fromColor, capture.toColor, Math.min(1, local * 2));
+      ctx.strokeStyle = color;
+      ctx.globalAlpha = 1 - local;
+      ctx.lineWidth = 3;
+      for (const offset of [0, 0.25]) {
+        const k = Math.max(0, local - offset);
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, (20 + 50 * k) * zoom, 0, Math.PI * 2);
+        ctx.stroke();
+      }
+    }
+    ctx.restore();
+  }
+
+  private renderBattleFlashes(ctx: CanvasRenderingContext2D, project: Project, zoom: number, elapsed: number): void {
+    const local = (elapsed - this.duration * BATTLE_START) / BATTLE_FLASH_MS;
+    if (local < 0 || local > 1) return;
+    ctx.save();
+    ctx.globalCompositeOperation = 'lighter';
+    for (const battle of this.battles) {
+      const p = project(battle);
+      const radius = (30 + 40 * local) * zoom;
+      const glow = ctx.createRadialGradient(p.x, p.y, 0, p.x, p.y, radius);
+      glow.addColorStop(0, `rgba(255,255,220,${1 - local})`);
+      glow.addColorStop(0.4, `rgba(255,140,40,${0.8 * (1 - local)})`);
+      glow.addColorStop(1, 'rgba(255,60,20,0)');
+      ctx.fillStyle = glow;
+      ctx.beginPath();
+      ctx.arc(p.x, p.y, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+}
@@ -2,10 +2,14 @@
 // TutorialHighlight — JS Interop for the Blazor Tutorial/Help system
 // Provides element targeting, spotlight positioning, dialog placement,
 // MutationObserver-based element watching, and resize tracking.
+// The multi-target spotlight is a canvas mask with animated pointer arrows,
+// re-measured every frame so it follows scrolling, resizing and animation;
+// action gates report clicks, shortcuts and galaxy selections back to .NET.
 // ============================================================================
 
-// Types: DotNetObjectReference, TutorialElementBounds, TutorialDialogPosition
-// are declared globally in types/blazor.d.ts
+// Types: DotNetObjectReference, TutorialElementBounds, TutorialDialogPosition,
+// SpotlightTarget, SpotlightOptions, TutorialAction are declared globally in
+// types/blazor.d.ts
 
 // ---------------------------------------------------------------------------
 // State
@@ -194,6 +198,321 @@ function offResize(): void {
   resizeDotNetRef = null;
 }
 
+// ---------------------------------------------------------------------------
+// Spotlight — dim mask with cutouts and pointer arrows
+// ---------------------------------------------------------------------------
+
+const SPOTLIGHT_DIM = 'rgba(0, 0, 0, 0.7)';
+const SPOTLIGHT_ACCENT = '#ff9900';
+const SPOTLIGHT_PADDING = 6;
+const SPOTLIGHT_RADIUS = 8;
+const SPOTLIGHT_MOVE_DEBOUNCE_MS = 150;
+const ARROW_HEAD = 12;
+
+interface SpotlightState {
+  targets: SpotlightTarget[];
+  options: Required<SpotlightOptions>;
+  dotNetRef: DotNetObjectReference | null;
+  canvas: HTMLCanvasElement;
+  ctx: CanvasRenderingContext2D;
+  rects: (DOMRect | null)[];
+  frame: number;
+  startTime: number;
+  primaryKey: string;
+  moveTimer: ReturnType<typeof setTimeout> | null;
+}
+
+let spotlight: SpotlightState | null = null;
+
+function resolveTarget(target: SpotlightTarget, padding: number): DOMRect | null {
+  let rect: DOMRect | null = null;
+  if (target.selector) {
+    const el = document.querySelector(target.selector);
+    if (el) rect = el.getBoundingClientRect();
+  } else if (target.world) {
+    const { x, y, width, height } = target.world;
+    rect = window.galaxyRenderer?.worldRectToClient(x, y, width, height) ?? null;
+  }
+  if (!rect || (rect.width === 0 && rect.height === 0)) return null;
+
+  const pad = target.padding ?? padding;
+  return new DOMRect(rect.x - pad, rect.y - pad, rect.width + pad * 2, rect.height + pad * 2);
+}
+
+function boundsOf(rect: DOMRect | null): TutorialElementBounds | null {
+  return rect ? { x: rect.x, y: rect.y, width: rect.width, height: rect.height } : null;
+}
+
+function boundsKey(rect: DOMRect | null): string {
+  return rect ? `${Math.round(rect.x)},${Math.round(rect.y)},${Math.round(rect.width)},${Math.round(rect.height)}` : '';
+}
+
+function containsPoint(rect: DOMRect, x: number, y: number): boolean {
+  return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+}
+
+/** Nearest point on the rectangle's border to (x, y) seen from its centre. */
+function edgePoint(rect: DOMRect, x: number, y: number): { x: number; y: number } {
+  const cx = rect.x + rect.width / 2;
+  const cy = rect.y + rect.height / 2;
+  const dx = x - cx;
+  const dy = y - cy;
+  if (dx === 0 && dy === 0) return { x: cx, y: cy };
+  const scale = Math.min(
+    dx !== 0 ? rect.width / 2 / Math.abs(dx) : Infinity,
+    dy !== 0 ? rect.height / 2 / Math.abs(dy) : Infinity,
+  );
+  return { x: cx + dx * scale, y: cy + dy * scale };
+}
+
+function drawArrow(ctx: CanvasRenderingContext2D, from: DOMRect, to: DOMRect, t: number): void {
+  const toCenter = { x: to.x + to.width / 2, y: to.y + to.height / 2 };
+  const fromCenter = { x: from.x + from.width / 2, y: from.y + from.height / 2 };
+  const start = edgePoint(from, toCenter.x, toCenter.y);
+  const end = edgePoint(to, fromCenter.x, fromCenter.y);
+
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  const length = Math.hypot(dx, dy);
+  if (length < ARROW_HEAD * 3) return;
+
+  // Bob the head back and forth along the arrow's direction
+  const ux = dx / length;
+  const uy = dy / length;
+  const bob = Math.sin(t * 4) * 6 - 6;
+  const tipX = end.x + ux * bob;
+  const tipY = end.y + uy * bob;
+
+  // Bow the curve sideways for a hand-drawn feel
+  const bend = Math.min(80, length * 0.25);
+  const ctrlX = (start.x + tipX) / 2 - uy * bend;
+  const ctrlY = (start.y + tipY) / 2 + ux * bend;
+
+  ctx.save();
+  ctx.strokeStyle = SPOTLIGHT_ACCENT;
+  ctx.fillStyle = SPOTLIGHT_ACCENT;
+  ctx.lineWidth = 3;
+  ctx.lineCap = 'round';
+  ctx.setLineDash([10, 8]);
+  ctx.lineDashOffset = -t * 40;
+  ctx.shadowColor = SPOTLIGHT_ACCENT;
+  ctx.shadowBlur = 8;
+  ctx.beginPath();
+  ctx.moveTo(start.x, start.y);
+  ctx.quadraticCurveTo(ctrlX, ctrlY, tipX, tipY);
+  ctx.stroke();
+
+  const angle = Math.atan2(tipY - ctrlY, tipX - ctrlX);
+  ctx.setLineDash([]);
+  ctx.beginPath();
+  ctx.moveTo(tipX, tipY);
+  ctx.lineTo(tipX - ARROW_HEAD * Math.cos(angle - 0.45), tipY - ARROW_HEAD * Math.sin(angle - 0.45));
+  ctx.lineTo(tipX - ARROW_HEAD * Math.cos(angle + 0.45), tipY - ARROW_HEAD * Math.sin(angle + 0.45));
+  ctx.closePath();
+  ctx.fill();
+  ctx.restore();
+}
+
+function renderSpotlight(state: SpotlightState, now: number): void {
+  const { canvas, ctx, options } = state;
+  const dpr = window.devicePixelRatio || 1;
+  const vw = window.innerWidth;
+  const vh = window.innerHeight;
+  if (canvas.width !== Math.round(vw * dpr) || canvas.height !== Math.round(vh * dpr)) {
+    canvas.width = Math.round(vw * dpr);
+    canvas.height = Math.round(vh * dpr);
+  }
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, vw, vh);
+
+  state.rects = state.targets.map((target) => resolveTarget(target, options.padding));
+  const visible = state.rects.filter((r): r is DOMRect => r !== null);
+
+  ctx.fillStyle = SPOTLIGHT_DIM;
+  ctx.fillRect(0, 0, vw, vh);
+  ctx.globalCompositeOperation = 'destination-out';
+  for (const rect of visible) {
+    ctx.beginPath();
+    ctx.roundRect(rect.x, rect.y, rect.width, rect.height, SPOTLIGHT_RADIUS);
+    ctx.fill();
+  }
+  ctx.globalCompositeOperation = 'source-over';
+
+  const t = (now - state.startTime) / 1000;
+  const pulse = 0.5 + 0.5 * Math.sin(t * Math.PI);
+  ctx.strokeStyle = SPOTLIGHT_ACCENT;
+  ctx.lineWidth = 3;
+  ctx.shadowColor = SPOTLIGHT_ACCENT;
+  ctx.shadowBlur = 10 + pulse * 20;
+  for (const rect of visible) {
+    ctx.beginPath();
+    ctx.roundRect(rect.x, rect.y, rect.width, rect.height, SPOTLIGHT_RADIUS);
+    ctx.stroke();
+  }
+  ctx.shadowBlur = 0;
+
+  if (options.arrows && options.dialogSelector) {
+    const dialog = document.querySelector(options.dialogSelector)?.getBoundingClientRect();
+    if (dialog && dialog.width > 0) {
+      for (const rect of visible) {
+        if (rect.right < dialog.left || rect.left > dialog.right || rect.bottom < dialog.top || rect.top > dialog.bottom) {
+          drawArrow(ctx, dialog, rect, t);
+        }
+      }
+    }
+  }
+
+  // Tell .NET when the primary target settles somewhere new so it can move the dialog
+  const key = boundsKey(state.rects[0] ?? null);
+  if (key !== state.primaryKey) {
+    state.primaryKey = key;
+    if (state.moveTimer !== null) clearTimeout(state.moveTimer);
+    state.moveTimer = setTimeout(() => {
+      state.moveTimer = null;
+      void state.dotNetRef?.invokeMethodAsync('OnSpotlightMoved', boundsOf(state.rects[0] ?? null));
+    }, SPOTLIGHT_MOVE_DEBOUNCE_MS);
+  }
+}
+
+function spotlightLoop(now: number): void {
+  if (!spotlight) return;
+  renderSpotlight(spotlight, now);
+  spotlight.frame = requestAnimationFrame(spotlightLoop);
+}
+
+/** Swallows pointer input outside the cutouts and the dialog while the spotlight is up. */
+function blockOutsideTargets(e: MouseEvent): void {
+  if (!spotlight?.options.blockOutside) return;
+  // Nothing to click through to, so blocking would leave only the dialog usable
+  if (spotlight.rects.every((r) => r === null)) return;
+  const dialogSelector = spotlight.options.dialogSelector;
+  if (dialogSelector && (e.target as Element | null)?.closest?.(dialogSelector)) return;
+  if (spotlight.rects.some((r) => r !== null && containsPoint(r, e.clientX, e.clientY))) return;
+  e.preventDefault();
+  e.stopPropagation();
+}
+
+const BLOCKED_EVENTS = ['pointerdown', 'mousedown', 'click', 'dblclick', 'contextmenu'] as const;
+
+/**
+ * Dims the screen except for each target and draws arrows from the dialog to them.
+ * Returns the primary (first) target's bounds for dialog placement, or null if it
+ * is not on screen yet; later changes arrive through `OnSpotlightMoved`.
+ */
+function showSpotlight(
+  targets: SpotlightTarget[],
+  options: SpotlightOptions | null,
+  dotNetRef: DotNetObjectReference | null,
+): TutorialElementBounds | null {
+  hideSpotlight();
+
+  const canvas = document.createElement('canvas');
+  canvas.className = 'tutorial-spotlight';
+  canvas.style.cssText = 'position:fixed;inset:0;width:100vw;height:100vh;z-index:9998;pointer-events:none;';
+  const ctx = canvas.getContext('2d');
+  if (!ctx) return null;
+  document.body.appendChild(canvas);
+
+  const state: SpotlightState = {
+    targets: targets ?? [],
+    options: {
+      dialogSelector: options?.dialogSelector ?? '.tutorial-dialog',
+      padding: options?.padding ?? SPOTLIGHT_PADDING,
+      arrows: options?.arrows ?? true,
+      blockOutside: options?.blockOutside ?? true,
+    },
+    dotNetRef,
+    canvas,
+    ctx,
+    rects: [],
+    frame: 0,
+    startTime: performance.now(),
+    primaryKey: '',
+    moveTimer: null,
+  };
+  spotlight = state;
+
+  for (const type of BLOCKED_EVENTS) {
+    window.addEventListener(type, blockOutsideTargets, true);
+  }
+
+  // First frame synchronously so the primary bounds are known before returning
+  renderSpotlight(state, state.startTime);
+  if (state.moveTimer !== null) {
+    clearTimeout(state.moveTimer);
+    state.moveTimer = null;
+  }
+  state.frame = requestAnimationFrame(spotlightLoop);
+  return boundsOf(state.rects[0] ?? null);
+}
+
+function hideSpotlight(): void {
+  if (!spotlight) return;
+  cancelAnimationFrame(spotlight.frame);
+  if (spotlight.moveTimer !== null) clearTimeout(spotlight.moveTimer);
+  spotlight.canvas.remove();
+  for (const type of BLOCKED_EVENTS) {
+    window.removeEventListener(type, blockOutsideTargets, true);
+  }
+  spotlight = null;
+}
+
+// ---------------------------------------------------------------------------
+// Action gates — advance only once the player has done the thing
+// ---------------------------------------------------------------------------
+
+let actionCleanup: (() => void) | null = null;
+
+/**
+ * Arms the gate for a step. Returns false when it cannot be armed (target missing,
+ * API not loaded) so the caller falls back to the Next button.
+ */
+function awaitAction(action: TutorialAction, dotNetRef: DotNetObjectReference): boolean {
+  cancelAction();
+
+  const complete = (): void => {
+    cancelAction();
+    void dotNetRef.invokeMethodAsync('OnTutorialAction', action.type);
+  };
+
+  switch (action.type) {
+    case 'click': {
+      if (!action.selector || !document.querySelector(action.selector)) return false;
+      const selector = action.selector;
+      // Bubble phase, so the target's own handler runs before the step advances
+      const onClick = (e: MouseEvent): void => {
+        if ((e.target as Element | null)?.closest?.(selector)) complete();
+      };
+      document.addEventListener('click', onClick);
+      actionCleanup = () => document.removeEventListener('click', onClick);
+      break;
+    }
+    case 'key': {
+      if (!action.action || !window.GameKeyboard) return false;
+      const wanted = action.action;
+      actionCleanup = window.GameKeyboard.onAction((name) => {
+        if (name === wanted) complete();
+      });
+      break;
+    }
+    case 'systemSelected': {
+      if (!window.onGalaxySystemSelected) return false;
+      actionCleanup = window.onGalaxySystemSelected((system) => {
+        if (system && (!action.systemId || system.id === action.systemId)) complete();
+      });
+      break;
+    }
+    default:
+      return false;
+  }
+  return true;
+}
+
+function cancelAction(): void {
+  actionCleanup?.();
+  actionCleanup = null;
+}
+
 // ---------------------------------------------------------------------------
 // Expose on window for Blazor JS Interop
 // ---------------------------------------------------------------------------
@@ -206,4 +525,8 @@ window.TutorialHighlight = {
   getDialogPosition,
   onResize,
   offResize,
+  showSpotlight,
+  hideSpotlight,
+  awaitAction,
+  cancelAction,
 };
@@ -9,37 +9,112 @@ declare interface TooltipStat {
   value: string;
   positive?: boolean;
   negative?: boolean;
+  signed?: boolean;     // colour by the sign of the first live value
 }
 
 declare interface TooltipEntry {
   title: string;
-  content: string;
+  content: string;      // **bold**, *italic*, [[key|label]] nested tooltips
   hint?: string;
   stats?: TooltipStat[];
 }
 
+/** Live values for tooltip {placeholders}, grouped like `income.net`. */
+declare interface TooltipValues {
+  [key: string]: string | number | boolean | null | TooltipValues;
+}
+
+declare type KeyScope = 'global' | 'galaxy' | 'tactical' | 'modal';
+
+declare interface KeyBindingInfo {
+  action: string;
+  chord: string | null;       // canonical, e.g. "Ctrl+Digit1"
+  label: string;              // display form, e.g. "Ctrl+1"
+  scope: KeyScope;
+  description: string;
+  category: string;
+  isDefault: boolean;
+}
+
+declare interface BindingConflict {
+  action: string;
+  chord: string;
+  scope: KeyScope;
+}
+
+declare interface RebindResult {
+  ok: boolean;
+  conflicts: BindingConflict[];
+  error?: string;
+}
+
 declare interface GameKeyboardApi {
   init(componentRef: DotNetObjectReference): void;
+  dispose(): void;
   setEnabled(value: boolean): void;
-  addShortcut(key: string, action: string): void;
+  addShortcut(key: string, action: string): boolean;
+  getBindings(): KeyBindingInfo[];
+  rebind(action: string, chord: string, force?: boolean): RebindResult;
+  unbind(action: string): void;
+  resetBindings(action?: string): void;
+  exportBindings(): string;
+  importBindings(json: string): RebindResult;
+  captureChord(): Promise<string | null>;
+  cancelCapture(): void;
+  formatChord(chord: string | null): string;
+  setScope(scope: KeyScope): void;
+  pushScope(scope: KeyScope): void;
+  popScope(): void;
+  onAction(listener: (action: string) => void): () => void;
+}
+
+declare type SoundBus = 'ui' | 'combat' | 'ambient' | 'music' | 'voice';
+
+declare interface AudioVolumes {
+  enabled: boolean;
+  master: number;
+  buses: Record<SoundBus, number>;
+  musicEnabled: boolean;
 }
 
 declare interface GameSoundsApi {
   play(soundType: string, volume?: number): void;
+  playAt(soundType: string, x: number, y: number, volume?: number): void;
   setEnabled(value: boolean): void;
   setVolume(value: number): void;
   isEnabled(): boolean;
+  setBusVolume(bus: SoundBus, value: number): void;
+  getVolumes(): AudioVolumes;
+  playMusic(state: string): void;
+  stopMusic(): void;
+  setMusicEnabled(value: boolean): void;
+  loadManifest(url?: string): Promise<void>;
+  preload(): Promise<void>;
 }
 
 declare interface GameTooltipsApi {
   init(componentRef: DotNetObjectReference): void;
   addTooltipData(key: string, data: TooltipEntry): void;
+  setLocale(locale: string): Promise<void>;
+  setValues(values: TooltipValues): void;
+  hide(): void;
+  dispose(): void;
+}
+
+declare interface GameAccessibilityApi {
+  getSettings(): import('../accessibility').AccessibilitySettings;
+  configure(changes: Partial<import('../accessibility').AccessibilitySettings>): import('../accessibility').AccessibilitySettings;
+  reset(): import('../accessibility').AccessibilitySettings;
+  getPalettes(): { id: string; label: string }[];
+  isReducedMotion(): boolean;
+  prefersReducedMotion(): boolean;
 }
 
 declare interface Window {
   GameKeyboard: GameKeyboardApi;
   GameSounds: GameSoundsApi;
   GameTooltips: GameTooltipsApi;
+  GameAccessibility: GameAccessibilityApi;
   GalaxyRenderer: typeof import('../GalaxyRenderer').GalaxyRenderer;
 
   galaxyRenderer: import('../GalaxyRenderer').GalaxyRenderer | null;
@@ -49,9 +124,29 @@ declare interface Window {
   setGalaxyFleets(fleetsJson: string): void;
   setGalaxyAsteroidFields(fieldsJson: string): void;
   setGalaxyStations(stationsJson: string): void;
+  setGalaxySensorRanges(sourcesJson: string): void;
   setGalaxyCallbacks(dotnetRef: DotNetObjectReference): void;
+  getGalaxySelection(): string;
+  setGalaxySelection(selectionJson: string): void;
+  clearGalaxySelection(): void;
+  playGalaxyTurnTransition(turnJson: string): Promise<void>;
+  skipGalaxyAnimations(): void;
+  setGalaxyAnimationsEnabled(enabled: boolean): void;
+  clearGalaxyBattleMarkers(): void;
+  setGalaxyOverlayData(modeId: string, valuesJson: string): void;
+  setGalaxyOverlayMode(modeId: string | null): boolean;
+  cycleGalaxyOverlay(step?: number): string | null;
+  getGalaxyOverlayModes(): { id: string; label: string; style: string }[];
+  registerGalaxyOverlayMode(modeJson: string): void;
+  onGalaxySystemSelected(listener: (system: { id: string; name: string } | null) => void): () => void;
+  planGalaxyRoute(fromSystemId: string, toSystemId: string): void;
+  setGalaxyRouteFleet(fleetId: string | null): void;
+  clearGalaxyRoute(): void;
+  exportGalaxyImage(optionsJson: string): Promise<void>;
   centerGalaxyOnSystem(systemId: string): void;
   setGalaxyZoom(level: number): void;
+  setGalaxyMinimapVisible(visible: boolean): void;
+  setGalaxyMinimapCorner(corner: string): void;
   resetGalaxyView(): void;
   destroyGalaxyMap(): void;
 
@@ -86,4 +181,34 @@ declare interface TutorialHighlightApi {
   ): TutorialDialogPosition;
   onResize(dotNetRef: DotNetObjectReference): void;
   offResize(): void;
+  showSpotlight(
+    targets: SpotlightTarget[],
+    options: SpotlightOptions | null,
+    dotNetRef: DotNetObjectReference | null,
+  ): TutorialElementBounds | null;
+  hideSpotlight(): void;
+  awaitAction(action: TutorialAction, dotNetRef: DotNetObjectReference): boolean;
+  cancelAction(): void;
+}
+
+/** A spotlight cutout: a DOM element, or a galaxy region in world units. */
+declare interface SpotlightTarget {
+  selector?: string | null;
+  world?: { x: number; y: number; width: number; height: number } | null;
+  padding?: number | null;
+}
+
+declare interface SpotlightOptions {
+  dialogSelector?: string;
+  padding?: number;
+  arrows?: boolean;
+  /** Swallow clicks outside the cutouts and the dialog (default true). */
+  blockOutside?: boolean;
+}
+
+declare interface TutorialAction {
+  type: 'click' | 'key' | 'systemSelected';
+  selector?: string | null;
+  action?: string | null;
+  systemId?: string | null;
 }
@@ -15,6 +15,7 @@ export default defineConfig({
       input: {
         keyboard:       resolve(__dirname, 'ts/keyboard.ts'),
         sounds:         resolve(__dirname, 'ts/sounds.ts'),
+        accessibility:  resolve(__dirname, 'ts/accessibility.ts'),
         tooltips:       resolve(__dirname, 'ts/tooltips.ts'),
         GalaxyRenderer: resolve(__dirname, 'ts/GalaxyRenderer.ts'),
         tacticalViewer: resolve(__dirname, 'ts/tacticalViewer.ts'),
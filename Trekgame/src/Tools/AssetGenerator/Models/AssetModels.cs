@@ -235,3 +235,36 @@ public class FactionProfile
     public bool HasTroops { get; set; } = true;
     public bool IsPortraitOnly { get; set; } = false;  // For Special/AncientRaces
 }
+
+/// <summary>
+/// Replayable recolour transform for faction variants (rogue factions, mirror universe, player colours).
+/// Saved as JSON so the same transform can be applied to every sheet of a faction.
+/// </summary>
+public class RecolorPreset
+{
+    public int Version { get; set; } = 1;
+    public string Name { get; set; } = "New Recolour";
+    public string? Description { get; set; }
+    public HueShiftRule HueShift { get; set; } = new();
+    public List<PaletteMapping> PaletteMap { get; set; } = new();
+    public bool PreserveLuminance { get; set; } = true;  // Keep per-pixel luma so shading survives
+    public bool UseCompanionMask { get; set; }           // Multiply by a companion mask image (white = recolour)
+    public bool InvertMask { get; set; }
+}
+
+public class HueShiftRule
+{
+    public bool Enabled { get; set; } = true;
+    public double FromHue { get; set; } = 180;         // Range start in degrees; ranges may wrap past 360
+    public double ToHue { get; set; } = 260;
+    public double Feather { get; set; } = 15;          // Degrees of soft falloff outside the range
+    public double Shift { get; set; } = 120;           // Degrees to rotate hues inside the range
+    public double MinSaturation { get; set; } = 0.15;  // Greys and near-greys are left alone
+}
+
+public class PaletteMapping
+{
+    public string From { get; set; } = "#3366cc";
+    public string To { get; set; } = "#cc3333";
+    public int Tolerance { get; set; } = 48;           // RGB distance at which the mapping has faded out
+}
@@ -42,6 +42,7 @@ public class AssetGeneratorService
     public bool RemoveBackground { get; set; } = true;
     public int BackgroundTolerance { get; set; } = 25;
     public bool SmoothEdges { get; set; } = true;
+    public BackgroundKeyOptions? BackgroundKey { get; set; }  // Edge-connected chroma key instead of black removal when set
 
     // Resize settings - ensure consistent output size
     public bool ResizeToTarget { get; set; } = true;
@@ -405,12 +406,16 @@ public class AssetGeneratorService
             throw new ArgumentException($"Image data too small ({base64Image.Length} chars), likely incomplete");
         }
 
-        var options = new
-        {
-            tolerance = customTolerance ?? BackgroundTolerance,
-            edgeSmoothing = SmoothEdges,
-            featherRadius = 2
-        };
+        // The edge-connected key replaces the legacy black removal when configured
+        var jsFunction = BackgroundKey != null ? "removeBackgroundKeyed" : "removeBackgroundAdvanced";
+        object options = BackgroundKey != null
+            ? BackgroundKey
+            : new
+            {
+                tolerance = customTolerance ?? BackgroundTolerance,
+                edgeSmoothing = SmoothEdges,
+                featherRadius = 2
+            };
 
         // Retry logic for race conditions
         const int maxRetries = 3;
@@ -420,7 +425,7 @@ public class AssetGeneratorService
         {
             try
             {
-                var result = await _jsRuntime.InvokeAsync<string>("removeBackgroundAdvanced", base64Image, options);
+                var result = await _jsRuntime.InvokeAsync<string>(jsFunction, base64Image, options);
 
                 // Validate result
                 if (string.IsNullOrWhiteSpace(result))
@@ -57,6 +57,25 @@ public class ImageProcessingService
         }
     }
     
+    /// <summary>
+    /// Chroma key removal that only clears key-coloured pixels connected to the image border
+    /// </summary>
+    public async Task<string> RemoveBackgroundKeyedAsync(string base64Image, BackgroundKeyOptions? options = null)
+    {
+        options ??= new BackgroundKeyOptions();
+        
+        try
+        {
+            var result = await _jsRuntime.InvokeAsync<string>("removeBackgroundKeyed", base64Image, options);
+            return result;
+        }
+        catch (Exception ex)
+        {
+            Console.WriteLine($"Error removing background (keyed): {ex.Message}");
+            return base64Image;
+        }
+    }
+    
     /// <summary>
     /// Assembles multiple images into a sprite sheet
     /// </summary>
@@ -119,6 +138,50 @@ public class BackgroundRemovalOptions
     public int FeatherRadius { get; set; } = 2;
 }
 
+public class BackgroundKeyOptions
+{
+    /// <summary>
+    /// Background colour to key out as #rrggbb (black, or a green/magenta screen)
+    /// </summary>
+    public string KeyColor { get; set; } = "#000000";
+    
+    /// <summary>
+    /// Largest per-channel difference from the key that still counts as background (0-255)
+    /// </summary>
+    public int Tolerance { get; set; } = 30;
+    
+    /// <summary>
+    /// Width of the distance band beyond the tolerance where edge pixels get partial alpha
+    /// </summary>
+    public int Softness { get; set; } = 20;
+    
+    /// <summary>
+    /// Only remove background that is connected to the image border (keeps dark interiors)
+    /// </summary>
+    public bool EdgeConnected { get; set; } = true;
+    
+    /// <summary>
+    /// Unmix the key colour from edge pixels and suppress colour spill
+    /// </summary>
+    public bool Despill { get; set; } = true;
+    
+    /// <summary>
+    /// Restore enclosed background pockets to the subject
+    /// </summary>
+    public bool FillHoles { get; set; } = true;
+    
+    /// <summary>
+    /// Largest pocket (in pixels) that hole filling restores; null = 1% of the image, 0 = any size.
+    /// Without a limit, non-edge-connected keying ends up the same as edge-connected
+    /// </summary>
+    public int? MaxHoleArea { get; set; }
+    
+    /// <summary>
+    /// Morphological opening radius that removes leftover specks (0 = off)
+    /// </summary>
+    public int CleanupRadius { get; set; } = 1;
+}
+
 public class ProcessingOptions
 {
     public bool RemoveBackground { get; set; } = true;
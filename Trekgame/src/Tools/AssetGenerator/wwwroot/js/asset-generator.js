@@ -542,3 +542,610 @@ window.normalizeGrid = function(base64Image, columns, rows, cellSize, padding, a
         img.src = 'data:image/png;base64,' + base64Image;
     });
 };
+
+// Load a base64 PNG into an Image element
+function loadBase64Image(base64) {
+    return new Promise((resolve, reject) => {
+        const img = new Image();
+        img.onload = () => resolve(img);
+        img.onerror = reject;
+        img.src = 'data:image/png;base64,' + base64;
+    });
+}
+
+// Bounding box of pixels with alpha above the threshold (null when fully transparent)
+function findOpaqueBounds(ctx, width, height, alphaThreshold) {
+    const data = ctx.getImageData(0, 0, width, height).data;
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] > alphaThreshold) {
+                if (x < minX) minX = x;
+                if (y < minY) minY = y;
+                if (x > maxX) maxX = x;
+                if (y > maxY) maxY = y;
+            }
+        }
+    }
+
+    if (maxX < 0) return null;
+    return { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+}
+
+// MaxRects bin using the best-short-side-fit heuristic
+class MaxRectsBin {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.freeRects = [{ x: 0, y: 0, w: width, h: height }];
+    }
+
+    insert(w, h) {
+        let best = null;
+        let bestShort = Infinity, bestLong = Infinity;
+
+        for (const free of this.freeRects) {
+            if (w > free.w || h > free.h) continue;
+            const leftoverW = free.w - w;
+            const leftoverH = free.h - h;
+            const shortSide = Math.min(leftoverW, leftoverH);
+            const longSide = Math.max(leftoverW, leftoverH);
+            if (shortSide < bestShort || (shortSide === bestShort && longSide < bestLong)) {
+                best = { x: free.x, y: free.y, w, h };
+                bestShort = shortSide;
+                bestLong = longSide;
+            }
+        }
+
+        if (best) this.place(best);
+        return best;
+    }
+
+    place(used) {
+        const split = [];
+
+        // Every free rect the new one overlaps is replaced by up to four maximal remainders
+        for (const free of this.freeRects) {
+            if (used.x >= free.x + free.w || used.x + used.w <= free.x ||
+                used.y >= free.y + free.h || used.y + used.h <= free.y) {
+                split.push(free);
+                continue;
+            }
+            if (used.x > free.x) {
+                split.push({ x: free.x, y: free.y, w: used.x - free.x, h: free.h });
+            }
+            if (used.x + used.w < free.x + free.w) {
+                split.push({ x: used.x + used.w, y: free.y, w: free.x + free.w - used.x - used.w, h: free.h });
+            }
+            if (used.y > free.y) {
+                split.push({ x: free.x, y: free.y, w: free.w, h: used.y - free.y });
+            }
+            if (used.y + used.h < free.y + free.h) {
+                split.push({ x: free.x, y: used.y + used.h, w: free.w, h: free.y + free.h - used.y - used.h });
+            }
+        }
+
+        // Prune rects contained in another (keep the first of identical pairs)
+        const contains = (a, b) => b.x >= a.x && b.y >= a.y && b.x + b.w <= a.x + a.w && b.y + b.h <= a.y + a.h;
+        this.freeRects = split.filter((rect, i) => !split.some((other, j) =>
+            j !== i && contains(other, rect) && (j < i || !contains(rect, other))));
+    }
+}
+
+// Pack sprites of any size into a texture atlas.
+// options: { sprites: [{ key, imageBase64, pivot? }], maxSize, padding, extrude, trim, alphaThreshold, powerOfTwo, imageName }
+// Returns { imageBase64, atlasJson, width, height, frameCount } where atlasJson is TexturePacker's
+// JSON-hash format ("frames" + "meta"), which Phaser, PixiJS and most engines load directly.
+window.packTextureAtlas = async function(options) {
+    const {
+        sprites = [],
+        maxSize = 4096,
+        padding = 2,
+        extrude = 1,
+        trim = true,
+        alphaThreshold = 0,
+        powerOfTwo = false,
+        imageName = 'atlas.png'
+    } = options;
+
+    // Load and trim every sprite
+    const entries = [];
+    const seenKeys = new Set();
+    for (const sprite of sprites) {
+        if (!sprite.imageBase64) continue;
+        if (seenKeys.has(sprite.key)) {
+            throw new Error(`Duplicate atlas key: ${sprite.key}`);
+        }
+        seenKeys.add(sprite.key);
+
+        const img = await loadBase64Image(sprite.imageBase64);
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0);
+
+        let bounds = { x: 0, y: 0, w: img.width, h: img.height };
+        if (trim) {
+            // Fully transparent sprites keep a single pixel so the key still resolves
+            bounds = findOpaqueBounds(ctx, img.width, img.height, alphaThreshold) || { x: 0, y: 0, w: 1, h: 1 };
+        }
+
+        entries.push({
+            key: sprite.key,
+            canvas,
+            bounds,
+            sourceW: img.width,
+            sourceH: img.height,
+            pivot: sprite.pivot || { x: 0.5, y: 0.5 }
+        });
+    }
+
+    if (entries.length === 0) {
+        throw new Error('No sprites to pack');
+    }
+
+    // Largest side first gives MaxRects the best chance
+    entries.sort((a, b) =>
+        Math.max(b.bounds.w, b.bounds.h) - Math.max(a.bounds.w, a.bounds.h) ||
+        b.bounds.w * b.bounds.h - a.bounds.w * a.bounds.h);
+
+    // Each slot carries the extruded border plus trailing padding; the bin gets one padding
+    // of slack so slots on the right/bottom edge fit without padding past the atlas
+    const border = extrude * 2 + padding;
+    const slotW = e => e.bounds.w + border;
+    const slotH = e => e.bounds.h + border;
+
+    const totalArea = entries.reduce((sum, e) => sum + slotW(e) * slotH(e), 0);
+    const nextPow2 = v => Math.pow(2, Math.ceil(Math.log2(Math.max(1, v))));
+    let binW = nextPow2(Math.max(Math.sqrt(totalArea), ...entries.map(slotW)) - padding);
+    let binH = nextPow2(Math.max(Math.sqrt(totalArea) / 2, ...entries.map(slotH)) - padding);
+
+    let placements = null;
+    while (binW <= maxSize && binH <= maxSize) {
+        const bin = new MaxRectsBin(binW + padding, binH + padding);
+        const attempt = [];
+        for (const entry of entries) {
+            const rect = bin.insert(slotW(entry), slotH(entry));
+            if (!rect) break;
+            attempt.push({ entry, x: rect.x + extrude, y: rect.y + extrude });
+        }
+        if (attempt.length === entries.length) {
+            placements = attempt;
+            break;
+        }
+        // Grow the shorter side, keeping the atlas roughly square
+        if (binW <= binH) binW *= 2; else binH *= 2;
+    }
+
+    if (!placements) {
+        throw new Error(`Sprites do not fit in a ${maxSize}x${maxSize} atlas`);
+    }
+
+    let atlasW = binW, atlasH = binH;
+    if (!powerOfTwo) {
+        atlasW = Math.max(...placements.map(p => p.x + p.entry.bounds.w + extrude));
+        atlasH = Math.max(...placements.map(p => p.y + p.entry.bounds.h + extrude));
+    }
+
+    const atlasCanvas = document.createElement('canvas');
+    atlasCanvas.width = atlasW;
+    atlasCanvas.height = atlasH;
+    const atlasCtx = atlasCanvas.getContext('2d');
+    atlasCtx.imageSmoothingEnabled = false;
+
+    const frames = {};
+    for (const { entry, x, y } of placements) {
+        const { canvas, bounds: b } = entry;
+        atlasCtx.drawImage(canvas, b.x, b.y, b.w, b.h, x, y, b.w, b.h);
+
+        // Extrude: repeat the edge pixels outward so filtering never samples a neighbour
+        if (extrude > 0) {
+            const e = extrude;
+            const right = b.x + b.w - 1, bottom = b.y + b.h - 1;
+            atlasCtx.drawImage(canvas, b.x, b.y, b.w, 1, x, y - e, b.w, e);
+            atlasCtx.drawImage(canvas, b.x, bottom, b.w, 1, x, y + b.h, b.w, e);
+            atlasCtx.drawImage(canvas, b.x, b.y, 1, b.h, x - e, y, e, b.h);
+            atlasCtx.drawImage(canvas, right, b.y, 1, b.h, x + b.w, y, e, b.h);
+            atlasCtx.drawImage(canvas, b.x, b.y, 1, 1, x - e, y - e, e, e);
+            atlasCtx.drawImage(canvas, right, b.y, 1, 1, x + b.w, y - e, e, e);
+            atlasCtx.drawImage(canvas, b.x, bottom, 1, 1, x - e, y + b.h, e, e);
+            atlasCtx.drawImage(canvas, right, bottom, 1, 1, x + b.w, y + b.h, e, e);
+        }
+
+        frames[entry.key] = {
+            frame: { x, y, w: b.w, h: b.h },
+            rotated: false,
+            trimmed: b.w !== entry.sourceW || b.h !== entry.sourceH,
+            spriteSourceSize: { x: b.x, y: b.y, w: b.w, h: b.h },
+            sourceSize: { w: entry.sourceW, h: entry.sourceH },
+            pivot: entry.pivot
+        };
+    }
+
+    const atlas = {
+        frames,
+        meta: {
+            app: 'Trekgame Asset Generator',
+            version: '1.0',
+            image: imageName,
+            format: 'RGBA8888',
+            size: { w: atlasW, h: atlasH },
+            scale: '1',
+            padding,
+            extrude
+        }
+    };
+
+    return {
+        imageBase64: atlasCanvas.toDataURL('image/png').split(',')[1],
+        atlasJson: JSON.stringify(atlas, null, 2),
+        width: atlasW,
+        height: atlasH,
+        frameCount: placements.length
+    };
+};
+
+// Unpack a texture atlas back into untrimmed sprites at their source size.
+// Accepts TexturePacker JSON hash or array descriptors (as a string or object), including rotated frames.
+// Returns [{ key, imageBase64, width, height, pivot }]
+window.unpackTextureAtlas = async function(base64Image, atlasJson) {
+    const atlas = typeof atlasJson === 'string' ? JSON.parse(atlasJson) : atlasJson;
+    if (!atlas || !atlas.frames) {
+        throw new Error('Atlas descriptor has no "frames"');
+    }
+
+    const frameList = Array.isArray(atlas.frames)
+        ? atlas.frames.map(f => [f.filename, f])
+        : Object.entries(atlas.frames);
+
+    const img = await loadBase64Image(base64Image);
+    const sprites = [];
+
+    for (const [key, data] of frameList) {
+        const f = data.frame;
+        const source = data.sourceSize || { w: f.w, h: f.h };
+        const offset = data.spriteSourceSize || { x: 0, y: 0 };
+
+        const canvas = document.createElement('canvas');
+        canvas.width = source.w;
+        canvas.height = source.h;
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingEnabled = false;
+
+        if (data.rotated) {
+            // Rotated frames are stored 90° clockwise, so the atlas region is h x w
+            ctx.translate(offset.x, offset.y + f.h);
+            ctx.rotate(-Math.PI / 2);
+            ctx.drawImage(img, f.x, f.y, f.h, f.w, 0, 0, f.h, f.w);
+        } else {
+            ctx.drawImage(img, f.x, f.y, f.w, f.h, offset.x, offset.y, f.w, f.h);
+        }
+
+        sprites.push({
+            key,
+            imageBase64: canvas.toDataURL('image/png').split(',')[1],
+            width: source.w,
+            height: source.h,
+            pivot: data.pivot || { x: 0.5, y: 0.5 }
+        });
+    }
+
+    return sprites;
+};
+
+// Off-main-thread processing: pixel work runs in js/image-worker.js when OffscreenCanvas is available
+
+const imageWorkerSupported = typeof Worker !== 'undefined' &&
+    typeof OffscreenCanvas !== 'undefined' &&
+    typeof createImageBitmap !== 'undefined';
+
+// One worker plus its in-flight requests; terminate() fails whatever is still pending
+class ImageWorkerClient {
+    constructor() {
+        this.worker = new Worker('js/image-worker.js');
+        this.nextId = 1;
+        this.pending = new Map();
+
+        this.worker.onmessage = (e) => {
+            const { id, ok, result, error } = e.data;
+            const request = this.pending.get(id);
+            if (!request) return;
+            this.pending.delete(id);
+            if (ok) request.resolve(result); else request.reject(new Error(error));
+        };
+        this.worker.onerror = (e) => {
+            this.terminate(new Error(e.message || 'Image worker failed'));
+        };
+    }
+
+    run(op, payload) {
+        if (!this.worker) return Promise.reject(new Error('Image worker was terminated'));
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, op, payload });
+        });
+    }
+
+    terminate(reason) {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+        for (const request of this.pending.values()) request.reject(reason);
+        this.pending.clear();
+    }
+}
+
+// Shared worker for single calls from Blazor; recreated if it ever dies
+let sharedImageWorker = null;
+function getSharedImageWorker() {
+    if (!sharedImageWorker || !sharedImageWorker.worker) {
+        sharedImageWorker = new ImageWorkerClient();
+    }
+    return sharedImageWorker;
+}
+
+function base64ToBlob(base64, mimeType = 'image/png') {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Blob([bytes], { type: mimeType });
+}
+
+function blobToBase64(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result.split(',')[1]);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+function downloadBlob(filename, blob) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(link.href);
+}
+
+// The base64 entry points Blazor already calls keep their signatures but run in the worker;
+// the main-thread versions above remain as the fallback for browsers without OffscreenCanvas
+if (imageWorkerSupported) {
+    window.removeBackgroundAdvanced = async function(base64Image, options = {}) {
+        const { blob } = await getSharedImageWorker().run('removeBackground', {
+            blob: base64ToBlob(base64Image),
+            tolerance: options.tolerance || 25,
+            edgeSmoothing: options.edgeSmoothing !== false,
+            featherRadius: options.featherRadius || 2
+        });
+        return blobToBase64(blob);
+    };
+
+    window.normalizeGrid = async function(base64Image, columns, rows, cellSize, padding, autoDetect) {
+        const { blob } = await getSharedImageWorker().run('normalizeGrid', {
+            blob: base64ToBlob(base64Image), columns, rows, cellSize, padding, autoDetect
+        });
+        return blobToBase64(blob);
+    };
+
+    window.splitSpritesheet = async function(base64Image, columns, rows) {
+        const result = await getSharedImageWorker().run('splitSpritesheet', {
+            blob: base64ToBlob(base64Image), columns, rows
+        });
+        const images = [];
+        for (const cell of result.cells) {
+            images.push({
+                row: cell.row,
+                col: cell.col,
+                index: cell.index,
+                hasContent: cell.hasContent,
+                base64: await blobToBase64(cell.blob)
+            });
+        }
+        return {
+            images,
+            cellWidth: result.cellWidth,
+            cellHeight: result.cellHeight,
+            totalCells: result.totalCells
+        };
+    };
+
+    window.assembleSpriteSheet = async function(options) {
+        const { images, columns, rows, cellSize } = options;
+        const cells = images
+            .filter(item => item.imageBase64)
+            .map(item => ({ row: item.row, col: item.col, blob: base64ToBlob(item.imageBase64) }));
+        const { blob } = await getSharedImageWorker().run('assemble', { cells, columns, rows, cellSize });
+        return blobToBase64(blob);
+    };
+}
+
+// Edge-connected chroma key (worker only, see keyBackground in image-worker.js)
+// options: { keyColor, tolerance, softness, edgeConnected, despill, fillHoles, maxHoleArea, cleanupRadius }
+window.removeBackgroundKeyed = async function(base64Image, options = {}) {
+    if (!imageWorkerSupported) {
+        throw new Error('Keyed background removal needs Web Worker and OffscreenCanvas support');
+    }
+    const { blob } = await getSharedImageWorker().run('keyBackground', { ...options, blob: base64ToBlob(base64Image) });
+    return blobToBase64(blob);
+};
+
+// Same key, plus a mask overlay so the cut can be checked before it is applied
+// Returns { resultBase64, overlayBase64, removedPercent, specksRemoved, holesFilled }
+window.previewBackgroundKey = async function(base64Image, options = {}) {
+    if (!imageWorkerSupported) {
+        throw new Error('Keyed background removal needs Web Worker and OffscreenCanvas support');
+    }
+    const result = await getSharedImageWorker().run('keyBackground', {
+        ...options, blob: base64ToBlob(base64Image), preview: true
+    });
+    return {
+        resultBase64: await blobToBase64(result.blob),
+        overlayBase64: await blobToBase64(result.overlayBlob),
+        removedPercent: result.removedPercent,
+        specksRemoved: result.specksRemoved,
+        holesFilled: result.holesFilled
+    };
+};
+
+// Sprite sheet QA (worker only, see validateSheet in image-worker.js)
+// options: { centerTolerance, scaleTolerance, edgeMargin, backgroundThreshold, cornerSize }
+// Returns { columns, rows, cellWidth, cellHeight, medianSize, flaggedCount, counts, cells: [...] }
+window.validateSpriteSheet = async function(base64Image, columns, rows, options = {}) {
+    if (!imageWorkerSupported) {
+        throw new Error('Sheet validation needs Web Worker and OffscreenCanvas support');
+    }
+    return getSharedImageWorker().run('validateSheet', {
+        ...options, blob: base64ToBlob(base64Image), columns, rows
+    });
+};
+
+// Re-normalize only the flagged cells of a sheet; returns { imageBase64, fixed }
+// options: { padding, targetSize, cornerSize }
+window.fixSpriteSheetCells = async function(base64Image, columns, rows, cellIndices, options = {}) {
+    if (!imageWorkerSupported) {
+        throw new Error('Sheet validation needs Web Worker and OffscreenCanvas support');
+    }
+    const { blob, fixed } = await getSharedImageWorker().run('fixSheetCells', {
+        ...options, blob: base64ToBlob(base64Image), columns, rows, cells: cellIndices
+    });
+    return { imageBase64: await blobToBase64(blob), fixed };
+};
+
+// Faction recolour (worker only, see recolor in image-worker.js)
+// preset: RecolorPreset JSON ({ hueShift, paletteMap, preserveLuminance, useCompanionMask, invertMask })
+// Returns { imageBase64, changedPercent }
+window.recolorImage = async function(base64Image, preset, maskBase64 = null) {
+    if (!imageWorkerSupported) {
+        throw new Error('Recolouring needs Web Worker and OffscreenCanvas support');
+    }
+    const { blob, changedPercent } = await getSharedImageWorker().run('recolor', {
+        blob: base64ToBlob(base64Image),
+        maskBlob: maskBase64 ? base64ToBlob(maskBase64) : null,
+        preset
+    });
+    return { imageBase64: await blobToBase64(blob), changedPercent };
+};
+
+// Batch pipeline: folder → remove background → normalize → assemble
+// Files stay as Blobs in the browser; only progress and results go to Blazor.
+// Callbacks on the DotNetObjectReference:
+//   OnBatchFolderSelected(folderName, fileNames)
+//   OnBatchProgress(jobId, index, total, fileName, stage)
+//   OnBatchItemFailed(jobId, fileName, error)
+//   OnBatchCompleted(jobId, { total, processed, failed, cancelled, columns, rows, outputName, error })
+
+const batchFolderFiles = new Map();
+const imageBatches = new Map();
+
+// Open a folder picker (<input webkitdirectory>) and remember its images, sorted by path
+window.chooseBatchFolder = function(elementId, dotNetRef) {
+    const input = document.getElementById(elementId);
+    if (!input) {
+        console.error('File input not found:', elementId);
+        return;
+    }
+
+    input.onchange = () => {
+        const pathOf = f => f.webkitRelativePath || f.name;
+        const files = Array.from(input.files)
+            .filter(f => /\.(png|jpe?g|webp)$/i.test(f.name))
+            .sort((a, b) => pathOf(a).localeCompare(pathOf(b), undefined, { numeric: true }));
+        batchFolderFiles.set(elementId, files);
+
+        const folderName = files.length > 0 ? pathOf(files[0]).split('/')[0] : '';
+        dotNetRef.invokeMethodAsync('OnBatchFolderSelected', folderName, files.map(f => f.name));
+    };
+    input.value = '';
+    input.click();
+};
+
+// Start a batch over the chosen folder. Returns immediately; the run reports through dotNetRef.
+// options: { removeBackground: { tolerance, edgeSmoothing, featherRadius } | null,
+//            keyBackground: { keyColor, tolerance, ... } | null (replaces removeBackground when set),
+//            normalize: { cellSize, padding, autoDetect } | null,
+//            columns, cellSize, outputName }
+window.startImageBatch = function(dotNetRef, jobId, elementId, options) {
+    if (!imageWorkerSupported) {
+        throw new Error('Batch processing needs Web Worker and OffscreenCanvas support');
+    }
+    const files = batchFolderFiles.get(elementId) || [];
+    const batch = { cancelled: false, worker: new ImageWorkerClient() };
+    imageBatches.set(jobId, batch);
+    runImageBatch(dotNetRef, jobId, files, options, batch);
+};
+
+// Cancel a running batch; the in-flight item is abandoned by terminating its worker
+window.cancelImageBatch = function(jobId) {
+    const batch = imageBatches.get(jobId);
+    if (!batch) return;
+    batch.cancelled = true;
+    batch.worker.terminate(new Error('Batch cancelled'));
+};
+
+async function runImageBatch(dotNetRef, jobId, files, options, batch) {
+    const { removeBackground, keyBackground, normalize, columns, cellSize, outputName } = options;
+    const summary = {
+        total: files.length, processed: 0, failed: 0, cancelled: false,
+        columns, rows: 0, outputName, error: null
+    };
+    const results = [];
+
+    try {
+        for (let i = 0; i < files.length && !batch.cancelled; i++) {
+            const file = files[i];
+            const report = stage => dotNetRef.invokeMethodAsync('OnBatchProgress', jobId, i, files.length, file.name, stage);
+
+            try {
+                let blob = file;
+                if (keyBackground) {
+                    await report('key-background');
+                    ({ blob } = await batch.worker.run('keyBackground', { ...keyBackground, blob }));
+                } else if (removeBackground) {
+                    await report('remove-background');
+                    ({ blob } = await batch.worker.run('removeBackground', { blob, ...removeBackground }));
+                }
+                if (normalize) {
+                    await report('normalize');
+                    ({ blob } = await batch.worker.run('normalize', { blob, ...normalize }));
+                }
+                results.push(blob);
+            } catch (err) {
+                if (batch.cancelled) break;
+                summary.failed++;
+                await dotNetRef.invokeMethodAsync('OnBatchItemFailed', jobId, file.name, err.message || String(err));
+            }
+        }
+
+        summary.processed = results.length;
+        summary.cancelled = batch.cancelled;
+
+        if (!batch.cancelled && results.length > 0) {
+            await dotNetRef.invokeMethodAsync('OnBatchProgress', jobId, files.length, files.length, outputName, 'assemble');
+            summary.rows = Math.ceil(results.length / columns);
+            const cells = results.map((blob, i) => ({ row: Math.floor(i / columns), col: i % columns, blob }));
+            const { blob } = await batch.worker.run('assemble', { cells, columns, rows: summary.rows, cellSize });
+            downloadBlob(outputName, blob);
+        }
+    } catch (err) {
+        summary.cancelled = batch.cancelled;
+        if (!batch.cancelled) summary.error = err.message || String(err);
+    } finally {
+        batch.worker.terminate(new Error('Batch finished'));
+        imageBatches.delete(jobId);
+    }
+
+    try {
+        await dotNetRef.invokeMethodAsync('OnBatchCompleted', jobId, summary);
+    } catch (err) {
+        // The page was disposed mid-run, so there is no one left to report to
+        console.warn('Batch completion could not be reported:', err);
+    }
+}
@@ -0,0 +1,766 @@
+// Asset Generator image worker
+// Runs the per-pixel processing off the UI thread with OffscreenCanvas.
+// Images arrive and leave as Blobs. Protocol: { id, op, payload } -> { id, ok, result | error }
+
+// Decode a Blob into a readable OffscreenCanvas
+async function decodeBlob(blob) {
+    const bitmap = await createImageBitmap(blob);
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    return { canvas, ctx };
+}
+
+function encodePng(canvas) {
+    return canvas.convertToBlob({ type: 'image/png' });
+}
+
+// Same visibility test as the main-thread helpers: not transparent and not near-black
+function isVisiblePixel(data, i) {
+    return data[i + 3] > 10 && (data[i] > 15 || data[i + 1] > 15 || data[i + 2] > 15);
+}
+
+// Scale the visible content of a source region to fit the dest cell (minus padding) and center it.
+// Content is only ever shrunk, unless targetSize asks for a specific longest side.
+function drawNormalizedCell(sourceCanvas, sourceCtx, region, outputCtx, dest, padding, autoDetect, targetSize = 0) {
+    let bounds = { x: 0, y: 0, w: region.w, h: region.h };
+
+    if (autoDetect) {
+        const data = sourceCtx.getImageData(region.x, region.y, region.w, region.h).data;
+        let minX = region.w, minY = region.h, maxX = -1, maxY = -1;
+        for (let y = 0; y < region.h; y++) {
+            for (let x = 0; x < region.w; x++) {
+                if (isVisiblePixel(data, (y * region.w + x) * 4)) {
+                    if (x < minX) minX = x;
+                    if (y < minY) minY = y;
+                    if (x > maxX) maxX = x;
+                    if (y > maxY) maxY = y;
+                }
+            }
+        }
+        if (maxX < 0) return false;
+        bounds = { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+    }
+
+    const fit = Math.min((dest.w - padding * 2) / bounds.w, (dest.h - padding * 2) / bounds.h);
+    const scale = targetSize > 0
+        ? Math.min(targetSize / Math.max(bounds.w, bounds.h), fit)
+        : Math.min(fit, 1.0);
+    const scaledWidth = bounds.w * scale;
+    const scaledHeight = bounds.h * scale;
+
+    outputCtx.imageSmoothingEnabled = true;
+    outputCtx.imageSmoothingQuality = 'high';
+    outputCtx.drawImage(
+        sourceCanvas,
+        region.x + bounds.x, region.y + bounds.y, bounds.w, bounds.h,
+        dest.x + (dest.w - scaledWidth) / 2, dest.y + (dest.h - scaledHeight) / 2, scaledWidth, scaledHeight
+    );
+    return true;
+}
+
+// Summed-area table of a 0/1 mask, (width + 1) x (height + 1)
+function summedArea(mask, width, height) {
+    const stride = width + 1;
+    const sums = new Uint32Array(stride * (height + 1));
+    for (let y = 0; y < height; y++) {
+        let rowSum = 0;
+        for (let x = 0; x < width; x++) {
+            rowSum += mask[y * width + x];
+            sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+        }
+    }
+    return sums;
+}
+
+// Mask count and pixel count in the square window of the given radius around (x, y), clipped to the image
+function windowCount(sums, width, height, x, y, radius) {
+    const stride = width + 1;
+    const x0 = Math.max(0, x - radius), x1 = Math.min(width, x + radius + 1);
+    const y0 = Math.max(0, y - radius), y1 = Math.min(height, y + radius + 1);
+    return {
+        count: sums[y1 * stride + x1] - sums[y0 * stride + x1] - sums[y1 * stride + x0] + sums[y0 * stride + x0],
+        total: (x1 - x0) * (y1 - y0)
+    };
+}
+
+// '#rrggbb' or [r, g, b] to channel values
+function parseKeyColor(color) {
+    if (Array.isArray(color)) return color;
+    const hex = String(color).replace('#', '');
+    const value = parseInt(hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex, 16);
+    if (Number.isNaN(value)) throw new Error(`Invalid key colour: ${color}`);
+    return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+// Mark (1) every pixel within tolerance of the key that is 4-connected to the image border
+function floodFromBorder(distance, tolerance, width, height, mask) {
+    const n = width * height;
+    const stack = new Int32Array(n);
+    let top = 0;
+    const push = p => {
+        if (!mask[p] && distance[p] <= tolerance) {
+            mask[p] = 1;
+            stack[top++] = p;
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        push(x);
+        push((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+        push(y * width);
+        push(y * width + width - 1);
+    }
+
+    while (top > 0) {
+        const p = stack[--top];
+        const x = p % width;
+        if (x > 0) push(p - 1);
+        if (x < width - 1) push(p + 1);
+        if (p >= width) push(p - width);
+        if (p < n - width) push(p + width);
+    }
+}
+
+// Morphological opening of the foreground (mask 0): erode then dilate with a square window.
+// Removes specks and strands thinner than the window. Returns the number of pixels removed.
+function openForeground(mask, width, height, radius) {
+    const backgroundSums = summedArea(mask, width, height);
+    const eroded = new Uint8Array(width * height);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            eroded[p] = !mask[p] && windowCount(backgroundSums, width, height, x, y, radius).count === 0 ? 1 : 0;
+        }
+    }
+
+    const erodedSums = summedArea(eroded, width, height);
+    let removed = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            if (!mask[p] && windowCount(erodedSums, width, height, x, y, radius).count === 0) {
+                mask[p] = 1;
+                removed++;
+            }
+        }
+    }
+    return removed;
+}
+
+// Return enclosed background pockets (not touching the border) to the foreground.
+// maxArea 0 fills pockets of any size. Returns the number of pixels filled.
+function fillMaskHoles(mask, width, height, maxArea) {
+    const n = width * height;
+    const seen = new Uint8Array(n);
+    const stack = new Int32Array(n);
+    const region = new Int32Array(n);
+    let filled = 0;
+
+    for (let start = 0; start < n; start++) {
+        if (!mask[start] || seen[start]) continue;
+
+        let top = 0, size = 0, touchesBorder = false;
+        seen[start] = 1;
+        stack[top++] = start;
+
+        while (top > 0) {
+            const p = stack[--top];
+            region[size++] = p;
+            const x = p % width, y = (p - x) / width;
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesBorder = true;
+
+            const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, y > 0 ? p - width : -1, y < height - 1 ? p + width : -1];
+            for (const q of neighbours) {
+                if (q >= 0 && mask[q] && !seen[q]) {
+                    seen[q] = 1;
+                    stack[top++] = q;
+                }
+            }
+        }
+
+        if (!touchesBorder && (maxArea <= 0 || size <= maxArea)) {
+            for (let i = 0; i < size; i++) mask[region[i]] = 0;
+            filled += size;
+        }
+    }
+    return filled;
+}
+
+// Pixels this close to the background get soft alpha and despill
+const KEY_EDGE_BAND = 2;
+
+// Default hole-filling limit as a share of the image. Unbounded filling restores every enclosed
+// pocket, which turns the non-edge-connected mode into the edge-connected one.
+const KEY_DEFAULT_HOLE_SHARE = 0.01;
+
+// RGB (0-255) to HSL with hue in degrees and s/l in 0..1
+function rgbToHsl(r, g, b) {
+    r /= 255; g /= 255; b /= 255;
+    const max = Math.max(r, g, b), min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return [0, 0, l];
+
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    let h;
+    if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+    else if (max === g) h = (b - r) / d + 2;
+    else h = (r - g) / d + 4;
+    return [h * 60, s, l];
+}
+
+function hslToRgb(h, s, l) {
+    h = ((h % 360) + 360) % 360 / 360;
+    if (s === 0) return [l * 255, l * 255, l * 255];
+
+    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+    const p = 2 * l - q;
+    const channel = t => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+    };
+    return [channel(h + 1 / 3) * 255, channel(h) * 255, channel(h - 1 / 3) * 255];
+}
+
+const luma = (r, g, b) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+const clamp01 = v => Math.min(1, Math.max(0, v));
+
+// 1 inside the (possibly wrapping) hue range, fading to 0 over `feather` degrees outside it
+function hueRangeWeight(h, from, to, feather) {
+    const length = ((to - from) % 360 + 360) % 360 || 360;
+    const offset = ((h - from) % 360 + 360) % 360;
+    if (offset <= length) return 1;
+    const outside = Math.min(offset - length, 360 - offset);
+    return feather > 0 ? clamp01(1 - outside / feather) : 0;
+}
+
+// Heat-grid weight of each QA issue; a cell's severity is its worst issue
+const QA_SEVERITY = { empty: 1, background: 0.9, edge: 0.7, watermark: 0.7, scale: 0.5, offCentre: 0.4 };
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// Label the visible pixels of one cell into 4-connected blobs and measure the sprite.
+// Small blobs that sit entirely inside a corner square, apart from the main sprite, are
+// reported as watermarks and left out of the content bounds.
+function analyzeCell(data, width, height, { edgeMargin = 1, cornerSize = 20 } = {}) {
+    const n = width * height;
+    const labels = new Int32Array(n);
+    const stack = new Int32Array(n);
+    const blobs = [];
+
+    for (let start = 0; start < n; start++) {
+        if (labels[start] || !isVisiblePixel(data, start * 4)) continue;
+
+        const blob = { id: blobs.length + 1, size: 0, minX: width, minY: height, maxX: -1, maxY: -1 };
+        let top = 0;
+        labels[start] = blob.id;
+        stack[top++] = start;
+
+        while (top > 0) {
+            const p = stack[--top];
+            const x = p % width, y = (p - x) / width;
+            blob.size++;
+            if (x < blob.minX) blob.minX = x;
+            if (y < blob.minY) blob.minY = y;
+            if (x > blob.maxX) blob.maxX = x;
+            if (y > blob.maxY) blob.maxY = y;
+
+            const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, y > 0 ? p - width : -1, y < height - 1 ? p + width : -1];
+            for (const q of neighbours) {
+                if (q >= 0 && !labels[q] && isVisiblePixel(data, q * 4)) {
+                    labels[q] = blob.id;
+                    stack[top++] = q;
+                }
+            }
+        }
+        blobs.push(blob);
+    }
+
+    // Opaque pixels on the outer 2px ring mean the background was never removed
+    let ringPixels = 0, ringOpaque = 0;
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (x > 1 && y > 1 && x < width - 2 && y < height - 2) continue;
+            ringPixels++;
+            if (data[(y * width + x) * 4 + 3] > 200) ringOpaque++;
+        }
+    }
+    const backgroundCoverage = ringPixels > 0 ? (ringOpaque / ringPixels) * 100 : 0;
+
+    if (blobs.length === 0) {
+        return { empty: true, bounds: null, size: 0, offsetX: 0, offsetY: 0, touchesEdge: false, backgroundCoverage, watermarks: [], labels };
+    }
+
+    const main = blobs.reduce((a, b) => (b.size > a.size ? b : a));
+    const corner = Math.round(Math.min(width, height) * cornerSize / 100);
+    const cornerOf = b => {
+        const left = b.maxX < corner, right = b.minX >= width - corner;
+        const topSide = b.maxY < corner, bottom = b.minY >= height - corner;
+        if (topSide && left) return 'top-left';
+        if (topSide && right) return 'top-right';
+        if (bottom && left) return 'bottom-left';
+        if (bottom && right) return 'bottom-right';
+        return null;
+    };
+    const overlapsMain = b => b.minX <= main.maxX && b.maxX >= main.minX && b.minY <= main.maxY && b.maxY >= main.minY;
+
+    const watermarks = [];
+    let minX = width, minY = height, maxX = -1, maxY = -1;
+    for (const b of blobs) {
+        const where = b === main || b.size > n * 0.02 || overlapsMain(b) ? null : cornerOf(b);
+        if (where) {
+            watermarks.push({ id: b.id, corner: where, x: b.minX, y: b.minY, w: b.maxX - b.minX + 1, h: b.maxY - b.minY + 1 });
+            continue;
+        }
+        minX = Math.min(minX, b.minX);
+        minY = Math.min(minY, b.minY);
+        maxX = Math.max(maxX, b.maxX);
+        maxY = Math.max(maxY, b.maxY);
+    }
+
+    const bounds = { x: minX, y: minY, w: maxX - minX + 1, h: maxY - minY + 1 };
+    return {
+        empty: false,
+        bounds,
+        size: Math.max(bounds.w, bounds.h),
+        offsetX: ((minX + maxX + 1) / 2 - width / 2) / width * 100,
+        offsetY: ((minY + maxY + 1) / 2 - height / 2) / height * 100,
+        touchesEdge: minX < edgeMargin || minY < edgeMargin || maxX >= width - edgeMargin || maxY >= height - edgeMargin,
+        backgroundCoverage,
+        watermarks,
+        labels
+    };
+}
+
+const operations = {
+    // Near-black background to transparent, feathering alpha by the share of background pixels nearby
+    async removeBackground({ blob, tolerance = 25, edgeSmoothing = true, featherRadius = 2 }) {
+        const { canvas, ctx } = await decodeBlob(blob);
+        const width = canvas.width, height = canvas.height;
+        const imageData = ctx.getImageData(0, 0, width, height);
+        const data = imageData.data;
+
+        const isBackground = new Uint8Array(width * height);
+        for (let p = 0; p < width * height; p++) {
+            const i = p * 4;
+            if (data[i] <= tolerance && data[i + 1] <= tolerance && data[i + 2] <= tolerance) {
+                isBackground[p] = 1;
+                data[i + 3] = 0;
+            }
+        }
+
+        if (edgeSmoothing && featherRadius > 0) {
+            // Summed-area table: each neighbourhood count is four lookups instead of a radius² scan
+            const sums = summedArea(isBackground, width, height);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    if (isBackground[y * width + x]) continue;
+                    const { count, total } = windowCount(sums, width, height, x, y, featherRadius);
+                    if (count > 0) {
+                        const i = (y * width + x) * 4 + 3;
+                        data[i] = Math.floor(data[i] * (1 - (count / total) * 0.5));
+                    }
+                }
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+        return { blob: await encodePng(canvas) };
+    },
+
+    // Chroma key against any colour. With edgeConnected only key-coloured pixels reachable from the
+    // border are removed, so dark hull plating and windows survive a black key. The mask is cleaned
+    // with an opening (cleanupRadius) and hole filling. Edge pixels get alpha from their distance to the key,
+    // and the key colour is unmixed from them (despill). With preview, also returns an opaque overlay that
+    // tints the removed area in the key's complementary colour.
+    async keyBackground({
+        blob, keyColor = '#000000', tolerance = 25, softness = 20, edgeConnected = true,
+        despill = true, fillHoles = true, maxHoleArea = null, cleanupRadius = 1, preview = false
+    }) {
+        const { canvas, ctx } = await decodeBlob(blob);
+        const width = canvas.width, height = canvas.height, n = width * height;
+        const imageData = ctx.getImageData(0, 0, width, height);
+        const data = imageData.data;
+        const original = preview ? new Uint8ClampedArray(data) : null;
+        const key = parseKeyColor(keyColor);
+
+        // Chebyshev distance to the key, which matches the old per-channel black test; clear pixels always match
+        const distance = new Uint8Array(n);
+        for (let p = 0; p < n; p++) {
+            const i = p * 4;
+            distance[p] = data[i + 3] === 0 ? 0 : Math.max(
+                Math.abs(data[i] - key[0]), Math.abs(data[i + 1] - key[1]), Math.abs(data[i + 2] - key[2]));
+        }
+
+        // 1 = background
+        const mask = new Uint8Array(n);
+        if (edgeConnected) {
+            floodFromBorder(distance, tolerance, width, height, mask);
+        } else {
+            for (let p = 0; p < n; p++) mask[p] = distance[p] <= tolerance ? 1 : 0;
+        }
+
+        const specksRemoved = cleanupRadius > 0 ? openForeground(mask, width, height, cleanupRadius) : 0;
+        const holeLimit = maxHoleArea ?? Math.max(1, Math.round(n * KEY_DEFAULT_HOLE_SHARE));
+        const holesFilled = fillHoles ? fillMaskHoles(mask, width, height, holeLimit) : 0;
+
+        // Chromatic keys despill their dominant channels down to the strongest other channel
+        const keyMax = Math.max(...key), keyMin = Math.min(...key);
+        const chromatic = keyMax - keyMin > 64;
+        const dominant = [0, 1, 2].filter(c => key[c] > (keyMax + keyMin) / 2);
+        const others = [0, 1, 2].filter(c => !dominant.includes(c));
+
+        const maskSums = summedArea(mask, width, height);
+        let removed = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const p = y * width + x;
+                const i = p * 4;
+
+                if (mask[p]) {
+                    data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 0;
+                    removed++;
+                    continue;
+                }
+                if (windowCount(maskSums, width, height, x, y, KEY_EDGE_BAND).count === 0) continue;
+
+                // Kept key-coloured pixels (dark interiors, filled holes) stay fully opaque
+                if (distance[p] <= tolerance) continue;
+
+                // Edge pixel: partial alpha inside the softness band beyond the tolerance
+                const coverage = softness > 0 ? Math.min(1, Math.max(0, (distance[p] - tolerance) / softness)) : 1;
+
+                if (despill) {
+                    // Unmix: observed = coverage * foreground + (1 - coverage) * key
+                    if (coverage > 0.05 && coverage < 1) {
+                        for (let c = 0; c < 3; c++) {
+                            data[i + c] = (data[i + c] - (1 - coverage) * key[c]) / coverage;
+                        }
+                    }
+                    if (chromatic && others.length > 0) {
+                        const limit = Math.max(...others.map(c => data[i + c]));
+                        const spill = Math.min(...dominant.map(c => data[i + c])) - limit;
+                        if (spill > 0) {
+                            for (const c of dominant) data[i + c] -= spill;
+                        }
+                    }
+                }
+
+                data[i + 3] = Math.round(data[i + 3] * coverage);
+            }
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+        const result = {
+            blob: await encodePng(canvas),
+            removedPercent: n > 0 ? (removed / n) * 100 : 0,
+            specksRemoved,
+            holesFilled
+        };
+
+        if (preview) {
+            const tint = key.map(c => 255 - c);
+            const overlay = new ImageData(width, height);
+            for (let p = 0; p < n; p++) {
+                const i = p * 4;
+                const before = original[i + 3];
+                const cut = before > 0 ? 1 - data[i + 3] / before : (mask[p] ? 1 : 0);
+                const strength = 0.65 * cut;
+                for (let c = 0; c < 3; c++) {
+                    overlay.data[i + c] = original[i + c] * (1 - strength) + tint[c] * strength;
+                }
+                overlay.data[i + 3] = 255;
+            }
+            const overlayCanvas = new OffscreenCanvas(width, height);
+            overlayCanvas.getContext('2d').putImageData(overlay, 0, 0);
+            result.overlayBlob = await encodePng(overlayCanvas);
+        }
+
+        return result;
+    },
+
+    // Per-cell QA report for a sheet: empty cells, sprites touching the cell edge, off-centre
+    // sprites, scale outliers against the sheet median, leftover opaque background and corner
+    // watermarks. Tolerances are percentages.
+    async validateSheet({
+        blob, columns, rows, centerTolerance = 10, scaleTolerance = 35,
+        edgeMargin = 1, backgroundThreshold = 50, cornerSize = 20
+    }) {
+        const { canvas, ctx } = await decodeBlob(blob);
+        const cellWidth = Math.floor(canvas.width / columns);
+        const cellHeight = Math.floor(canvas.height / rows);
+        const cells = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                const data = ctx.getImageData(col * cellWidth, row * cellHeight, cellWidth, cellHeight).data;
+                const { labels, watermarks, ...analysis } = analyzeCell(data, cellWidth, cellHeight, { edgeMargin, cornerSize });
+                cells.push({
+                    row, col, index: row * columns + col, ...analysis,
+                    watermarks: watermarks.map(({ id, ...w }) => w)
+                });
+            }
+        }
+
+        const sizes = cells.filter(c => !c.empty).map(c => c.size).sort((a, b) => a - b);
+        const medianSize = sizes.length === 0 ? 0
+            : sizes.length % 2 ? sizes[(sizes.length - 1) / 2]
+            : (sizes[sizes.length / 2 - 1] + sizes[sizes.length / 2]) / 2;
+
+        const counts = { empty: 0, edge: 0, offCentre: 0, scale: 0, background: 0, watermark: 0 };
+        for (const cell of cells) {
+            cell.scaleRatio = medianSize > 0 && !cell.empty ? cell.size / medianSize : 0;
+            cell.offCentre = !cell.empty && Math.max(Math.abs(cell.offsetX), Math.abs(cell.offsetY)) > centerTolerance;
+            cell.scaleOutlier = !cell.empty && Math.abs(cell.scaleRatio - 1) * 100 > scaleTolerance;
+            cell.leftoverBackground = cell.backgroundCoverage > backgroundThreshold;
+
+            const issues = [];
+            const flag = (code, message) => {
+                issues.push({ code, message });
+                counts[code]++;
+            };
+            if (cell.empty) flag('empty', 'Empty cell');
+            if (cell.leftoverBackground) flag('background', `Opaque background on ${cell.backgroundCoverage.toFixed(0)}% of the cell border`);
+            if (cell.touchesEdge && !cell.leftoverBackground) flag('edge', 'Sprite touches the cell edge');
+            if (cell.watermarks.length > 0) flag('watermark', `Watermark-like blob in ${cell.watermarks.map(w => w.corner).join(', ')} corner`);
+            if (cell.scaleOutlier) flag('scale', `Scale ${(cell.scaleRatio * 100).toFixed(0)}% of the sheet median`);
+            if (cell.offCentre) flag('offCentre', `Off-centre by ${cell.offsetX.toFixed(0)}% / ${cell.offsetY.toFixed(0)}%`);
+
+            cell.issues = issues;
+            cell.severity = issues.reduce((worst, issue) => Math.max(worst, QA_SEVERITY[issue.code]), 0);
+        }
+
+        return {
+            columns, rows, cellWidth, cellHeight, medianSize,
+            flaggedCount: cells.filter(c => c.issues.length > 0).length,
+            counts,
+            cells
+        };
+    },
+
+    // Re-normalize only the given cells of a sheet in place: watermark blobs are erased, then the
+    // sprite is trimmed, scaled (to targetSize when given, e.g. the report's median) and centered.
+    // Every other cell is copied unchanged.
+    async fixSheetCells({ blob, columns, rows, cells, padding = 5, targetSize = 0, cornerSize = 20 }) {
+        const { canvas, ctx } = await decodeBlob(blob);
+        const cellWidth = Math.floor(canvas.width / columns);
+        const cellHeight = Math.floor(canvas.height / rows);
+
+        const output = new OffscreenCanvas(canvas.width, canvas.height);
+        const outputCtx = output.getContext('2d');
+        outputCtx.drawImage(canvas, 0, 0);
+
+        const cellCanvas = new OffscreenCanvas(cellWidth, cellHeight);
+        const cellCtx = cellCanvas.getContext('2d', { willReadFrequently: true });
+        let fixed = 0;
+
+        for (const index of cells) {
+            const dest = { x: (index % columns) * cellWidth, y: Math.floor(index / columns) * cellHeight, w: cellWidth, h: cellHeight };
+            const imageData = ctx.getImageData(dest.x, dest.y, cellWidth, cellHeight);
+            const analysis = analyzeCell(imageData.data, cellWidth, cellHeight, { cornerSize });
+            if (analysis.empty) continue;
+
+            const watermarkIds = new Set(analysis.watermarks.map(w => w.id));
+            if (watermarkIds.size > 0) {
+                for (let p = 0; p < analysis.labels.length; p++) {
+                    if (watermarkIds.has(analysis.labels[p])) imageData.data[p * 4 + 3] = 0;
+                }
+            }
+
+            cellCtx.clearRect(0, 0, cellWidth, cellHeight);
+            cellCtx.putImageData(imageData, 0, 0);
+            outputCtx.clearRect(dest.x, dest.y, dest.w, dest.h);
+            drawNormalizedCell(cellCanvas, cellCtx, { x: 0, y: 0, w: cellWidth, h: cellHeight }, outputCtx, dest, padding, true, targetSize);
+            fixed++;
+        }
+
+        return { blob: await encodePng(output), fixed };
+    },
+
+    // Faction recolour. Palette mappings swap a source colour (within tolerance) for a target
+    // hue/saturation; the hue shift rotates a hue range, fading out over its feather. With
+    // preserveLuminance every pixel keeps its original luma so shading survives. The optional
+    // companion mask (white = recolour, resized to the sheet) scales the whole change.
+    async recolor({ blob, maskBlob = null, preset }) {
+        const { canvas, ctx } = await decodeBlob(blob);
+        const width = canvas.width, height = canvas.height;
+        const imageData = ctx.getImageData(0, 0, width, height);
+        const data = imageData.data;
+
+        let maskData = null;
+        if (preset.useCompanionMask) {
+            if (!maskBlob) throw new Error('This preset needs a companion mask image');
+            const mask = await decodeBlob(maskBlob);
+            const scaled = new OffscreenCanvas(width, height);
+            const scaledCtx = scaled.getContext('2d', { willReadFrequently: true });
+            scaledCtx.drawImage(mask.canvas, 0, 0, width, height);
+            maskData = scaledCtx.getImageData(0, 0, width, height).data;
+        }
+
+        const hueShift = preset.hueShift && preset.hueShift.enabled ? preset.hueShift : null;
+        const mappings = (preset.paletteMap || []).map(m => {
+            const from = parseKeyColor(m.from), to = parseKeyColor(m.to);
+            return { from, fromHsl: rgbToHsl(...from), toHsl: rgbToHsl(...to), tolerance: Math.max(1, m.tolerance) };
+        });
+
+        let opaque = 0, changed = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] === 0) continue;
+            opaque++;
+
+            const r = data[i], g = data[i + 1], b = data[i + 2];
+            const [h, s, l] = rgbToHsl(r, g, b);
+
+            // Closest palette entry: full strength within 60% of its tolerance, fading out by 100%
+            let paletteWeight = 0, palette = null;
+            for (const m of mappings) {
+                const distance = Math.hypot(r - m.from[0], g - m.from[1], b - m.from[2]);
+                const weight = clamp01((m.tolerance - distance) / (m.tolerance * 0.4));
+                if (weight > paletteWeight) {
+                    paletteWeight = weight;
+                    palette = m;
+                }
+            }
+
+            let hueWeight = 0;
+            if (hueShift) {
+                const saturationWeight = hueShift.minSaturation > 0 ? clamp01(s / hueShift.minSaturation) : 1;
+                hueWeight = hueRangeWeight(h, hueShift.fromHue, hueShift.toHue, hueShift.feather) * saturationWeight * (1 - paletteWeight);
+            }
+
+            let maskWeight = 1;
+            if (maskData) {
+                maskWeight = luma(maskData[i], maskData[i + 1], maskData[i + 2]) / 255 * (maskData[i + 3] / 255);
+                if (preset.invertMask) maskWeight = 1 - maskWeight;
+            }
+
+            if ((paletteWeight === 0 && hueWeight === 0) || maskWeight === 0) continue;
+
+            let out = [r, g, b];
+            if (palette) {
+                const { fromHsl, toHsl } = palette;
+                const saturation = clamp01(s * (toHsl[1] / Math.max(fromHsl[1], 0.01)));
+                const lightness = preset.preserveLuminance ? l : clamp01(l + toHsl[2] - fromHsl[2]);
+                const mapped = hslToRgb(toHsl[0], saturation, lightness);
+                out = out.map((c, k) => c + (mapped[k] - c) * paletteWeight);
+            }
+            if (hueWeight > 0) {
+                const rotated = hslToRgb(h + hueShift.shift, s, l);
+                out = out.map((c, k) => c + (rotated[k] - [r, g, b][k]) * hueWeight);
+            }
+            if (preset.preserveLuminance) {
+                const delta = luma(r, g, b) - luma(...out);
+                out = out.map(c => c + delta);
+            }
+
+            for (let k = 0; k < 3; k++) {
+                const original = data[i + k];
+                data[i + k] = Math.round(original + (out[k] - original) * maskWeight);
+            }
+            changed++;
+        }
+
+        ctx.putImageData(imageData, 0, 0);
+        return {
+            blob: await encodePng(canvas),
+            changedPercent: opaque > 0 ? (changed / opaque) * 100 : 0
+        };
+    },
+
+    // Single sprite centered into a cellSize square
+    async normalize({ blob, cellSize, padding = 5, autoDetect = true }) {
+        const { canvas, ctx } = await decodeBlob(blob);
+        const output = new OffscreenCanvas(cellSize, cellSize);
+        const hasContent = drawNormalizedCell(
+            canvas, ctx, { x: 0, y: 0, w: canvas.width, h: canvas.height },
+            output.getContext('2d'), { x: 0, y: 0, w: cellSize, h: cellSize }, padding, autoDetect);
+        return { blob: await encodePng(output), hasContent };
+    },
+
+    // Whole sheet: extract, center and repack every cell
+    async normalizeGrid({ blob, columns, rows, cellSize, padding = 5, autoDetect = true }) {
+        const { canvas, ctx } = await decodeBlob(blob);
+        const inputCellWidth = Math.floor(canvas.width / columns);
+        const inputCellHeight = Math.floor(canvas.height / rows);
+
+        const output = new OffscreenCanvas(columns * cellSize, rows * cellSize);
+        const outputCtx = output.getContext('2d');
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                drawNormalizedCell(
+                    canvas, ctx,
+                    { x: col * inputCellWidth, y: row * inputCellHeight, w: inputCellWidth, h: inputCellHeight },
+                    outputCtx, { x: col * cellSize, y: row * cellSize, w: cellSize, h: cellSize }, padding, autoDetect);
+            }
+        }
+
+        return { blob: await encodePng(output) };
+    },
+
+    async splitSpritesheet({ blob, columns, rows }) {
+        const { canvas } = await decodeBlob(blob);
+        const cellWidth = Math.floor(canvas.width / columns);
+        const cellHeight = Math.floor(canvas.height / rows);
+        const cells = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let col = 0; col < columns; col++) {
+                const cell = new OffscreenCanvas(cellWidth, cellHeight);
+                const cellCtx = cell.getContext('2d', { willReadFrequently: true });
+                cellCtx.drawImage(canvas, col * cellWidth, row * cellHeight, cellWidth, cellHeight, 0, 0, cellWidth, cellHeight);
+
+                const data = cellCtx.getImageData(0, 0, cellWidth, cellHeight).data;
+                let hasContent = false;
+                for (let i = 0; i < data.length; i += 4) {
+                    if (isVisiblePixel(data, i)) {
+                        hasContent = true;
+                        break;
+                    }
+                }
+
+                cells.push({ row, col, index: row * columns + col, hasContent, blob: await encodePng(cell) });
+            }
+        }
+
+        return { cells, cellWidth, cellHeight, totalCells: rows * columns };
+    },
+
+    // cells: [{ row, col, blob }] drawn stretched to cellSize; undecodable cells are skipped
+    async assemble({ cells, columns, rows, cellSize }) {
+        const output = new OffscreenCanvas(columns * cellSize, rows * cellSize);
+        const ctx = output.getContext('2d');
+
+        for (const cell of cells) {
+            if (!cell.blob) continue;
+            try {
+                const bitmap = await createImageBitmap(cell.blob);
+                ctx.drawImage(bitmap, cell.col * cellSize, cell.row * cellSize, cellSize, cellSize);
+                bitmap.close();
+            } catch {
+                console.warn(`Failed to decode image at row ${cell.row}, col ${cell.col}`);
+            }
+        }
+
+        return { blob: await encodePng(output) };
+    }
+};
+
+self.onmessage = async (e) => {
+    const { id, op, payload } = e.data;
+    try {
+        const operation = operations[op];
+        if (!operation) throw new Error(`Unknown image operation: ${op}`);
+        self.postMessage({ id, ok: true, result: await operation(payload) });
+    } catch (err) {
+        self.postMessage({ id, ok: false, error: err && err.message ? err.message : String(err) });
+    }
+};